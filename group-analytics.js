@@ -17,17 +17,22 @@ require("dotenv").config();
 // Import utilities
 const apiUtils = require("./utils/api");
 const sheetsUtils = require("./utils/sheets");
-const driveUtils = require("./utils/drive");
 const groupUtils = require("./utils/groups");
+const cliOptions = require("./utils/cli-options");
+const metricCatalogue = require("./utils/metrics");
+const aggregation = require("./utils/aggregation");
+const completeness = require("./utils/completeness");
+const responseCache = require("./utils/response-cache");
+const fakeGoogle = require("./utils/fake-google");
+const { sproutClient, isAuthError } = require("./utils/sprout-client");
+const postsUtils = require("./utils/posts");
 const authUtils = require("./utils/auth");
 const credentialsManager = require("./utils/credentials-manager");
+const outputSinks = require("./sinks");
+const historyStore = require("./utils/history-store");
 
-// Import platform modules
-const instagram = require("./platforms/instagram");
-const youtube = require("./platforms/youtube");
-const linkedin = require("./platforms/linkedin");
-const facebook = require("./platforms/facebook");
-const twitter = require("./platforms/twitter");
+// Platform modules, looked up by network key or Sprout network type
+const platforms = require("./platforms");
 
 /**
  * Sleep for a specified duration
@@ -36,11 +41,23 @@ const twitter = require("./platforms/twitter");
  */
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// API & Authentication
-const CUSTOMER_ID = "2426451";
+// API & Authentication (override with SPROUT_CUSTOMER_ID / SPROUT_API_TOKEN, e.g. for the mock server)
+const CUSTOMER_ID = process.env.SPROUT_CUSTOMER_ID || "2426451";
 const SPROUT_API_TOKEN =
+  process.env.SPROUT_API_TOKEN ||
   "MjQyNjQ1MXwxNzQyNzk4MTc4fDQ0YmU1NzQ4LWI1ZDAtNDhkMi04ODQxLWE1YzM1YmI4MmNjNQ==";
 
+// Run options from command line flags or environment variables (e.g. --concurrency 4); invalid values stop the run
+const RUN_OPTIONS = cliOptions.parseOptionsOrExit();
+
+// Serve/record Sprout responses from the local cache when a cache mode is set
+sproutClient.useCache(
+  responseCache.createResponseCache({
+    mode: RUN_OPTIONS.cacheMode,
+    dir: RUN_OPTIONS.cacheDir,
+  })
+);
+
 // Paths - now using the default path that works with our credentials-manager
 const SERVICE_ACCOUNT_KEY_PATH = path.join(__dirname, "credentials.json");
 
@@ -99,198 +116,11 @@ const FOLDER_CONFIGS = [
 ];
 
 // Sprout Social API endpoints
-const BASE_URL = "https://api.sproutsocial.com/v1";
+// Point SPROUT_BASE_URL at mock-sprout-server.js to run without the real API
+const BASE_URL = process.env.SPROUT_BASE_URL || "https://api.sproutsocial.com/v1";
 const METADATA_URL = `${BASE_URL}/${CUSTOMER_ID}/metadata/customer`;
 const ANALYTICS_URL = `${BASE_URL}/${CUSTOMER_ID}/analytics/profiles`;
-
-// Add styling configuration
-const SHEET_STYLES = {
-  header: {
-    backgroundColor: { red: 0.2, green: 0.2, blue: 0.2 },
-    textColor: { red: 1, green: 1, blue: 1 },
-    bold: true,
-    fontSize: 11,
-    horizontalAlignment: "CENTER",
-    verticalAlignment: "MIDDLE",
-  },
-  data: {
-    fontSize: 10,
-    horizontalAlignment: "LEFT",
-    verticalAlignment: "MIDDLE",
-  },
-  dateColumn: {
-    numberFormat: { type: "DATE", pattern: "yyyy-mm-dd" },
-  },
-  numberColumn: {
-    numberFormat: { type: "NUMBER", pattern: "#,##0" },
-  },
-  percentageColumn: {
-    numberFormat: { type: "PERCENT", pattern: "0.00%" },
-  },
-};
-
-/**
- * Apply styling to a sheet
- * @param {Object} sheets - Google Sheets API client
- * @param {string} spreadsheetId - ID of the spreadsheet
- * @param {string} sheetName - Name of the sheet to style
- * @param {Array} headers - Array of header names
- */
-const applySheetStyling = async (sheets, spreadsheetId, sheetName, headers) => {
-  try {
-    // Get the sheet ID
-    const response = await sheets.spreadsheets.get({
-      spreadsheetId,
-      includeGridData: false,
-    });
-
-    const sheet = response.data.sheets.find(
-      (s) => s.properties.title === sheetName
-    );
-    if (!sheet) return;
-
-    const sheetId = sheet.properties.sheetId;
-    const requests = [];
-
-    // Style header row
-    requests.push({
-      repeatCell: {
-        range: {
-          sheetId,
-          startRowIndex: 0,
-          endRowIndex: 1,
-        },
-        cell: {
-          userEnteredFormat: {
-            backgroundColor: SHEET_STYLES.header.backgroundColor,
-            textFormat: {
-              foregroundColor: SHEET_STYLES.header.textColor,
-              bold: SHEET_STYLES.header.bold,
-              fontSize: SHEET_STYLES.header.fontSize,
-            },
-            horizontalAlignment: SHEET_STYLES.header.horizontalAlignment,
-            verticalAlignment: SHEET_STYLES.header.verticalAlignment,
-          },
-        },
-        fields:
-          "userEnteredFormat(backgroundColor,textFormat,horizontalAlignment,verticalAlignment)",
-      },
-    });
-
-    // Style data rows
-    requests.push({
-      repeatCell: {
-        range: {
-          sheetId,
-          startRowIndex: 1,
-        },
-        cell: {
-          userEnteredFormat: {
-            fontSize: SHEET_STYLES.data.fontSize,
-            horizontalAlignment: SHEET_STYLES.data.horizontalAlignment,
-            verticalAlignment: SHEET_STYLES.data.verticalAlignment,
-          },
-        },
-        fields:
-          "userEnteredFormat(fontSize,horizontalAlignment,verticalAlignment)",
-      },
-    });
-
-    // Style date column (Column A)
-    requests.push({
-      repeatCell: {
-        range: {
-          sheetId,
-          startColumnIndex: 0,
-          endColumnIndex: 1,
-        },
-        cell: {
-          userEnteredFormat: {
-            numberFormat: SHEET_STYLES.dateColumn.numberFormat,
-          },
-        },
-        fields: "userEnteredFormat.numberFormat",
-      },
-    });
-
-    // Style number columns (based on header names)
-    const numberColumns = headers.reduce((acc, header, index) => {
-      if (
-        header.toLowerCase().includes("count") ||
-        header.toLowerCase().includes("growth") ||
-        header.toLowerCase().includes("gained") ||
-        header.toLowerCase().includes("lost") ||
-        header.toLowerCase().includes("views") ||
-        header.toLowerCase().includes("impressions")
-      ) {
-        acc.push(index);
-      }
-      return acc;
-    }, []);
-
-    numberColumns.forEach((columnIndex) => {
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId,
-            startColumnIndex: columnIndex,
-            endColumnIndex: columnIndex + 1,
-          },
-          cell: {
-            userEnteredFormat: {
-              numberFormat: SHEET_STYLES.numberColumn.numberFormat,
-            },
-          },
-          fields: "userEnteredFormat.numberFormat",
-        },
-      });
-    });
-
-    // Style percentage columns
-    const percentageColumns = headers.reduce((acc, header, index) => {
-      if (
-        header.toLowerCase().includes("rate") ||
-        header.toLowerCase().includes("percentage")
-      ) {
-        acc.push(index);
-      }
-      return acc;
-    }, []);
-
-    percentageColumns.forEach((columnIndex) => {
-      requests.push({
-        repeatCell: {
-          range: {
-            sheetId,
-            startColumnIndex: columnIndex,
-            endColumnIndex: columnIndex + 1,
-          },
-          cell: {
-            userEnteredFormat: {
-              numberFormat: SHEET_STYLES.percentageColumn.numberFormat,
-            },
-          },
-          fields: "userEnteredFormat.numberFormat",
-        },
-      });
-    });
-
-    // Apply all styles
-    await sheets.spreadsheets.batchUpdate({
-      spreadsheetId,
-      resource: {
-        requests,
-      },
-    });
-
-    console.log(`Applied styling to sheet: ${sheetName}`);
-  } catch (error) {
-    console.error(
-      `Error applying styles to sheet ${sheetName}:`,
-      error.message
-    );
-  }
-};
+const POSTS_URL = `${BASE_URL}/${CUSTOMER_ID}/analytics/posts`;
 
 // Check for available credentials files
 const checkCredentials = () => {
@@ -356,6 +186,16 @@ const checkCredentials = () => {
  * @returns {Promise<{auth, drive, sheets}>} Authentication and API clients
  */
 const authenticateAndVerifyAccess = async () => {
+  // The in-memory fake needs no credentials and every folder is writable
+  if (RUN_OPTIONS.googleBackend === "fake") {
+    console.log(
+      "Using the in-memory fake Google backend. Nothing will be written to Google Drive."
+    );
+    return fakeGoogle.createFakeGoogle({
+      folderIds: FOLDER_CONFIGS.map((config) => config.folderId),
+    });
+  }
+
   try {
     console.log("Authenticating with Google APIs...");
 
@@ -461,136 +301,107 @@ const authenticateAndVerifyAccess = async () => {
  * @param {string} groupId - Group ID
  * @param {string} groupName - Group name
  * @param {Array} profiles - Array of profiles in the group
- * @param {Object} googleClients - Authenticated Google API clients
- * @returns {Promise<Array<Object>>} Array of spreadsheet details
+ * @param {Array<Object>} sinks - Output sinks the group's reports are written to (sinks/index.js)
+ * @param {Object|null} history - History store (utils/history-store.js), or null when it is off
+ * @returns {Promise<Array<Object>>} Array of report details
  */
 const processGroupAnalytics = async (
   groupId,
   groupName,
   profiles,
-  googleClients
+  sinks,
+  history
 ) => {
   const groupStartTime = new Date();
-  let currentSpreadsheetId = null;
+  let currentLocations = [];
 
   try {
     console.log(`\n=== Processing Group: ${groupName} (${groupId}) ===`);
     console.log(`Found ${profiles.length} profiles in this group`);
 
-    // Use the provided Google API clients
-    const { drive, sheets } = googleClients;
-    if (!drive || !sheets) {
-      throw new Error("Invalid Google API clients provided");
+    if (!sinks || sinks.length === 0) {
+      throw new Error("No output sinks provided");
     }
 
-    // Create spreadsheets in all specified folders with their respective date ranges
+    // Create reports in all specified folders with their respective date ranges
     const results = [];
 
     for (const folderConfig of FOLDER_CONFIGS) {
       const { folderId, startDate, endDate, description } = folderConfig;
+      const reportName = `Sprout Analytics - ${groupName} - ${description}`;
       console.log(
-        `Creating spreadsheet in folder: ${folderId} (${description}: ${startDate} to ${endDate})`
-      );
-
-      // Format date for title
-      const now = new Date();
-      const formattedDate = now.toLocaleDateString("en-GB"); // e.g., 06/05/2025
-      const formattedTime = now.toLocaleTimeString("en-GB", {
-        hour: "2-digit",
-        minute: "2-digit",
-      }); // e.g., 11:42 pm
-
-      const baseNamePattern = `Sprout Analytics - ${groupName} - ${description}`;
-      const spreadsheetTitle = `${baseNamePattern} - Last Updated ${formattedDate} ${formattedTime}`;
-
-      // First check if a spreadsheet for this group already exists by pattern matching
-      const existingSpreadsheet = await driveUtils.findSpreadsheetByPattern(
-        drive,
-        baseNamePattern,
-        folderId
+        `Opening report "${reportName}" (${startDate} to ${endDate}) in: ${sinks
+          .map((sink) => sink.name)
+          .join(", ")}`
       );
 
-      let spreadsheetId;
-
-      if (existingSpreadsheet) {
-        // Use the existing spreadsheet but update its title to reflect the new update time
-        spreadsheetId = existingSpreadsheet.id;
-        currentSpreadsheetId = spreadsheetId; // Update the current spreadsheet ID
-        console.log(
-          `Found existing spreadsheet: "${existingSpreadsheet.name}" (${spreadsheetId})`
-        );
-        console.log(`Updating title to: "${spreadsheetTitle}"`);
-
-        // Update the spreadsheet title
-        await driveUtils.updateSpreadsheetTitle(
-          drive,
-          spreadsheetId,
-          spreadsheetTitle
-        );
-      } else {
-        // No existing spreadsheet found, create a new one
-        console.log(
-          `No existing spreadsheet found. Creating a new one: "${spreadsheetTitle}"`
-        );
-        spreadsheetId = await driveUtils.createSpreadsheet(
-          sheets,
-          drive,
-          spreadsheetTitle,
-          folderId
-        );
-        currentSpreadsheetId = spreadsheetId; // Update the current spreadsheet ID
-
-        if (!spreadsheetId) {
+      // Open the report in every sink; a sink that can't open it is left out of this report
+      const reports = [];
+      for (const sink of sinks) {
+        const report = await sink.openReport({
+          reportName,
+          groupName,
+          folderId,
+          description,
+          startDate,
+          endDate,
+        });
+        if (report) {
+          reports.push(report);
+        } else {
           console.error(
-            `Failed to create spreadsheet for group ${groupName} in folder ${folderId}`
+            `Failed to open the ${sink.name} report for group ${groupName} in folder ${folderId}`
           );
-          continue; // Skip to next folder if this one fails
         }
       }
+      if (reports.length === 0) {
+        continue; // Skip to next folder if no sink could open the report
+      }
+      currentLocations = reports.map((report) => report.location);
+
+      /**
+       * Write everything queued for the reports and record the result
+       * @param {string} status - Result status
+       */
+      const finalizeReports = async (status) => {
+        const locations = [];
+        for (const report of reports) {
+          const { location } = await report.finalize();
+          if (location) locations.push(location);
+        }
+        results.push({
+          groupId,
+          groupName,
+          folderId,
+          description,
+          dateRange: `${startDate} to ${endDate}`,
+          profileCount: profiles.length,
+          locations,
+          status,
+        });
+      };
 
       // Group profiles by network type
       const profilesByNetwork = groupUtils.groupProfilesByNetworkType(profiles);
 
-      // Create sheets for each network type that has profiles
-      const networkModules = {
-        instagram,
-        youtube,
-        linkedin,
-        facebook,
-        twitter,
-      };
-
-      // Keep track of which sheets we've created
-      const createdSheets = [];
+      // Keep track of which tabs we've created, with their headers
+      const headersBySheet = {};
 
-      // Create sheets for each network type
+      // Queue a tab and its headers in every report for each network type
       for (const [networkType, networkProfiles] of Object.entries(
         profilesByNetwork
       )) {
-        if (networkProfiles.length > 0) {
-          const sheetName =
-            networkType.charAt(0).toUpperCase() + networkType.slice(1);
-          await driveUtils.createSheet(sheets, spreadsheetId, sheetName);
-          createdSheets.push(sheetName);
-
-          // Set up headers
-          const module = networkModules[networkType];
-          if (module && module.setupHeaders) {
-            await module.setupHeaders(
-              sheetsUtils,
-              googleClients.auth,
-              spreadsheetId
-            );
-            // Apply styling after setting up headers
-            await applySheetStyling(
-              sheets,
-              spreadsheetId,
-              sheetName,
-              module.HEADERS
-            );
-          }
+        const module = platforms.getPlatform(networkType);
+        if (networkProfiles.length > 0 && module) {
+          const sheetName = module.SHEET_NAME;
+          reports.forEach((report) => {
+            report.ensureTab(sheetName, module.COLUMNS);
+            report.writeHeader(sheetName, module.HEADERS);
+          });
+          headersBySheet[sheetName] = module.HEADERS;
         }
       }
+      const createdSheets = Object.keys(headersBySheet);
 
       // Fetch analytics data for all profiles in this group using this folder's date range
       const profileIds = profiles
@@ -600,69 +411,158 @@ const processGroupAnalytics = async (
         `Fetching analytics data for ${profileIds.length} profiles in group ${groupName} from ${startDate} to ${endDate}`
       );
 
-      // Check if we already have data for this month to avoid duplicates
-      let existingData = false;
-      try {
-        // Create a month-year string for checking (e.g., "2024-01" for January 2024)
-        const monthYearKey = startDate.substring(0, 7); // YYYY-MM format
-
-        // Check if we already have data for this month in the spreadsheet
-        for (const sheetName of createdSheets) {
-          const existingValues = await sheetsUtils.getSheetValues(
-            googleClients.auth,
-            spreadsheetId,
-            sheetName,
-            "A:A"
+      // Export the individual posts behind the daily numbers to "<Network> Posts" tabs.
+      // Posts are refreshed even when the daily rows are complete, since their lifetime metrics keep changing.
+      const queuePosts = async () => {
+        if (RUN_OPTIONS.posts && RUN_OPTIONS.source === "history") {
+          console.log(
+            "Posts are not kept in the history store. Skipping the posts export."
+          );
+        } else if (RUN_OPTIONS.posts) {
+          const postsData = await postsUtils.getPostsData(
+            POSTS_URL,
+            SPROUT_API_TOKEN,
+            startDate,
+            endDate,
+            profileIds
           );
-          if (existingValues && existingValues.length > 1) {
-            // Check if any date in column A matches this month-year pattern
-            const monthExists = existingValues.some((row) => {
-              // If the date exists and starts with our month-year pattern
-              return row[0] && row[0].startsWith(monthYearKey);
-            });
-
-            if (monthExists) {
+          if (postsData) {
+            const postRowsByNetwork = postsUtils.formatPostsByNetwork(
+              postsData.data,
+              profilesByNetwork
+            );
+            for (const report of reports) {
+              const postsQueued = await postsUtils.queuePostsTabs(
+                report,
+                postRowsByNetwork
+              );
               console.log(
-                `Data for ${monthYearKey} already exists in sheet ${sheetName}. Skipping update.`
+                `Queued ${postsQueued} post rows for ${groupName} in ${report.name} (${postsData.totalRows} posts fetched)`
               );
-              existingData = true;
-              break;
             }
+          } else {
+            console.log(`No posts found for group ${groupName}`);
           }
         }
-      } catch (error) {
-        console.warn(
-          `Error checking for existing data: ${error.message}. Will proceed with update.`
-        );
+      };
+
+      // Compare the rows this period should have with what each report's network tabs already hold
+      const expectedDates = completeness.getExpectedDates(
+        startDate,
+        endDate,
+        RUN_OPTIONS.granularity
+      );
+      // A week or month still in progress is refetched even if it already has a row
+      const openDates = completeness.getOpenDates(
+        expectedDates,
+        RUN_OPTIONS.granularity
+      );
+      // One read for the key columns of every network tab, per report
+      const rowKeysByReport = [];
+      for (const report of reports) {
+        rowKeysByReport.push(await report.readRowKeys(headersBySheet));
+      }
+
+      // A row missing from any report is fetched again, once
+      const missingByKey = new Map();
+      for (const [networkType, networkProfiles] of Object.entries(
+        profilesByNetwork
+      )) {
+        const module = platforms.getPlatform(networkType);
+        if (!module || !createdSheets.includes(module.SHEET_NAME)) continue;
+        const sheetName = module.SHEET_NAME;
+
+        reports.forEach((report, index) => {
+          const summary = completeness.summarizeCompleteness(
+            sheetsUtils,
+            sheetName,
+            rowKeysByReport[index].get(sheetName).keys,
+            networkProfiles.map((p) => p.customer_profile_id),
+            expectedDates,
+            openDates
+          );
+          console.log(
+            `Completeness of ${sheetName} (${report.name}): ${summary.present}/${summary.expected} rows present, ${summary.missing.length} missing`
+          );
+          completeness
+            .describeMissing(summary.missing)
+            .forEach((line) =>
+              console.log(`  Missing in ${sheetName} (${report.name}): ${line}`)
+            );
+          summary.missing.forEach((cell) => {
+            missingByKey.set(
+              sheetsUtils.formatRowKey(cell.date, cell.profileId),
+              cell
+            );
+          });
+        });
       }
+      const missingCells = Array.from(missingByKey.values());
 
-      // Skip fetching if we already have this month's data
-      if (existingData) {
+      // Nothing to fetch if every profile already has a row for every period
+      if (missingCells.length === 0) {
         console.log(
-          `Skipping analytics update for group ${groupName} as data for this month already exists.`
+          `All ${RUN_OPTIONS.granularity} rows for group ${groupName} from ${startDate} to ${endDate} are already in every report. Skipping fetch.`
         );
-        results.push({
-          groupId,
-          groupName,
-          folderId,
-          description,
-          dateRange: `${startDate} to ${endDate}`,
-          profileCount: profiles.length,
-          spreadsheetId,
-          spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
-          status: "Already updated for this month",
-        });
+        await queuePosts();
+        await finalizeReports("Already complete");
         continue; // Skip to next folder
       }
 
-      // Fetch fresh data from API
-      const analyticsData = await apiUtils.getAnalyticsData(
-        ANALYTICS_URL,
-        SPROUT_API_TOKEN,
+      // Fetch only the missing days for the profiles that miss them
+      const refillPlan = completeness.planRefill(
+        missingCells,
+        RUN_OPTIONS.granularity,
         startDate,
-        endDate,
-        profileIds
+        endDate
       );
+      console.log(
+        `Refilling ${missingCells.length} missing rows with ${refillPlan.length} fetch(es)`
+      );
+
+      const metricsByProfile = metricCatalogue.getMetricsByProfile(profiles);
+      const fetched = { data: [], pages: 0, totalRows: 0 };
+      for (const refill of refillPlan) {
+        console.log(
+          `Fetching ${refill.startDate} to ${refill.endDate} for ${refill.profileIds.length} profile(s)`
+        );
+
+        // Rebuild from stored data points instead of calling Sprout when the source is the history store
+        if (RUN_OPTIONS.source === "history") {
+          const storedData = history.getDataPoints(
+            refill.profileIds,
+            refill.startDate,
+            refill.endDate
+          );
+          console.log(
+            `Read ${storedData.totalRows} data points from the history store`
+          );
+          fetched.data.push(...storedData.data);
+          continue;
+        }
+
+        const refillData = await apiUtils.getAnalyticsData(
+          ANALYTICS_URL,
+          SPROUT_API_TOKEN,
+          refill.startDate,
+          refill.endDate,
+          refill.profileIds,
+          {
+            concurrency: RUN_OPTIONS.concurrency,
+            metricsByProfile,
+          }
+        );
+        if (refillData) {
+          if (history) {
+            const saved = history.recordDataPoints(refillData.data);
+            console.log(`Saved ${saved} metric values to the history store`);
+          }
+          fetched.data.push(...refillData.data);
+          fetched.pages += refillData.pages;
+        }
+      }
+      fetched.totalRows = fetched.data.length;
+      const analyticsData = fetched.totalRows > 0 ? fetched : null;
 
       // Log the raw data for debugging
       console.log(
@@ -704,24 +604,20 @@ const processGroupAnalytics = async (
         console.warn(
           `No analytics data found for group ${groupName} in period ${startDate} to ${endDate}`
         );
-        results.push({
-          groupId,
-          groupName,
-          folderId,
-          description,
-          dateRange: `${startDate} to ${endDate}`,
-          profileCount: profiles.length,
-          spreadsheetId,
-          spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
-          status: "No data",
-        });
+        await finalizeReports("No data");
         continue; // Skip to next folder
       }
 
+      // Roll daily data points up to the run's granularity (weekly/monthly rows)
+      const dataPoints = aggregation.aggregateDataPoints(
+        analyticsData.data,
+        RUN_OPTIONS.granularity
+      );
+
       // Group data by profile and date
       const dataByProfileAndDate = {};
 
-      for (const dataPoint of analyticsData.data) {
+      for (const dataPoint of dataPoints) {
         const customerProfileId = dataPoint.dimensions?.customer_profile_id;
         const reportingPeriod =
           dataPoint.dimensions?.["reporting_period.by(day)"] ||
@@ -742,13 +638,7 @@ const processGroupAnalytics = async (
       }
 
       // Process data for each profile
-      const rowsByNetwork = {
-        instagram: [],
-        youtube: [],
-        linkedin: [],
-        facebook: [],
-        twitter: [],
-      };
+      const rowsByNetwork = platforms.createNetworkBuckets();
 
       for (const { profileId, date, dataPoint } of Object.values(
         dataByProfileAndDate
@@ -761,25 +651,14 @@ const processGroupAnalytics = async (
           continue;
         }
 
-        // Map network types to our simplified types
-        const networkTypeMapping = {
-          linkedin_company: "linkedin",
-          fb_instagram_account: "instagram",
-          fb_page: "facebook",
-          youtube_channel: "youtube",
-          twitter_profile: "twitter",
-        };
-
-        // Get our simplified network type
-        const networkType =
-          networkTypeMapping[profile.network_type] ||
-          profile.network_type.toLowerCase();
+        // Get our network key from the platform registry
+        const module = platforms.getPlatformForNetworkType(profile.network_type);
+        const networkType = module && module.NETWORK;
         console.log(
-          `Processing data for profile ${profile.name} (${profileId}) with network type: ${profile.network_type} → ${networkType}`
+          `Processing data for profile ${profile.name} (${profileId}) with network type: ${profile.network_type} → ${networkType || "(none)"}`
         );
 
-        const module = networkModules[networkType];
-        if (module && module.formatAnalyticsData) {
+        if (module) {
           const row = module.formatAnalyticsData(dataPoint, profile);
           if (row) {
             rowsByNetwork[networkType].push(row);
@@ -790,65 +669,43 @@ const processGroupAnalytics = async (
             );
           }
         } else {
-          console.log(`No formatter found for network type: ${networkType}`);
+          console.log(`No formatter found for network type: ${profile.network_type}`);
         }
       }
 
-      // Update sheets with data
-      const updatePromises = [];
-      const sheetTimers = {};
+      // Reconcile what Sprout returned against what will be written to the sheets
+      const formattedRowCount = Object.values(rowsByNetwork).reduce(
+        (sum, rows) => sum + rows.length,
+        0
+      );
+      console.log(
+        `Reconciliation for ${groupName}: ${analyticsData.totalRows} data points fetched across ${analyticsData.pages} pages, ` +
+          `${Object.keys(dataByProfileAndDate).length} unique profile/${RUN_OPTIONS.granularity} entries, ${formattedRowCount} rows formatted`
+      );
 
+      // Queue the rows and monthly summaries for each network tab in every report
       for (const [networkType, rows] of Object.entries(rowsByNetwork)) {
         if (rows.length > 0) {
-          const sheetName =
-            networkType.charAt(0).toUpperCase() + networkType.slice(1);
+          const module = platforms.getPlatform(networkType);
+          const sheetName = module && module.SHEET_NAME;
           if (createdSheets.includes(sheetName)) {
-            const module = networkModules[networkType];
-            if (module && module.updateSheet) {
-              // Record start time for this sheet
-              const sheetStartTime = new Date();
+            for (const report of reports) {
+              const { updated, appended, skipped } = report.upsertRows(
+                sheetName,
+                rows,
+                { headers: module.HEADERS, mode: RUN_OPTIONS.writeMode }
+              );
               console.log(
-                `Starting ${sheetName} sheet update at ${sheetStartTime.toLocaleTimeString()} with ${
-                  rows.length
-                } rows`
+                `${sheetName} (${report.name}): ${updated} rows updated in place, ${appended} appended, ${skipped} skipped`
               );
 
-              // Store the start time for later calculation
-              sheetTimers[sheetName] = sheetStartTime;
-
-              // Wrap the update in a function that logs timing information
-              const updateWithTiming = async () => {
-                try {
-                  await module.updateSheet(
-                    sheetsUtils,
-                    googleClients.auth,
-                    spreadsheetId,
-                    rows
-                  );
-
-                  // Add monthly summary
-                  await module.addMonthlySummary(sheets, spreadsheetId, rows);
-
-                  const sheetEndTime = new Date();
-                  const sheetTimeMs = sheetEndTime - sheetTimers[sheetName];
-                  const sheetTimeSec = Math.round(sheetTimeMs / 1000);
-                  console.log(
-                    `Completed ${sheetName} sheet update at ${sheetEndTime.toLocaleTimeString()}. Time taken: ${sheetTimeSec} seconds`
-                  );
-                } catch (error) {
-                  const sheetEndTime = new Date();
-                  const sheetTimeMs = sheetEndTime - sheetTimers[sheetName];
-                  const sheetTimeSec = Math.round(sheetTimeMs / 1000);
-                  console.error(
-                    `Error updating ${sheetName} sheet after ${sheetTimeSec} seconds: ${error.message}`
-                  );
-                  throw error; // Re-throw to maintain original error handling
-                }
-              };
-
-              updatePromises.push(updateWithTiming());
-            } else {
-              console.log(`No updateSheet method found for ${networkType}`);
+              // Summarize every profile of the tab, then the group
+              const summaryRows = report.writeSummary(sheetName);
+              if (summaryRows > 0) {
+                console.log(
+                  `${sheetName} (${report.name}): monthly summary with ${summaryRows - 1} profile row(s) and a group total`
+                );
+              }
             }
           } else {
             console.log(`Sheet ${sheetName} not created, skipping update`);
@@ -858,34 +715,14 @@ const processGroupAnalytics = async (
         }
       }
 
-      await Promise.all(updatePromises);
+      await queuePosts();
 
-      // After all data is written to the sheet, update the title with the correct time
-      await driveUtils.updateSpreadsheetTitle(
-        drive,
-        spreadsheetId,
-        spreadsheetTitle
-      );
-      console.log(`Spreadsheet title updated to: ${spreadsheetTitle}`);
+      // Write everything queued for this group's reports
+      await finalizeReports("Completed");
 
       console.log(
         `Completed processing for group ${groupName} in folder ${folderId}`
       );
-      console.log(
-        `Spreadsheet URL: https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`
-      );
-
-      results.push({
-        groupId,
-        groupName,
-        folderId,
-        description,
-        dateRange: `${startDate} to ${endDate}`,
-        profileCount: profiles.length,
-        spreadsheetId,
-        spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
-        status: "Completed",
-      });
     }
 
     // Calculate and log the total time taken
@@ -900,14 +737,15 @@ const processGroupAnalytics = async (
     console.log(
       `Total time taken: ${executionTimeMin} minutes (${executionTimeSec} seconds)`
     );
-    if (currentSpreadsheetId) {
-      console.log(
-        `Spreadsheet URL: https://docs.google.com/spreadsheets/d/${currentSpreadsheetId}/edit`
-      );
-    }
+    currentLocations.forEach((location) => {
+      console.log(`Report: ${location}`);
+    });
 
     return results;
   } catch (error) {
+    // A rejected Sprout token fails every group the same way, so stop the run
+    if (isAuthError(error)) throw error;
+
     // Log error with timing information
     const groupEndTime = new Date();
     const executionTimeMs = groupEndTime - groupStartTime;
@@ -932,9 +770,10 @@ const processGroupAnalytics = async (
 /**
  * Processes the analytics for a specific month
  * @param {Date} monthDate - Date object representing the month to process
- * @param {Object} googleClients - Authenticated Google API clients
+ * @param {Array<Object>} sinks - Output sinks the reports are written to
+ * @param {Object|null} history - History store, or null when it is off
  */
-const processMonthAnalytics = async (monthDate, googleClients) => {
+const processMonthAnalytics = async (monthDate, sinks, history) => {
   try {
     const monthRange = getMonthDateRange(monthDate);
     console.log(
@@ -950,78 +789,44 @@ const processMonthAnalytics = async (monthDate, googleClients) => {
       description: `Monthly Report - ${monthRange.monthName} ${monthRange.year}`,
     };
 
-    // Fetch all groups with retry logic
+    // Fetch all groups (retries and rate limiting are handled by the shared Sprout client)
     console.log("\n=== Fetching Customer Groups ===");
-    let groups = [];
-
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        console.log(
-          `[API CALL] Fetching customer groups from: ${BASE_URL}/${CUSTOMER_ID}/metadata/customer/groups (attempt ${attempt}/3)`
-        );
-        groups = await groupUtils.getCustomerGroups(
-          BASE_URL,
-          CUSTOMER_ID,
-          SPROUT_API_TOKEN
-        );
-        if (groups.length > 0) break;
-
-        console.error(`No groups found on attempt ${attempt}/3.`);
-        if (attempt < 3) {
-          console.log("Waiting 10 seconds before retrying...");
-          await sleep(10000);
-        }
-      } catch (groupError) {
-        console.error(
-          `Error fetching groups (attempt ${attempt}/3): ${groupError.message}`
-        );
-        if (attempt < 3) {
-          console.log("Waiting 10 seconds before retrying...");
-          await sleep(10000);
-        }
-      }
-    }
+    const groups =
+      RUN_OPTIONS.source === "history"
+        ? history.getGroups()
+        : await groupUtils.getCustomerGroups(
+            BASE_URL,
+            CUSTOMER_ID,
+            SPROUT_API_TOKEN
+          );
 
     if (groups.length === 0) {
-      console.error("No groups found after multiple attempts. Cannot proceed.");
+      console.error("No groups found. Cannot proceed.");
       return [];
     }
 
-    // Fetch all profiles with retry logic
+    // Fetch all profiles
     console.log("\n=== Fetching All Profiles ===");
-    let profiles = [];
-    for (let attempt = 1; attempt <= 3; attempt++) {
-      try {
-        profiles = await groupUtils.getAllProfiles(
-          BASE_URL,
-          CUSTOMER_ID,
-          SPROUT_API_TOKEN
-        );
-        if (profiles.length > 0) break;
-
-        console.error(`No profiles found on attempt ${attempt}/3.`);
-        if (attempt < 3) {
-          console.log("Waiting 10 seconds before retrying...");
-          await sleep(10000);
-        }
-      } catch (profileError) {
-        console.error(
-          `Error fetching profiles (attempt ${attempt}/3): ${profileError.message}`
-        );
-        if (attempt < 3) {
-          console.log("Waiting 10 seconds before retrying...");
-          await sleep(10000);
-        }
-      }
-    }
+    const profiles =
+      RUN_OPTIONS.source === "history"
+        ? history.getProfiles()
+        : await groupUtils.getAllProfiles(
+            BASE_URL,
+            CUSTOMER_ID,
+            SPROUT_API_TOKEN
+          );
 
     if (profiles.length === 0) {
-      console.error(
-        "No profiles found after multiple attempts. Cannot proceed."
-      );
+      console.error("No profiles found. Cannot proceed.");
       return [];
     }
 
+    // Keep the groups and profiles alongside the data points fetched for them
+    if (history && RUN_OPTIONS.source === "api") {
+      history.recordGroups(groups);
+      history.recordProfiles(profiles);
+    }
+
     // Group profiles by group ID
     console.log("\n=== Grouping Profiles by Group ID ===");
     let profilesByGroup;
@@ -1064,18 +869,22 @@ const processMonthAnalytics = async (monthDate, googleClients) => {
             groupId,
             groupName,
             profiles,
-            googleClients
+            sinks,
+            history
           );
           if (results && results.length > 0) {
             monthResults.push(...results);
           }
 
-          // Add a delay after processing each group to avoid hitting API quotas
-          console.log(
-            `Waiting 5 minutes before processing the next group to avoid API quota limits...`
-          );
-          await sleep(5 * 60 * 1000); // 5 minutes in milliseconds
+          // Writes are batched per spreadsheet, so a short pause between groups is enough for the Sheets quota
+          if (RUN_OPTIONS.groupDelay > 0) {
+            console.log(
+              `Waiting ${RUN_OPTIONS.groupDelay} seconds before processing the next group to avoid API quota limits...`
+            );
+            await sleep(RUN_OPTIONS.groupDelay * 1000);
+          }
         } catch (error) {
+          if (isAuthError(error)) throw error;
           console.error(
             `Error processing group ${groupName} for ${monthRange.monthName} ${monthRange.year}: ${error.message}`
           );
@@ -1098,6 +907,7 @@ const processMonthAnalytics = async (monthDate, googleClients) => {
 
     return monthResults;
   } catch (error) {
+    if (isAuthError(error)) throw error;
     console.error(`Error processing month analytics: ${error.message}`);
     if (error.stack) {
       console.error(error.stack);
@@ -1110,6 +920,8 @@ const processMonthAnalytics = async (monthDate, googleClients) => {
  * Main function to orchestrate the entire process
  */
 const main = async () => {
+  let history = null;
+
   try {
     const startTime = new Date();
     console.log(
@@ -1130,9 +942,41 @@ const main = async () => {
 
     trackTime("Process started");
 
-    // Authenticate with Google APIs and verify folder access
-    const googleClients = await authenticateAndVerifyAccess();
-    trackTime("Google Drive authentication complete");
+    // Google is only needed when the reports go to Google Sheets
+    const sinkContext = {
+      outputDir: RUN_OPTIONS.outputDir,
+      formulas: RUN_OPTIONS.formulas,
+    };
+    if (RUN_OPTIONS.output.includes("sheets")) {
+      // Authenticate with Google APIs and verify folder access
+      sinkContext.googleClients = await authenticateAndVerifyAccess();
+      trackTime("Google Drive authentication complete");
+    }
+    if (RUN_OPTIONS.output.includes("xlsx")) {
+      console.log(
+        `Writing .xlsx workbooks to ${path.resolve(RUN_OPTIONS.outputDir)}`
+      );
+    }
+    if (RUN_OPTIONS.output.includes("export")) {
+      console.log(
+        `Exporting CSV and NDJSON files to ${path.resolve(RUN_OPTIONS.outputDir)}`
+      );
+    }
+    const sinks = outputSinks.createSinks(RUN_OPTIONS.output, sinkContext);
+
+    // Keep every fetched data point in the local history store, or rebuild the reports from it
+    if (RUN_OPTIONS.history || RUN_OPTIONS.source === "history") {
+      history = await historyStore.createHistoryStore({
+        dbPath: RUN_OPTIONS.historyDb,
+      });
+      if (!history && RUN_OPTIONS.source === "history") {
+        console.error("The history store could not be opened. Cannot proceed.");
+        return;
+      }
+      if (history) {
+        history.startRun({ source: RUN_OPTIONS.source, options: RUN_OPTIONS });
+      }
+    }
 
     // Determine which months to process
     const monthsToProcess = [];
@@ -1153,11 +997,14 @@ const main = async () => {
     for (const monthDate of monthsToProcess) {
       const monthResults = await processMonthAnalytics(
         monthDate,
-        googleClients
+        sinks,
+        history
       );
       if (monthResults && monthResults.length > 0) {
         allResults.push(...monthResults);
       }
+      // Write the history store once per month rather than after every group
+      if (history) history.save();
 
       // Add delay between months if processing multiple months
       if (monthsToProcess.length > 1) {
@@ -1175,7 +1022,7 @@ const main = async () => {
     // Group results by month
     const resultsByMonth = {};
     allResults.forEach((result) => {
-      const monthKey = result.startDate.substring(0, 7); // YYYY-MM format
+      const monthKey = (result.dateRange || "unknown").substring(0, 7); // YYYY-MM format
       if (!resultsByMonth[monthKey]) {
         resultsByMonth[monthKey] = [];
       }
@@ -1189,9 +1036,9 @@ const main = async () => {
       );
 
       monthResults.forEach((result) => {
-        if (result.spreadsheetUrl) {
+        if (result.locations && result.locations.length > 0) {
           console.log(
-            `- ${result.groupName} (${result.profileCount} profiles): ${result.spreadsheetUrl}`
+            `- ${result.groupName} (${result.profileCount} profiles): ${result.locations.join(", ")}`
           );
         } else {
           console.log(
@@ -1206,13 +1053,41 @@ const main = async () => {
     const totalTimeMs = endTime - startTime;
     const totalTimeMin = Math.round((totalTimeMs / 1000 / 60) * 10) / 10;
 
+    // Show what would have been written when running against the fake backend
+    if (RUN_OPTIONS.output.includes("xlsx")) {
+      console.log(
+        `\nWorkbooks written to ${path.resolve(RUN_OPTIONS.outputDir)}`
+      );
+    }
+    if (RUN_OPTIONS.output.includes("export")) {
+      console.log(
+        `\nCSV and NDJSON exports written to ${path.resolve(RUN_OPTIONS.outputDir)}`
+      );
+    }
+    const { googleClients } = sinkContext;
+    if (googleClients && googleClients.summarize) {
+      console.log("\n=== Fake Google Backend Contents ===");
+      googleClients.summarize().forEach((spreadsheet) => {
+        console.log(`- ${spreadsheet.title} (${spreadsheet.spreadsheetId})`);
+        spreadsheet.tabs.forEach((tab) => {
+          console.log(`    ${tab.title}: ${tab.rows} rows`);
+        });
+      });
+    }
+
     console.log(`\nTotal execution time: ${totalTimeMin} minutes`);
     console.log(`Script completed at ${endTime.toLocaleTimeString()}`);
+    if (history) history.finishRun("completed");
   } catch (error) {
     console.error(`Error in main process: ${error.message}`);
     if (error.stack) {
       console.error(error.stack);
     }
+    if (isAuthError(error)) {
+      console.error("Sprout rejected the API token. Check SPROUT_API_TOKEN and its permissions.");
+      process.exitCode = 1;
+    }
+    if (history) history.finishRun("failed");
   }
 };
 
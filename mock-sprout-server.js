@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Sprout Social API
+ * ======================
+ * A small local fake of the Sprout Social endpoints the pipeline uses, so the
+ * whole flow can run without the real API or the customer token:
+ *
+ *   GET  /v1/:customerId/metadata/customer
+ *   GET  /v1/:customerId/metadata/customer/groups
+ *   POST /v1/:customerId/analytics/profiles
+ *   POST /v1/:customerId/analytics/posts
+ *
+ * Data is synthetic but deterministic: the same profile, day and metric always
+ * return the same value, so runs can be compared. Responses are paged like the
+ * real API and faults (429, 500, malformed JSON) can be injected.
+ *
+ * Usage:
+ *   node mock-sprout-server.js
+ *   SPROUT_BASE_URL=http://localhost:4010/v1 node group-analytics.js
+ *
+ * Fault injection:
+ *   - Every Nth request: MOCK_SPROUT_429_EVERY, MOCK_SPROUT_500_EVERY, MOCK_SPROUT_MALFORMED_EVERY
+ *   - Queued for the next requests: POST /__mock/faults {"faults": ["429", "500", "malformed"]}
+ */
+
+const express = require("express");
+
+// Server settings, overridable from the environment
+const DEFAULT_OPTIONS = {
+  port: parseInt(process.env.MOCK_SPROUT_PORT || "4010", 10),
+  // Analytics data points / posts returned per page
+  pageSize: parseInt(process.env.MOCK_SPROUT_PAGE_SIZE || "50", 10),
+  // Inject a fault on every Nth API request (0 = never)
+  every429: parseInt(process.env.MOCK_SPROUT_429_EVERY || "0", 10),
+  every500: parseInt(process.env.MOCK_SPROUT_500_EVERY || "0", 10),
+  everyMalformed: parseInt(process.env.MOCK_SPROUT_MALFORMED_EVERY || "0", 10),
+  // Seconds sent in Retry-After with injected 429s
+  retryAfterSeconds: 1,
+};
+
+// Longest reporting period the real analytics endpoint accepts
+const MAX_RANGE_DAYS = 365;
+
+// Customer groups
+const GROUPS = [
+  { group_id: 101, name: "Mock Brand" },
+  { group_id: 102, name: "Mock Agency" },
+];
+
+// One profile per supported network, plus a second Instagram account in another group
+const PROFILES = [
+  { customer_profile_id: 1001, network_type: "fb_instagram_account", name: "Mock Brand Instagram", native_name: "mockbrand", native_id: "17841400000001001", link: "https://instagram.com/mockbrand", groups: [101] },
+  { customer_profile_id: 1002, network_type: "fb_page", name: "Mock Brand Facebook", native_name: "MockBrand", native_id: "100000000001002", link: "https://facebook.com/mockbrand", groups: [101] },
+  { customer_profile_id: 1003, network_type: "linkedin_company", name: "Mock Brand LinkedIn", native_name: "mock-brand", native_id: "1003", link: "https://linkedin.com/company/mock-brand", groups: [101] },
+  { customer_profile_id: 1004, network_type: "twitter_profile", name: "Mock Brand X", native_name: "mockbrand", native_id: "1004", link: "https://x.com/mockbrand", groups: [101] },
+  { customer_profile_id: 1005, network_type: "youtube_channel", name: "Mock Brand YouTube", native_name: "Mock Brand", native_id: "UCmock1005", link: "https://youtube.com/channel/UCmock1005", groups: [101] },
+  { customer_profile_id: 1006, network_type: "tiktok", name: "Mock Brand TikTok", native_name: "mockbrand", native_id: "7000000000000001006", link: "https://tiktok.com/@mockbrand", groups: [101] },
+  { customer_profile_id: 1007, network_type: "pinterest", name: "Mock Brand Pinterest", native_name: "mockbrand", native_id: "1007", link: "https://pinterest.com/mockbrand", groups: [101] },
+  { customer_profile_id: 1008, network_type: "threads", name: "Mock Brand Threads", native_name: "mockbrand", native_id: "1008", link: "https://threads.net/@mockbrand", groups: [101] },
+  { customer_profile_id: 1009, network_type: "google_my_business", name: "Mock Brand Downtown Store", native_name: "Mock Brand Downtown Store", native_id: "locations/1009", link: "https://maps.google.com/?cid=1009", groups: [101] },
+  { customer_profile_id: 2001, network_type: "fb_instagram_account", name: "Mock Agency Instagram", native_name: "mockagency", native_id: "17841400000002001", link: "https://instagram.com/mockagency", groups: [102] },
+];
+
+// Typical daily magnitude per network, so each network's numbers look plausible
+const NETWORK_SCALE = {
+  fb_instagram_account: 800,
+  fb_page: 1200,
+  linkedin_company: 300,
+  twitter_profile: 500,
+  youtube_channel: 400,
+  tiktok: 900,
+  pinterest: 600,
+  threads: 250,
+  google_my_business: 150,
+};
+
+// Post types per network for the posts endpoint
+const POST_TYPES = {
+  fb_instagram_account: "INSTAGRAM_MEDIA",
+  fb_page: "FACEBOOK_POST",
+  linkedin_company: "LINKEDIN_COMPANY_UPDATE",
+  twitter_profile: "TWEET",
+  youtube_channel: "YOUTUBE_VIDEO",
+  tiktok: "TIKTOK_VIDEO",
+  pinterest: "PINTEREST_PIN",
+  threads: "THREADS_POST",
+  google_my_business: "GOOGLE_MY_BUSINESS_POST",
+};
+
+/**
+ * Deterministic pseudo-random number in [0, 1) for a string seed (FNV-1a)
+ * @param {string} seed - Seed string
+ * @returns {number} Number in [0, 1)
+ */
+const seededRandom = (seed) => {
+  let hash = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+/**
+ * List every day in a range
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Array<string>} Days in YYYY-MM-DD format
+ */
+const listDays = (startDate, endDate) => {
+  const days = [];
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  while (cursor <= end) {
+    days.push(cursor.toISOString().split("T")[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return days;
+};
+
+/**
+ * Synthetic value of a metric for a profile on a day
+ * Snapshot metrics grow slowly over time, flow metrics vary day to day.
+ * @param {Object} profile - Mock profile
+ * @param {string} day - Day in YYYY-MM-DD format
+ * @param {string} metric - Sprout metric name
+ * @returns {number|Object} Metric value
+ */
+const getMetricValue = (profile, day, metric) => {
+  const scale = NETWORK_SCALE[profile.network_type] || 100;
+  const random = seededRandom(`${profile.customer_profile_id}|${day}|${metric}`);
+
+  if (metric.startsWith("lifetime_snapshot.") || metric === "following_count") {
+    const daysSinceEpoch = Math.floor(Date.parse(`${day}T00:00:00Z`) / 86400000);
+    return scale * 20 + (daysSinceEpoch % 1000) * 3 + Math.floor(random * 5);
+  }
+
+  if (metric.startsWith("posts_sent_by_")) {
+    return { [POST_TYPES[profile.network_type] || "POST"]: Math.floor(random * 3) };
+  }
+
+  if (metric === "posts_sent_count") {
+    return Math.floor(random * 3);
+  }
+
+  if (metric.startsWith("impressions") || metric.startsWith("post_impressions") || metric.includes("views")) {
+    return Math.floor(scale * (0.5 + random));
+  }
+
+  // Engagement-style metrics are a small fraction of reach
+  return Math.floor(scale * 0.05 * random);
+};
+
+/**
+ * Read the profile IDs from a customer_profile_id filter (eq or in)
+ * @param {Array<string>} filters - Request filters
+ * @returns {Array<number>} Profile IDs
+ */
+const parseProfileFilter = (filters) => {
+  const filter = filters.find((f) => f.startsWith("customer_profile_id."));
+  if (!filter) return [];
+  return (filter.match(/\d+/g) || []).map(Number);
+};
+
+/**
+ * Read the date range from a reporting_period or created_time filter
+ * @param {Array<string>} filters - Request filters
+ * @param {string} field - Filter field name
+ * @returns {{startDate: string, endDate: string}|null} Date range
+ */
+const parseDateFilter = (filters, field) => {
+  const filter = filters.find((f) => f.startsWith(`${field}.`));
+  if (!filter) return null;
+  const dates = filter.match(/\d{4}-\d{2}-\d{2}/g) || [];
+  if (dates.length < 2) return null;
+  return { startDate: dates[0], endDate: dates[dates.length - 1] };
+};
+
+/**
+ * Slice a list into the requested page with Sprout's paging block
+ * @param {Array} items - All items
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Items per page
+ * @returns {{data: Array, paging: Object}} Response body
+ */
+const paginate = (items, page, pageSize) => {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.max(1, page || 1);
+  return {
+    data: items.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    paging: { current_page: currentPage, total_pages: totalPages },
+  };
+};
+
+/**
+ * Create the mock Sprout Social app
+ * @param {Object} [overrides] - Options overriding DEFAULT_OPTIONS
+ * @returns {Object} Express app (with a `faults` queue for tests)
+ */
+const createMockSproutApp = (overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const app = express();
+  app.use(express.json());
+
+  // Faults queued through /__mock/faults are served before the every-N schedule
+  const faults = [];
+  let requestCount = 0;
+  app.faults = faults;
+
+  // Mock control endpoint: queue faults for the next API requests
+  app.post("/__mock/faults", (req, res) => {
+    const queued = (req.body && req.body.faults) || [];
+    faults.push(...queued.map(String));
+    res.status(200).json({ queued: faults.length });
+  });
+
+  // Auth and fault injection for every API request
+  app.use("/v1", (req, res, next) => {
+    if (!(req.headers.authorization || "").startsWith("Bearer ")) {
+      return res.status(401).json({ error: "Missing bearer token" });
+    }
+
+    requestCount++;
+    let fault = faults.shift();
+    if (!fault) {
+      if (options.every429 && requestCount % options.every429 === 0) fault = "429";
+      else if (options.every500 && requestCount % options.every500 === 0) fault = "500";
+      else if (options.everyMalformed && requestCount % options.everyMalformed === 0) fault = "malformed";
+    }
+
+    if (fault === "429") {
+      console.log(`[mock] Injecting 429 for ${req.method} ${req.originalUrl}`);
+      res.set("Retry-After", String(options.retryAfterSeconds));
+      return res.status(429).json({ error: "Too Many Requests" });
+    }
+    if (fault === "500") {
+      console.log(`[mock] Injecting 500 for ${req.method} ${req.originalUrl}`);
+      return res.status(500).json({ error: "Internal Server Error" });
+    }
+    if (fault === "malformed") {
+      console.log(`[mock] Injecting malformed payload for ${req.method} ${req.originalUrl}`);
+      return res.status(200).type("application/json").send('{"data": [{"dimensions": ');
+    }
+
+    next();
+  });
+
+  app.get("/v1/:customerId/metadata/customer", (req, res) => {
+    res.status(200).json({ data: PROFILES });
+  });
+
+  app.get("/v1/:customerId/metadata/customer/groups", (req, res) => {
+    res.status(200).json({ data: GROUPS });
+  });
+
+  app.post("/v1/:customerId/analytics/profiles", (req, res) => {
+    const body = req.body || {};
+    const filters = body.filters || [];
+    const metrics = body.metrics || [];
+    const profileIds = parseProfileFilter(filters);
+    const range = parseDateFilter(filters, "reporting_period");
+
+    if (profileIds.length === 0 || !range) {
+      return res.status(400).json({ error: "customer_profile_id and reporting_period filters are required" });
+    }
+
+    const days = listDays(range.startDate, range.endDate);
+    if (days.length - 1 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: "reporting_period cannot be longer than one year" });
+    }
+
+    const dataPoints = [];
+    for (const profileId of profileIds) {
+      const profile = PROFILES.find((p) => p.customer_profile_id === profileId);
+      if (!profile) continue;
+
+      for (const day of days) {
+        const values = {};
+        metrics.forEach((metric) => {
+          values[metric] = getMetricValue(profile, day, metric);
+        });
+        dataPoints.push({
+          dimensions: {
+            customer_profile_id: profileId,
+            "reporting_period.by(day)": `${day}T00:00:00Z`,
+          },
+          metrics: values,
+        });
+      }
+    }
+
+    res.status(200).json(paginate(dataPoints, body.page, options.pageSize));
+  });
+
+  app.post("/v1/:customerId/analytics/posts", (req, res) => {
+    const body = req.body || {};
+    const filters = body.filters || [];
+    const profileIds = parseProfileFilter(filters);
+    const range = parseDateFilter(filters, "created_time");
+
+    if (profileIds.length === 0 || !range) {
+      return res.status(400).json({ error: "customer_profile_id and created_time filters are required" });
+    }
+
+    const posts = [];
+    for (const day of listDays(range.startDate, range.endDate)) {
+      for (const profileId of profileIds) {
+        const profile = PROFILES.find((p) => p.customer_profile_id === profileId);
+        if (!profile) continue;
+
+        const postCount = getMetricValue(profile, day, "posts_sent_count");
+        for (let i = 0; i < postCount; i++) {
+          const postId = `${profileId}-${day.replace(/-/g, "")}-${i + 1}`;
+          const values = {};
+          (body.metrics || []).forEach((metric) => {
+            values[metric] = getMetricValue(profile, `${day}#${i}`, metric.replace(/^lifetime\./, ""));
+          });
+          posts.push({
+            created_time: `${day}T${String(9 + i * 4).padStart(2, "0")}:00:00Z`,
+            perma_link: `${profile.link}/posts/${postId}`,
+            text: `Mock post ${i + 1} from ${profile.name} on ${day}`,
+            post_type: POST_TYPES[profile.network_type] || "POST",
+            customer_profile_id: profileId,
+            metrics: values,
+          });
+        }
+      }
+    }
+
+    res.status(200).json(paginate(posts, body.page, body.limit || options.pageSize));
+  });
+
+  return app;
+};
+
+// Start the server when run directly
+if (require.main === module) {
+  const app = createMockSproutApp();
+  app.listen(DEFAULT_OPTIONS.port, () => {
+    console.log(`Mock Sprout Social API listening on http://localhost:${DEFAULT_OPTIONS.port}/v1`);
+    console.log(`Run the pipeline against it with SPROUT_BASE_URL=http://localhost:${DEFAULT_OPTIONS.port}/v1`);
+  });
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  PROFILES,
+  GROUPS,
+  createMockSproutApp,
+};
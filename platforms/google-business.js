@@ -0,0 +1,92 @@
+/**
+ * Google Business Profile analytics processing module
+ */
+const columns = require("../utils/columns");
+
+// Network key and the Sprout network types reported on its tab
+const NETWORK = "google_business";
+const NETWORK_TYPES = ["google_my_business"];
+
+// Sheet configuration
+const SHEET_NAME = "Google Business";
+// Position of the tab in reports, lowest first
+const TAB_ORDER = 90;
+
+// Sprout metrics requested for Google Business Profile locations (everything formatAnalyticsData reads)
+const METRICS = [
+  "views_search",
+  "views_maps",
+  "actions_website",
+  "actions_driving_directions",
+  "actions_phone",
+  "reviews_count",
+  "lifetime_snapshot.reviews_count",
+];
+
+// Sheet columns, in order. Locations have no followers, so rates are per view.
+const COLUMNS = [
+  ...columns.dimensionColumns(),
+  columns.metricColumn("Search Views", "views_search"),
+  columns.metricColumn("Maps Views", "views_maps"),
+  columns.totalColumn("Total Views", ["Search Views", "Maps Views"]),
+  columns.metricColumn("Website Clicks", "actions_website"),
+  columns.metricColumn("Direction Requests", "actions_driving_directions"),
+  columns.metricColumn("Phone Calls", "actions_phone"),
+  columns.totalColumn(
+    "Total Actions",
+    ["Website Clicks", "Direction Requests", "Phone Calls"]
+  ),
+  columns.rateColumn(
+    "Action Rate % (per View)",
+    "Total Actions",
+    "Total Views"
+  ),
+  columns.metricColumn("New Reviews", "reviews_count"),
+  columns.metricColumn("Lifetime Review Count", "lifetime_snapshot.reviews_count"),
+];
+
+// Sheet headers
+const HEADERS = columns.getHeaders(COLUMNS);
+
+// Row of a data point, built from COLUMNS
+const formatAnalyticsData = columns.createRowFormatter("Google Business Profile", COLUMNS);
+
+/**
+ * Setup Google Business Profile sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update Google Business Profile sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options (mode: "upsert" or "append")
+ * @returns {Promise<boolean>} Success status
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, {
+    ...options,
+    headers: HEADERS,
+  });
+};
+
+module.exports = {
+  NETWORK,
+  NETWORK_TYPES,
+  SHEET_NAME,
+  TAB_ORDER,
+  COLUMNS,
+  HEADERS,
+  METRICS,
+  formatAnalyticsData,
+  setupHeaders,
+  updateSheet,
+};
@@ -0,0 +1,109 @@
+/**
+ * Platform registry
+ *
+ * Every platform module describes one network tab and exports:
+ * - `NETWORK`: network key used to group profiles and rows (e.g. "instagram")
+ * - `NETWORK_TYPES`: the Sprout `network_type` values reported on the tab
+ * - `SHEET_NAME`, `TAB_ORDER`, `COLUMNS`, `HEADERS` and `METRICS`
+ * - `formatAnalyticsData(dataPoint, profile)`
+ *
+ * Monthly summaries are built by the reports from `COLUMNS` (see utils/columns.js).
+ *
+ * Entry points look platforms up here rather than keeping their own network type
+ * mappings. Every module in this directory that exports `NETWORK` and
+ * `NETWORK_TYPES` is registered, so a new network only needs its module. Tabs
+ * are created in `TAB_ORDER` order; modules without one come last, by tab name.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Load every platform module in this directory
+ * @returns {Array<Object>} Platform modules, in the order their tabs are created
+ */
+const loadPlatforms = () => {
+  return fs
+    .readdirSync(__dirname)
+    .filter((fileName) => fileName.endsWith(".js") && fileName !== path.basename(__filename))
+    .map((fileName) => require(path.join(__dirname, fileName)))
+    .filter((platform) => platform.NETWORK && Array.isArray(platform.NETWORK_TYPES))
+    .sort(
+      (a, b) =>
+        (a.TAB_ORDER ?? Infinity) - (b.TAB_ORDER ?? Infinity) ||
+        a.SHEET_NAME.localeCompare(b.SHEET_NAME)
+    );
+};
+
+// Registered platforms, in the order their tabs are created
+const PLATFORMS = loadPlatforms();
+
+// Platform by network key
+const PLATFORMS_BY_NETWORK = new Map(
+  PLATFORMS.map((platform) => [platform.NETWORK, platform])
+);
+
+// Platform by Sprout network_type
+const PLATFORMS_BY_NETWORK_TYPE = new Map(
+  PLATFORMS.flatMap((platform) =>
+    platform.NETWORK_TYPES.map((networkType) => [networkType, platform])
+  )
+);
+
+/**
+ * Get a platform by its network key
+ * @param {string} network - Network key (e.g. "instagram")
+ * @returns {Object|null} Platform module, or null when no platform has that key
+ */
+const getPlatform = (network) => {
+  return PLATFORMS_BY_NETWORK.get(network) || null;
+};
+
+/**
+ * Get the platform that reports a Sprout network type
+ * @param {string} networkType - Sprout network_type (e.g. "fb_instagram_account")
+ * @returns {Object|null} Platform module, or null when the network type isn't supported
+ */
+const getPlatformForNetworkType = (networkType) => {
+  if (!networkType) return null;
+  return (
+    PLATFORMS_BY_NETWORK_TYPE.get(networkType) ||
+    PLATFORMS_BY_NETWORK_TYPE.get(String(networkType).toLowerCase()) ||
+    null
+  );
+};
+
+/**
+ * Get the platform that writes a tab
+ * @param {string} sheetName - Tab name (e.g. "Google Business")
+ * @returns {Object|null} Platform module, or null when no platform writes that tab
+ */
+const getPlatformForSheet = (sheetName) => {
+  return PLATFORMS.find((platform) => platform.SHEET_NAME === sheetName) || null;
+};
+
+/**
+ * Get the network key of a Sprout network type
+ * @param {string} networkType - Sprout network_type (e.g. "fb_page")
+ * @returns {string|null} Network key (e.g. "facebook"), or null when the network type isn't supported
+ */
+const getNetworkKey = (networkType) => {
+  const platform = getPlatformForNetworkType(networkType);
+  return platform ? platform.NETWORK : null;
+};
+
+/**
+ * Create an empty list for every network, in tab order
+ * @returns {Object} Empty arrays keyed by network key
+ */
+const createNetworkBuckets = () => {
+  return Object.fromEntries(PLATFORMS.map((platform) => [platform.NETWORK, []]));
+};
+
+module.exports = {
+  PLATFORMS,
+  getPlatform,
+  getPlatformForNetworkType,
+  getPlatformForSheet,
+  getNetworkKey,
+  createNetworkBuckets,
+};
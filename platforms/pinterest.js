@@ -0,0 +1,104 @@
+/**
+ * Pinterest analytics processing module
+ */
+const columns = require("../utils/columns");
+
+// Network key and the Sprout network types reported on its tab
+const NETWORK = "pinterest";
+const NETWORK_TYPES = ["pinterest"];
+
+// Sheet configuration
+const SHEET_NAME = "Pinterest";
+// Position of the tab in reports, lowest first
+const TAB_ORDER = 70;
+
+// Sprout metrics requested for Pinterest profiles (everything formatAnalyticsData reads)
+const METRICS = [
+  "lifetime_snapshot.followers_count",
+  "net_follower_growth",
+  "impressions",
+  "saves",
+  "pin_clicks",
+  "outbound_clicks",
+  "posts_sent_count",
+];
+
+// Sheet columns, in order
+const COLUMNS = [
+  ...columns.dimensionColumns(),
+  columns.metricColumn(
+    "Lifetime Followers Count",
+    "lifetime_snapshot.followers_count"
+  ),
+  columns.metricColumn("Net Follower Growth", "net_follower_growth"),
+  columns.metricColumn("Total Impressions", "impressions"),
+  columns.metricColumn("Total Saves", "saves"),
+  columns.metricColumn("Total Pin Clicks", "pin_clicks"),
+  columns.metricColumn("Total Outbound Clicks", "outbound_clicks"),
+  columns.metricColumn("Pins Published Count", "posts_sent_count"),
+  columns.totalColumn(
+    "Total Engagement Actions",
+    ["Total Saves", "Total Pin Clicks", "Total Outbound Clicks"]
+  ),
+  columns.rateColumn(
+    "Engagement Rate % (per Impression)",
+    "Total Engagement Actions",
+    "Total Impressions"
+  ),
+  columns.rateColumn(
+    "Engagement Rate % (per Follower)",
+    "Total Engagement Actions",
+    "Lifetime Followers Count"
+  ),
+  columns.rateColumn(
+    "Outbound Click-Through Rate %",
+    "Total Outbound Clicks",
+    "Total Impressions"
+  ),
+];
+
+// Sheet headers
+const HEADERS = columns.getHeaders(COLUMNS);
+
+// Row of a data point, built from COLUMNS
+const formatAnalyticsData = columns.createRowFormatter("Pinterest", COLUMNS);
+
+/**
+ * Setup Pinterest sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update Pinterest sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options (mode: "upsert" or "append")
+ * @returns {Promise<boolean>} Success status
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, {
+    ...options,
+    headers: HEADERS,
+  });
+};
+
+module.exports = {
+  NETWORK,
+  NETWORK_TYPES,
+  SHEET_NAME,
+  TAB_ORDER,
+  COLUMNS,
+  HEADERS,
+  METRICS,
+  formatAnalyticsData,
+  setupHeaders,
+  updateSheet,
+};
@@ -0,0 +1,101 @@
+/**
+ * TikTok analytics processing module
+ */
+const columns = require("../utils/columns");
+
+// Network key and the Sprout network types reported on its tab
+const NETWORK = "tiktok";
+const NETWORK_TYPES = ["tiktok"];
+
+// Sheet configuration
+const SHEET_NAME = "Tiktok";
+// Position of the tab in reports, lowest first
+const TAB_ORDER = 60;
+
+// Sprout metrics requested for TikTok profiles (everything formatAnalyticsData reads)
+const METRICS = [
+  "lifetime_snapshot.followers_count",
+  "net_follower_growth",
+  "video_views",
+  "profile_views",
+  "likes",
+  "comments_count",
+  "shares_count",
+  "posts_sent_count",
+];
+
+// Sheet columns, in order
+const COLUMNS = [
+  ...columns.dimensionColumns(),
+  columns.metricColumn(
+    "Lifetime Followers Count",
+    "lifetime_snapshot.followers_count"
+  ),
+  columns.metricColumn("Net Follower Growth", "net_follower_growth"),
+  columns.metricColumn("Total Video Views", "video_views"),
+  columns.metricColumn("Total Profile Views", "profile_views"),
+  columns.metricColumn("Total Likes", "likes"),
+  columns.metricColumn("Total Comments", "comments_count"),
+  columns.metricColumn("Total Shares", "shares_count"),
+  columns.metricColumn("Posts Published Count", "posts_sent_count"),
+  columns.totalColumn(
+    "Total Engagement Actions",
+    ["Total Likes", "Total Comments", "Total Shares"]
+  ),
+  columns.rateColumn(
+    "Engagement Rate % (per View)",
+    "Total Engagement Actions",
+    "Total Video Views"
+  ),
+  columns.rateColumn(
+    "Engagement Rate % (per Follower)",
+    "Total Engagement Actions",
+    "Lifetime Followers Count"
+  ),
+];
+
+// Sheet headers
+const HEADERS = columns.getHeaders(COLUMNS);
+
+// Row of a data point, built from COLUMNS
+const formatAnalyticsData = columns.createRowFormatter("TikTok", COLUMNS);
+
+/**
+ * Setup TikTok sheet headers
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Promise<boolean>} Success status
+ */
+const setupHeaders = async (sheetsUtil, auth, spreadsheetId) => {
+  return sheetsUtil.setupSheetHeaders(auth, spreadsheetId, SHEET_NAME, HEADERS);
+};
+
+/**
+ * Update TikTok sheet with data
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Data rows
+ * @param {Object} [options] - Write options (mode: "upsert" or "append")
+ * @returns {Promise<boolean>} Success status
+ */
+const updateSheet = async (sheetsUtil, auth, spreadsheetId, rows, options = {}) => {
+  return sheetsUtil.updateSheet(auth, spreadsheetId, rows, SHEET_NAME, {
+    ...options,
+    headers: HEADERS,
+  });
+};
+
+module.exports = {
+  NETWORK,
+  NETWORK_TYPES,
+  SHEET_NAME,
+  TAB_ORDER,
+  COLUMNS,
+  HEADERS,
+  METRICS,
+  formatAnalyticsData,
+  setupHeaders,
+  updateSheet,
+};
@@ -17,6 +17,12 @@ const apiUtils = require('./utils/api');
 const sheetsUtils = require('./utils/sheets');
 const driveUtils = require('./utils/simple-drive');
 const groupUtils = require('./utils/groups');
+const cliOptions = require('./utils/cli-options');
+const metricCatalogue = require('./utils/metrics');
+const aggregation = require('./utils/aggregation');
+const responseCache = require('./utils/response-cache');
+const { sproutClient, isAuthError } = require('./utils/sprout-client');
+const postsUtils = require('./utils/posts');
 
 /**
  * Sleep for a specified duration
@@ -25,16 +31,26 @@ const groupUtils = require('./utils/groups');
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Import platform modules
-const instagram = require('./platforms/instagram');
-const youtube = require('./platforms/youtube');
-const linkedin = require('./platforms/linkedin');
-const facebook = require('./platforms/facebook');
-const twitter = require('./platforms/twitter');
+// Platform modules, looked up by network key or Sprout network type
+const platforms = require('./platforms');
 
-// API & Authentication
-const CUSTOMER_ID = "2426451";
-const SPROUT_API_TOKEN = "MjQyNjQ1MXwxNzQyNzk4MTc4fDQ0YmU1NzQ4LWI1ZDAtNDhkMi04ODQxLWE1YzM1YmI4MmNjNQ==";
+// API & Authentication (override with SPROUT_CUSTOMER_ID / SPROUT_API_TOKEN, e.g. for the mock server)
+const CUSTOMER_ID = process.env.SPROUT_CUSTOMER_ID || "2426451";
+const SPROUT_API_TOKEN = process.env.SPROUT_API_TOKEN || "MjQyNjQ1MXwxNzQyNzk4MTc4fDQ0YmU1NzQ4LWI1ZDAtNDhkMi04ODQxLWE1YzM1YmI4MmNjNQ==";
+
+// Options this script honours; outputs other than Google Sheets, formulas and the history store are group-analytics.js only
+const SUPPORTED_OPTIONS = ['concurrency', 'granularity', 'cacheMode', 'cacheDir', 'writeMode', 'posts'];
+
+// Run options from command line flags or environment variables (e.g. --concurrency 4); invalid or unsupported flags stop the run
+const RUN_OPTIONS = cliOptions.parseOptionsOrExit(process.argv.slice(2), process.env, SUPPORTED_OPTIONS);
+
+// Serve/record Sprout responses from the local cache when a cache mode is set
+sproutClient.useCache(
+  responseCache.createResponseCache({
+    mode: RUN_OPTIONS.cacheMode,
+    dir: RUN_OPTIONS.cacheDir
+  })
+);
 
 // Get yesterday's date in YYYY-MM-DD format for more complete analytics data
 const getCurrentDate = () => {
@@ -57,9 +73,11 @@ const END_DATE = getCurrentDate();   // Today's date as end date
 const DESCRIPTION = 'Q1 2025';
 
 // Sprout Social API endpoints
-const BASE_URL = "https://api.sproutsocial.com/v1";
+// Point SPROUT_BASE_URL at mock-sprout-server.js to run without the real API
+const BASE_URL = process.env.SPROUT_BASE_URL || "https://api.sproutsocial.com/v1";
 const METADATA_URL = `${BASE_URL}/${CUSTOMER_ID}/metadata/customer`;
 const ANALYTICS_URL = `${BASE_URL}/${CUSTOMER_ID}/analytics/profiles`;
+const POSTS_URL = `${BASE_URL}/${CUSTOMER_ID}/analytics/posts`;
 
 /**
  * Process analytics data for a group
@@ -147,43 +165,16 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
     }
     
     // Group profiles by network type
-    const profilesByNetwork = {};
-    for (const profile of profiles) {
-      // Map network types to our simplified types
-      const networkTypeMapping = {
-        'linkedin_company': 'linkedin',
-        'fb_instagram_account': 'instagram',
-        'fb_page': 'facebook',
-        'youtube_channel': 'youtube',
-        'twitter_profile': 'twitter'
-      };
-      
-      // Get our simplified network type
-      const networkType = networkTypeMapping[profile.network_type] || profile.network_type.toLowerCase();
-      
-      if (!profilesByNetwork[networkType]) {
-        profilesByNetwork[networkType] = [];
-      }
-      
-      profilesByNetwork[networkType].push(profile);
-    }
-    
-    // Create sheets for each network type that has profiles
-    const networkModules = {
-      instagram,
-      youtube,
-      linkedin,
-      facebook,
-      twitter
-    };
+    const profilesByNetwork = groupUtils.groupProfilesByNetworkType(profiles);
     
     // Keep track of which sheets we've created
     const createdSheets = [];
     
     // Create sheets for each network type
     for (const [networkType, networkProfiles] of Object.entries(profilesByNetwork)) {
-      if (networkProfiles.length > 0) {
-        const sheetName = networkType.charAt(0).toUpperCase() + networkType.slice(1);
+      const module = platforms.getPlatform(networkType);
+      if (networkProfiles.length > 0 && module) {
+        const sheetName = module.SHEET_NAME;
         
         try {
           // Check if sheet already exists
@@ -218,8 +209,7 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
           createdSheets.push(sheetName);
           
           // Set up headers
-          const module = networkModules[networkType];
-          if (module && module.setupHeaders) {
+          if (module.setupHeaders) {
             await module.setupHeaders(sheetsUtils, auth, spreadsheetId);
           }
         } catch (error) {
@@ -282,7 +272,11 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
       SPROUT_API_TOKEN,
       START_DATE,
       END_DATE,
-      profileIds
+      profileIds,
+      {
+        concurrency: RUN_OPTIONS.concurrency,
+        metricsByProfile: metricCatalogue.getMetricsByProfile(profiles)
+      }
     );
     
     // Log the raw data for debugging
@@ -303,10 +297,13 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
       }];
     }
     
+    // Roll daily data points up to the run's granularity (weekly/monthly rows)
+    const dataPoints = aggregation.aggregateDataPoints(analyticsData.data, RUN_OPTIONS.granularity);
+    
     // Group data by profile and date
     const dataByProfileAndDate = {};
     
-    for (const dataPoint of analyticsData.data) {
+    for (const dataPoint of dataPoints) {
       const customerProfileId = dataPoint.dimensions?.customer_profile_id;
       const reportingPeriod = dataPoint.dimensions?.['reporting_period.by(day)'] || dataPoint.dimensions?.reporting_period;
       
@@ -325,13 +322,7 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
     }
     
     // Process data for each profile
-    const rowsByNetwork = {
-      instagram: [],
-      youtube: [],
-      linkedin: [],
-      facebook: [],
-      twitter: []
-    };
+    const rowsByNetwork = platforms.createNetworkBuckets();
     
     for (const { profileId, date, dataPoint } of Object.values(dataByProfileAndDate)) {
       const profile = profiles.find(p => p.customer_profile_id === parseInt(profileId));
@@ -340,21 +331,12 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
         continue;
       }
       
-      // Map network types to our simplified types
-      const networkTypeMapping = {
-        'linkedin_company': 'linkedin',
-        'fb_instagram_account': 'instagram',
-        'fb_page': 'facebook',
-        'youtube_channel': 'youtube',
-        'twitter_profile': 'twitter'
-      };
+      // Get our network key from the platform registry
+      const module = platforms.getPlatformForNetworkType(profile.network_type);
+      const networkType = module && module.NETWORK;
+      console.log(`Processing data for profile ${profile.name} (${profileId}) with network type: ${profile.network_type} → ${networkType || '(none)'}`);
       
-      // Get our simplified network type
-      const networkType = networkTypeMapping[profile.network_type] || profile.network_type.toLowerCase();
-      console.log(`Processing data for profile ${profile.name} (${profileId}) with network type: ${profile.network_type} → ${networkType}`);
-      
-      const module = networkModules[networkType];
-      if (module && module.formatAnalyticsData) {
+      if (module) {
         const row = module.formatAnalyticsData(dataPoint, profile);
         if (row) {
           rowsByNetwork[networkType].push(row);
@@ -363,7 +345,7 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
           console.log(`No row generated for ${networkType} profile ${profile.name}`);
         }
       } else {
-        console.log(`No formatter found for network type: ${networkType}`);
+        console.log(`No formatter found for network type: ${profile.network_type}`);
       }
     }
     
@@ -372,12 +354,12 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
     
     for (const [networkType, rows] of Object.entries(rowsByNetwork)) {
       if (rows.length > 0) {
-        const sheetName = networkType.charAt(0).toUpperCase() + networkType.slice(1);
+        const module = platforms.getPlatform(networkType);
+        const sheetName = module && module.SHEET_NAME;
         if (createdSheets.includes(sheetName)) {
-          const module = networkModules[networkType];
-          if (module && module.updateSheet) {
+          if (module.updateSheet) {
             console.log(`Updating ${sheetName} sheet with ${rows.length} rows`);
-            updatePromises.push(module.updateSheet(sheetsUtils, auth, spreadsheetId, rows));
+            updatePromises.push(module.updateSheet(sheetsUtils, auth, spreadsheetId, rows, { mode: RUN_OPTIONS.writeMode }));
           } else {
             console.log(`No updateSheet method found for ${networkType}`);
           }
@@ -391,6 +373,18 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
     
     await Promise.all(updatePromises);
     
+    // Export the individual posts behind the daily numbers to "<Network> Posts" tabs
+    if (RUN_OPTIONS.posts) {
+      const postsData = await postsUtils.getPostsData(POSTS_URL, SPROUT_API_TOKEN, START_DATE, END_DATE, profileIds);
+      if (postsData) {
+        const postRowsByNetwork = postsUtils.formatPostsByNetwork(postsData.data, profilesByNetwork);
+        const postsWritten = await postsUtils.writePostsSheets(sheetsUtils, auth, spreadsheetId, postRowsByNetwork);
+        console.log(`Wrote ${postsWritten} post rows for ${groupName} (${postsData.totalRows} posts fetched)`);
+      } else {
+        console.log(`No posts found for group ${groupName}`);
+      }
+    }
+    
     console.log(`Completed processing for group ${groupName}`);
     console.log(`Spreadsheet URL: https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`);
     
@@ -406,6 +400,8 @@ const processGroupAnalytics = async (groupId, groupName, profiles, googleClients
       status: 'Completed'
     }];
   } catch (error) {
+    // A rejected Sprout token fails every group the same way, so stop the run
+    if (isAuthError(error)) throw error;
     console.error(`Error processing group ${groupName}: ${error.message}`);
     return [{
       groupId,
@@ -619,6 +615,7 @@ const main = async () => {
             allResults.push(...results);
           }
         } catch (error) {
+          if (isAuthError(error)) throw error;
           console.error(`Error processing group ${groupName}: ${error.message}`);
         }
         console.log(`Short delay before processing the next group...`);
@@ -652,6 +649,10 @@ const main = async () => {
     if (error.stack) {
       console.error(error.stack);
     }
+    if (isAuthError(error)) {
+      console.error('Sprout rejected the API token. Check SPROUT_API_TOKEN and its permissions.');
+      process.exitCode = 1;
+    }
   }
 };
 
@@ -0,0 +1,317 @@
+/**
+ * CSV and NDJSON export sink
+ *
+ * Writes the analytics rows of each report to local files for warehouse loads and notebooks,
+ * partitioned by group and month:
+ *
+ *   <outputDir>/<group>/<YYYY-MM>/<Network>.csv      one file per network tab, with its HEADERS
+ *   <outputDir>/<group>/<YYYY-MM>/analytics.ndjson   one normalized record per row and metric
+ *
+ * The CSVs an earlier run wrote are loaded first, so completeness and upserts work the same
+ * as in the spreadsheet sinks. Summary rows and post rows are not exported.
+ */
+const fs = require("fs");
+const path = require("path");
+const sheetsUtils = require("../utils/sheets");
+const platforms = require("../platforms");
+const { formatCsv, parseCsv } = require("../utils/csv");
+
+// Columns that describe a row rather than hold a metric
+const DIMENSION_HEADERS = [
+  "Date",
+  "Network Type",
+  "Profile Name",
+  "Network ID",
+  "Profile ID",
+];
+
+// Name of the normalized records file in each partition
+const RECORDS_FILE_NAME = "analytics.ndjson";
+
+/**
+ * Make a name safe to use as a file or directory name
+ * @param {string} name - Group, tab or report name
+ * @returns {string} Safe name
+ */
+const toFileName = (name) => String(name).replace(/[\\/:*?"<>|]+/g, "-").trim();
+
+/**
+ * Get the partition directory of a report
+ * @param {string} outputDir - Export root directory
+ * @param {string} groupName - Group name
+ * @param {string} startDate - First day of the report period (YYYY-MM-DD)
+ * @returns {string} Absolute directory path, e.g. "reports/Brand/2024-01"
+ */
+const getPartitionDir = (outputDir, groupName, startDate) => {
+  return path.resolve(outputDir, toFileName(groupName), startDate.slice(0, 7));
+};
+
+/**
+ * Write a file through a temporary file so an interrupted run never leaves half a file
+ * @param {string} filePath - File path
+ * @param {string} contents - File contents
+ */
+const writeFileAtomic = (filePath, contents) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Convert a cell to a record value; numbers read back from a CSV become numbers again
+ * @param {any} value - Cell value
+ * @returns {number|string} Record value
+ */
+const toRecordValue = (value) => {
+  if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Normalize the rows of a network tab to one record per metric
+ * @param {string} groupName - Group name
+ * @param {string} tabName - Network tab name, e.g. "Instagram"
+ * @param {Array<Array>} grid - Tab rows, header first
+ * @returns {Array<Object>} Records with group, network, profile, date, metric and value
+ */
+const buildRecords = (groupName, tabName, grid) => {
+  const [headers = [], ...rows] = grid;
+  const column = (header) => headers.indexOf(header);
+  const keyColumns = sheetsUtils.getKeyColumns(headers);
+  const platform = platforms.getPlatformForSheet(tabName);
+  // Tabs no platform writes any more keep a key derived from their name
+  const network = platform
+    ? platform.NETWORK
+    : tabName.toLowerCase().replace(/\s+/g, "_");
+  const records = [];
+
+  rows.forEach((row) => {
+    headers.forEach((header, index) => {
+      if (DIMENSION_HEADERS.includes(header)) return;
+      const value = row[index];
+      if (value === undefined || value === null || value === "") return;
+
+      records.push({
+        group: groupName,
+        network,
+        network_type: row[column("Network Type")] ?? "",
+        profile_id: String(row[keyColumns.profileId] ?? ""),
+        profile_name: row[column("Profile Name")] ?? "",
+        date: row[keyColumns.date],
+        metric: header,
+        value: toRecordValue(value),
+      });
+    });
+  });
+
+  return records;
+};
+
+/**
+ * Sort records by network, profile and date so every run writes them in the same order
+ * Records of the same row keep their column order.
+ * @param {Array<Object>} records - Records from buildRecords
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortRecords = (records) => {
+  return [...records].sort(
+    (a, b) =>
+      a.network.localeCompare(b.network) ||
+      a.profile_id.localeCompare(b.profile_id, undefined, { numeric: true }) ||
+      String(a.date).localeCompare(String(b.date))
+  );
+};
+
+/**
+ * Create the export sink
+ * @param {Object} context - Sink context
+ * @param {string} [context.outputDir="reports"] - Directory the partitions are written to
+ * @returns {{name: string, openReport: Function}} Sink
+ */
+const createExportSink = ({ outputDir = "reports" } = {}) => {
+  /**
+   * Open the partition of a report, loading the CSVs an earlier run wrote
+   * @param {Object} details - Report details
+   * @param {string} details.groupName - Group name
+   * @param {string} details.startDate - First day of the report period
+   * @returns {Promise<Object>} Report
+   */
+  const openReport = async ({ groupName, startDate }) => {
+    const partitionDir = getPartitionDir(outputDir, groupName, startDate);
+
+    // Rows of each tab, header first
+    const grids = new Map();
+    // (date, profile ID) keys of each tab, built on first use
+    const rowKeys = new Map();
+
+    if (fs.existsSync(partitionDir)) {
+      fs.readdirSync(partitionDir)
+        .filter((fileName) => fileName.endsWith(".csv"))
+        .forEach((fileName) => {
+          const filePath = path.join(partitionDir, fileName);
+          try {
+            const grid = parseCsv(fs.readFileSync(filePath, "utf8"));
+            grids.set(path.basename(fileName, ".csv"), grid);
+          } catch (error) {
+            console.warn(
+              `Could not load ${filePath}: ${error.message}. It will be rewritten.`
+            );
+          }
+        });
+      console.log(
+        `Loaded ${grids.size} existing CSV file(s) from ${path.relative(process.cwd(), partitionDir)}`
+      );
+    }
+
+    /**
+     * Get the keys of a tab
+     * @param {string} tabName - Tab name
+     * @returns {{keys: Map<string, number>, rowCount: number}} Keys and used rows
+     */
+    const getRowKeys = (tabName) => {
+      if (!rowKeys.has(tabName)) {
+        const grid = grids.get(tabName) || [];
+        const keyColumns = sheetsUtils.getKeyColumns(grid[0]);
+        rowKeys.set(
+          tabName,
+          sheetsUtils.parseRowKeys(
+            grid.map((row) => [row[keyColumns.date]]),
+            grid.map((row) => [row[keyColumns.profileId]]),
+            grid.map((row) => [row[keyColumns.label]])
+          )
+        );
+      }
+      return rowKeys.get(tabName);
+    };
+
+    /**
+     * Create a tab if it doesn't exist yet
+     * @param {string} tabName - Tab name
+     */
+    const ensureTab = (tabName) => {
+      if (!grids.has(tabName)) grids.set(tabName, []);
+    };
+
+    /**
+     * Set the header row of a tab, dropping its rows if they were written under other headers
+     * @param {string} tabName - Tab name
+     * @param {Array<string>} headers - Header values
+     */
+    const writeHeader = (tabName, headers) => {
+      ensureTab(tabName);
+      const grid = grids.get(tabName);
+      // Rows under another column layout can't be upserted, so the file is rebuilt and refetched
+      if (!sheetsUtils.headersMatch(grid[0], headers)) {
+        console.warn(
+          `The header of ${tabName}.csv is from another column layout. Rebuilding it: its ${grid.length - 1} row(s) will be fetched again.`
+        );
+        grid.length = 0;
+        rowKeys.delete(tabName);
+      }
+      grid[0] = headers;
+    };
+
+    /**
+     * Read the (date, profile ID) keys of several tabs
+     * @param {Object} headersByTab - Tab headers keyed by tab name
+     * @returns {Promise<Map<string, {keys: Map<string, number>, rowCount: number}>>} Keys per tab
+     */
+    const readRowKeys = async (headersByTab) => {
+      return new Map(
+        Object.keys(headersByTab).map((tabName) => [tabName, getRowKeys(tabName)])
+      );
+    };
+
+    /**
+     * Overwrite rows whose (date, profile ID) key is already in a tab and append the rest
+     * @param {string} tabName - Tab name
+     * @param {Array} rows - Data rows
+     * @param {Object} [options] - Upsert options (headers, mode)
+     * @returns {{updated: number, appended: number, skipped: number}} Row counts
+     */
+    const upsertRows = (tabName, rows, options = {}) => {
+      ensureTab(tabName);
+      const grid = grids.get(tabName);
+      const { data, updated, appended, skipped } = sheetsUtils.planUpsert(
+        getRowKeys(tabName),
+        rows,
+        tabName,
+        options
+      );
+
+      // Each planned range is a single row, e.g. "Instagram!A5:W5"
+      data.forEach(({ range, values }) => {
+        const rowNumber = parseInt(range.split("!")[1].match(/\d+/)[0], 10);
+        grid[rowNumber - 1] = values[0];
+      });
+
+      return { updated, appended, skipped };
+    };
+
+    /**
+     * Write the CSV of every tab with rows and the normalized records of the partition
+     * @returns {Promise<{location: string|null}>} Partition directory, or null if it couldn't be written
+     */
+    const finalize = async () => {
+      try {
+        fs.mkdirSync(partitionDir, { recursive: true });
+
+        const records = [];
+        let files = 0;
+        for (const [tabName, grid] of grids) {
+          // Rows are only ever added at the end, but fill any gap so every line is a row
+          const rows = Array.from(grid, (row) => row || []);
+          if (rows.length < 2) continue;
+
+          writeFileAtomic(
+            path.join(partitionDir, `${toFileName(tabName)}.csv`),
+            formatCsv(rows)
+          );
+          records.push(...buildRecords(groupName, tabName, rows));
+          files++;
+        }
+
+        writeFileAtomic(
+          path.join(partitionDir, RECORDS_FILE_NAME),
+          sortRecords(records)
+            .map((record) => JSON.stringify(record))
+            .join("\n") +
+            (records.length > 0 ? "\n" : "")
+        );
+
+        console.log(
+          `Exported ${files} CSV file(s) and ${records.length} records to ${path.relative(process.cwd(), partitionDir)}`
+        );
+        return { location: partitionDir };
+      } catch (error) {
+        console.error(`Error exporting to ${partitionDir}: ${error.message}`);
+        return { location: null };
+      }
+    };
+
+    return {
+      name: "export",
+      location: partitionDir,
+      ensureTab,
+      writeHeader,
+      readRowKeys,
+      upsertRows,
+      // Summary rows are derived from the data rows, so they are left out of the export
+      writeSummary: () => 0,
+      // Post rows are not part of the analytics export
+      upsertRowsByKey: async () => 0,
+      finalize,
+    };
+  };
+
+  return { name: "export", openReport };
+};
+
+module.exports = {
+  getPartitionDir,
+  buildRecords,
+  sortRecords,
+  createExportSink,
+};
@@ -0,0 +1,395 @@
+/**
+ * Google Sheets output sink
+ *
+ * Writes each report to a spreadsheet in the report's Drive folder. Spreadsheets are
+ * found again by name on later runs, and all writes for a report are batched through
+ * the write planner (utils/sheet-write-planner.js) and sent when the report is finalized.
+ */
+const driveUtils = require("../utils/drive");
+const columns = require("../utils/columns");
+const sheetWritePlanner = require("../utils/sheet-write-planner");
+
+// Styling applied to every network tab
+const SHEET_STYLES = {
+  header: {
+    backgroundColor: { red: 0.2, green: 0.2, blue: 0.2 },
+    textColor: { red: 1, green: 1, blue: 1 },
+    bold: true,
+    fontSize: 11,
+    horizontalAlignment: "CENTER",
+    verticalAlignment: "MIDDLE",
+  },
+  data: {
+    fontSize: 10,
+    horizontalAlignment: "LEFT",
+    verticalAlignment: "MIDDLE",
+  },
+  summaryRow: {
+    backgroundColor: { red: 0.2, green: 0.2, blue: 0.2 },
+    textColor: { red: 1, green: 1, blue: 1 },
+    bold: true,
+    fontSize: 11,
+    horizontalAlignment: "CENTER",
+    verticalAlignment: "MIDDLE",
+  },
+};
+
+/**
+ * Build the styling requests for a network tab
+ * @param {number} sheetId - Sheet ID of the tab
+ * @param {Array<string|Object>} tabColumns - Column descriptors (utils/columns.js), or header names
+ * @returns {Array<Object>} batchUpdate requests
+ */
+const buildSheetStylingRequests = (sheetId, tabColumns) => {
+  const requests = [];
+
+  // Style header row
+  requests.push({
+    repeatCell: {
+      range: {
+        sheetId,
+        startRowIndex: 0,
+        endRowIndex: 1,
+      },
+      cell: {
+        userEnteredFormat: {
+          backgroundColor: SHEET_STYLES.header.backgroundColor,
+          textFormat: {
+            foregroundColor: SHEET_STYLES.header.textColor,
+            bold: SHEET_STYLES.header.bold,
+            fontSize: SHEET_STYLES.header.fontSize,
+          },
+          horizontalAlignment: SHEET_STYLES.header.horizontalAlignment,
+          verticalAlignment: SHEET_STYLES.header.verticalAlignment,
+        },
+      },
+      fields:
+        "userEnteredFormat(backgroundColor,textFormat,horizontalAlignment,verticalAlignment)",
+    },
+  });
+
+  // Style data rows
+  requests.push({
+    repeatCell: {
+      range: {
+        sheetId,
+        startRowIndex: 1,
+      },
+      cell: {
+        userEnteredFormat: {
+          fontSize: SHEET_STYLES.data.fontSize,
+          horizontalAlignment: SHEET_STYLES.data.horizontalAlignment,
+          verticalAlignment: SHEET_STYLES.data.verticalAlignment,
+        },
+      },
+      fields:
+        "userEnteredFormat(fontSize,horizontalAlignment,verticalAlignment)",
+    },
+  });
+
+  // Number formats of the date, number and percent columns
+  columns.getColumnFormats(tabColumns).forEach(({ index, numberFormat }) => {
+    requests.push({
+      repeatCell: {
+        range: {
+          sheetId,
+          startColumnIndex: index,
+          endColumnIndex: index + 1,
+        },
+        cell: {
+          userEnteredFormat: { numberFormat },
+        },
+        fields: "userEnteredFormat.numberFormat",
+      },
+    });
+  });
+
+  return requests;
+};
+
+/**
+ * Build the styling request for monthly summary rows
+ * @param {number} sheetId - Sheet ID of the tab
+ * @param {number} rowIndex - 0-based index of the first summary row
+ * @param {number} [rowCount=1] - Number of summary rows
+ * @returns {Object} batchUpdate request
+ */
+const buildSummaryRowStylingRequest = (sheetId, rowIndex, rowCount = 1) => ({
+  repeatCell: {
+    range: {
+      sheetId,
+      startRowIndex: rowIndex,
+      endRowIndex: rowIndex + rowCount,
+    },
+    cell: {
+      userEnteredFormat: {
+        backgroundColor: SHEET_STYLES.summaryRow.backgroundColor,
+        textFormat: {
+          foregroundColor: SHEET_STYLES.summaryRow.textColor,
+          bold: SHEET_STYLES.summaryRow.bold,
+          fontSize: SHEET_STYLES.summaryRow.fontSize,
+        },
+        horizontalAlignment: SHEET_STYLES.summaryRow.horizontalAlignment,
+        verticalAlignment: SHEET_STYLES.summaryRow.verticalAlignment,
+      },
+    },
+    fields:
+      "userEnteredFormat(backgroundColor,textFormat,horizontalAlignment,verticalAlignment)",
+  },
+});
+
+/**
+ * Create report operations backed by a spreadsheet
+ * Shared by every sink that ends up in the Sheets data model (Google Sheets and the local xlsx sink).
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Object} [options] - Report options
+ * @param {boolean} [options.formulas=false] - Write derived columns and summaries as formulas
+ * @returns {Promise<Object>} Report operations (without location/finalize)
+ */
+const createSheetsReport = async (
+  sheets,
+  spreadsheetId,
+  { formulas = false } = {}
+) => {
+  const planner = sheetWritePlanner.createSheetWritePlanner(
+    sheets,
+    spreadsheetId
+  );
+  await planner.load();
+  // Column descriptors of each tab, for its formulas
+  const columnsByTab = new Map();
+
+  /**
+   * Create a tab if it doesn't exist yet and queue its styling
+   * @param {string} tabName - Tab name
+   * @param {Array<string|Object>} tabColumns - Column descriptors or headers, used for the number formats
+   */
+  const ensureTab = (tabName, tabColumns) => {
+    const sheetId = planner.ensureSheet(tabName);
+    planner.addRequests(buildSheetStylingRequests(sheetId, tabColumns));
+    columnsByTab.set(tabName, columns.toColumns(tabColumns));
+  };
+
+  /**
+   * Get the column descriptors of a tab when its derived cells are written as formulas
+   * @param {string} tabName - Tab name
+   * @returns {Array<Object>|null} Column descriptors, or null when the tab is written as values
+   */
+  const getFormulaColumns = (tabName) => {
+    const tabColumns = columnsByTab.get(tabName);
+    return formulas && tabColumns && columns.hasFormulas(tabColumns)
+      ? tabColumns
+      : null;
+  };
+
+  /**
+   * Write the header row of a tab
+   * @param {string} tabName - Tab name
+   * @param {Array<string>} headers - Header values
+   */
+  const writeHeader = (tabName, headers) => {
+    planner.setHeaders(tabName, headers);
+  };
+
+  /**
+   * Write the monthly summary block of a tab after its data rows, styled
+   * One row per profile and a group total, built from every data row of the tab (the ones
+   * already there and the ones queued). Summary rows of earlier runs were removed by upsertRows.
+   * @param {string} tabName - Tab name
+   * @returns {number} Number of summary rows written
+   */
+  const writeSummary = (tabName) => {
+    const tabColumns = columnsByTab.get(tabName);
+    if (!tabColumns) return 0;
+    const dataRows = planner.getDataRowsByNumber(tabName);
+    const summaryRows = columns.getMonthlySummaryRows(tabColumns, [
+      ...dataRows.values(),
+    ]);
+    if (summaryRows.length === 0) return 0;
+
+    const formulaColumns = getFormulaColumns(tabName);
+    const rows = formulaColumns
+      ? columns.getSummaryFormulas(
+          formulaColumns,
+          summaryRows,
+          planner.getNextRow(tabName),
+          dataRows
+        )
+      : summaryRows;
+    const rowNumber = planner.appendRows(tabName, rows, "USER_ENTERED");
+    planner.addRequests([
+      buildSummaryRowStylingRequest(
+        planner.getSheetId(tabName),
+        rowNumber - 1,
+        rows.length
+      ),
+    ]);
+    return rows.length;
+  };
+
+  /**
+   * Queue data rows, overwriting rows with the same (date, profile ID) and appending the rest
+   * Summary rows of earlier runs are deleted first, so the data stays in one block above the
+   * summary writeSummary adds. With formulas on, derived cells are written as formulas over the same row.
+   * @param {string} tabName - Tab name
+   * @param {Array} rows - Data rows
+   * @param {Object} [options] - Write options (headers, mode)
+   * @returns {{updated: number, appended: number, skipped: number}} What will be written
+   */
+  const upsertRows = (tabName, rows, options = {}) => {
+    planner.deleteSummaryRows(tabName);
+
+    const tabColumns = getFormulaColumns(tabName);
+    if (!tabColumns) return planner.upsertRows(tabName, rows, options);
+
+    return planner.upsertRows(tabName, rows, {
+      ...options,
+      formulas: (rowNumber) => columns.getRowFormulas(tabColumns, rowNumber),
+    });
+  };
+
+  /**
+   * Overwrite rows whose key column value is already in the tab and append the rest (e.g. posts by permalink)
+   * Every tab is read in one call, and rows go through the same upsert plan as the network tabs.
+   * @param {Object} rowsByTab - Rows keyed by tab name
+   * @param {Object} options - Write options
+   * @param {Array} options.headers - Headers shared by the tabs
+   * @param {number} options.keyIndex - 0-based index of the key column
+   * @returns {Promise<number>} Number of rows written
+   */
+  const upsertRowsByKey = async (rowsByTab, { headers, keyIndex }) => {
+    const headersByTab = {};
+    Object.keys(rowsByTab).forEach((tabName) => {
+      headersByTab[tabName] = headers;
+    });
+    await planner.readRowKeys(headersByTab, { keyIndex });
+
+    let written = 0;
+    Object.entries(rowsByTab).forEach(([tabName, rows]) => {
+      const { updated, appended } = planner.upsertRows(tabName, rows, {
+        keyIndex,
+      });
+      console.log(
+        `${tabName}: ${rows.length} rows, ${updated} already in the sheet and updated, ${appended} to add`
+      );
+      written += updated + appended;
+    });
+
+    return written;
+  };
+
+  return {
+    ensureTab,
+    writeHeader,
+    readRowKeys: planner.readRowKeys,
+    upsertRows,
+    writeSummary,
+    upsertRowsByKey,
+    flush: planner.flush,
+  };
+};
+
+/**
+ * Build the title a report's spreadsheet gets on each run
+ * @param {string} reportName - Report name
+ * @returns {string} Title with the time of this update
+ */
+const getSpreadsheetTitle = (reportName) => {
+  const now = new Date();
+  const formattedDate = now.toLocaleDateString("en-GB"); // e.g., 06/05/2025
+  const formattedTime = now.toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+  }); // e.g., 11:42 pm
+  return `${reportName} - Last Updated ${formattedDate} ${formattedTime}`;
+};
+
+/**
+ * Create the Google Sheets sink
+ * @param {Object} context - Sink context
+ * @param {Object} context.googleClients - Authenticated Google API clients (drive, sheets)
+ * @param {boolean} [context.formulas=false] - Write derived columns and summaries as formulas
+ * @returns {{name: string, openReport: Function}} Sink
+ */
+const createGoogleSheetsSink = ({ googleClients, formulas = false }) => {
+  if (!googleClients || !googleClients.drive || !googleClients.sheets) {
+    throw new Error("The Google Sheets sink needs authenticated Google API clients");
+  }
+  const { drive, sheets } = googleClients;
+
+  /**
+   * Find or create the spreadsheet for a report
+   * @param {Object} details - Report details
+   * @param {string} details.reportName - Report name, e.g. "Sprout Analytics - Brand - Monthly Report - January 2024"
+   * @param {string} details.folderId - Drive folder of the report
+   * @returns {Promise<Object|null>} Report, or null if the spreadsheet couldn't be created
+   */
+  const openReport = async ({ reportName, folderId }) => {
+    const spreadsheetTitle = getSpreadsheetTitle(reportName);
+
+    // First check if a spreadsheet for this report already exists by pattern matching
+    const existingSpreadsheet = await driveUtils.findSpreadsheetByPattern(
+      drive,
+      reportName,
+      folderId
+    );
+
+    let spreadsheetId;
+    if (existingSpreadsheet) {
+      // Use the existing spreadsheet; its title is updated once the report is written
+      spreadsheetId = existingSpreadsheet.id;
+      console.log(
+        `Found existing spreadsheet: "${existingSpreadsheet.name}" (${spreadsheetId})`
+      );
+    } else {
+      console.log(
+        `No existing spreadsheet found. Creating a new one: "${spreadsheetTitle}"`
+      );
+      spreadsheetId = await driveUtils.createSpreadsheet(
+        sheets,
+        drive,
+        spreadsheetTitle,
+        folderId
+      );
+      if (!spreadsheetId) {
+        console.error(
+          `Failed to create spreadsheet "${spreadsheetTitle}" in folder ${folderId}`
+        );
+        return null;
+      }
+    }
+
+    const location = `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`;
+    const report = await createSheetsReport(sheets, spreadsheetId, {
+      formulas,
+    });
+
+    /**
+     * Write everything queued for the report and stamp the update time in its title
+     * @returns {Promise<{location: string}>} Spreadsheet URL
+     */
+    const finalize = async () => {
+      await report.flush();
+      await driveUtils.updateSpreadsheetTitle(
+        drive,
+        spreadsheetId,
+        getSpreadsheetTitle(reportName)
+      );
+      console.log(`Spreadsheet URL: ${location}`);
+      return { location };
+    };
+
+    return { ...report, name: "sheets", spreadsheetId, location, finalize };
+  };
+
+  return { name: "sheets", openReport };
+};
+
+module.exports = {
+  SHEET_STYLES,
+  buildSheetStylingRequests,
+  buildSummaryRowStylingRequest,
+  createSheetsReport,
+  createGoogleSheetsSink,
+};
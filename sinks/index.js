@@ -0,0 +1,54 @@
+/**
+ * Output sinks
+ *
+ * A sink is where a group's report ends up. Every sink is a factory taking a shared
+ * context ({ googleClients, outputDir }) and returning `{ name, openReport }`.
+ *
+ * `openReport({ reportName, groupName, folderId, description, startDate, endDate })`
+ * returns a report (or null if it can't be opened) with:
+ * - `location`: where the report lives (spreadsheet URL or file path)
+ * - `ensureTab(tabName, columns)`: create the tab if it doesn't exist (column descriptors or headers)
+ * - `writeHeader(tabName, headers)`: write the header row
+ * - `readRowKeys(headersByTab)`: (date, profile ID) keys already written, per tab
+ * - `upsertRows(tabName, rows, { headers, mode })`: overwrite rows with the same key, append the rest
+ * - `writeSummary(tabName)`: replace the tab's monthly summary (a row per profile and a group total) after the data
+ * - `upsertRowsByKey(rowsByTab, { headers, keyIndex })`: overwrite rows with the same key column value, append the rest
+ * - `finalize()`: write everything out; resolves to `{ location }`
+ *
+ * Writes may be buffered until `finalize()`, so one run can fan out to several sinks.
+ */
+const { createGoogleSheetsSink } = require("./google-sheets");
+const { createXlsxSink } = require("./xlsx");
+const { createExportSink } = require("./export");
+
+// Sink factories by --output name
+const SINKS = {
+  sheets: createGoogleSheetsSink,
+  xlsx: createXlsxSink,
+  export: createExportSink,
+};
+
+/**
+ * Create the sinks for a run
+ * @param {Array<string>} names - Sink names, e.g. ["sheets", "xlsx", "export"]
+ * @param {Object} context - Shared context
+ * @param {Object} [context.googleClients] - Authenticated Google API clients (needed by "sheets")
+ * @param {string} [context.outputDir] - Directory for file sinks
+ * @returns {Array<Object>} Sinks, in the order given
+ */
+const createSinks = (names, context = {}) => {
+  return names.map((name) => {
+    const factory = SINKS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown output "${name}". Expected one of: ${Object.keys(SINKS).join(", ")}`
+      );
+    }
+    return factory(context);
+  });
+};
+
+module.exports = {
+  SINKS,
+  createSinks,
+};
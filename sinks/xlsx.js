@@ -0,0 +1,71 @@
+/**
+ * Local .xlsx output sink
+ *
+ * Each report is built in its own in-memory spreadsheet (utils/memory-spreadsheet.js) with
+ * the same report operations as the Google Sheets sink, then exported to a workbook. The
+ * spreadsheet is dropped once its workbook is written, so a run only holds the reports it
+ * has open. No Google credentials are needed.
+ */
+const memorySpreadsheet = require("../utils/memory-spreadsheet");
+const xlsxOutput = require("../utils/xlsx-output");
+const { createSheetsReport } = require("./google-sheets");
+
+/**
+ * Create the xlsx sink
+ * @param {Object} context - Sink context
+ * @param {string} [context.outputDir="reports"] - Directory the workbooks are written to
+ * @param {boolean} [context.formulas=false] - Write derived columns and summaries as formulas
+ * @returns {{name: string, openReport: Function}} Sink
+ */
+const createXlsxSink = ({ outputDir = "reports", formulas = false } = {}) => {
+  /**
+   * Open the workbook for a report, loading the one an earlier run wrote
+   * @param {Object} details - Report details
+   * @param {string} details.reportName - Report name, used as the file name
+   * @returns {Promise<Object>} Report
+   */
+  const openReport = async ({ reportName }) => {
+    const workbookPath = xlsxOutput.getWorkbookPath(outputDir, reportName);
+    let spreadsheet = memorySpreadsheet.createSpreadsheet(
+      workbookPath,
+      reportName
+    );
+    const sheets = memorySpreadsheet.createSheetsClient((spreadsheetId) => {
+      if (!spreadsheet || spreadsheetId !== workbookPath) {
+        throw memorySpreadsheet.apiError(
+          404,
+          `Requested entity was not found: spreadsheet ${spreadsheetId}`
+        );
+      }
+      return spreadsheet;
+    });
+
+    // Start from the earlier workbook so completeness and upserts see its rows
+    await xlsxOutput.importWorkbook(spreadsheet, workbookPath);
+    const report = await createSheetsReport(sheets, workbookPath, {
+      formulas,
+    });
+
+    /**
+     * Write the workbook and release the in-memory spreadsheet
+     * @returns {Promise<{location: string|null}>} Workbook path, or null if it couldn't be written
+     */
+    const finalize = async () => {
+      await report.flush();
+      const location = await xlsxOutput.writeWorkbook(
+        spreadsheet,
+        workbookPath
+      );
+      spreadsheet = null;
+      return { location };
+    };
+
+    return { ...report, name: "xlsx", location: workbookPath, finalize };
+  };
+
+  return { name: "xlsx", openReport };
+};
+
+module.exports = {
+  createXlsxSink,
+};
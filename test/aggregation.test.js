@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const aggregation = require('../utils/aggregation');
+
+/**
+ * Build a daily data point
+ * @param {number} profileId - Profile ID
+ * @param {string} date - Day in YYYY-MM-DD format
+ * @param {Object} metrics - Metrics of the day
+ * @returns {Object} Data point
+ */
+const dataPoint = (profileId, date, metrics) => ({
+  dimensions: { customer_profile_id: profileId, 'reporting_period.by(day)': `${date}T00:00:00Z` },
+  metrics
+});
+
+test('getPeriodStart starts weeks on Monday and months on the 1st', () => {
+  assert.strictEqual(aggregation.getPeriodStart('2024-01-10', 'week'), '2024-01-08');
+  assert.strictEqual(aggregation.getPeriodStart('2024-01-14', 'week'), '2024-01-08');
+  assert.strictEqual(aggregation.getPeriodStart('2024-01-10', 'month'), '2024-01-01');
+  assert.strictEqual(aggregation.getPeriodStart('2024-01-10', 'day'), '2024-01-10');
+});
+
+test('getPeriodStart starts a week that began the month before on the 1st', () => {
+  assert.strictEqual(aggregation.getPeriodStart('2024-02-01', 'week'), '2024-02-01');
+  assert.strictEqual(aggregation.getPeriodStart('2024-02-04', 'week'), '2024-02-01');
+  assert.strictEqual(aggregation.getPeriodStart('2024-01-31', 'week'), '2024-01-29');
+});
+
+test('getAggregationRule keeps the last value of snapshot metrics and sums the rest', () => {
+  assert.strictEqual(aggregation.getAggregationRule('lifetime_snapshot.followers_count'), 'last');
+  assert.strictEqual(aggregation.getAggregationRule('following_count'), 'last');
+  assert.strictEqual(aggregation.getAggregationRule('impressions'), 'sum');
+});
+
+test('getAggregationRule never adds up unique counts', () => {
+  assert.strictEqual(aggregation.getAggregationRule('impressions_unique'), 'last');
+  assert.strictEqual(aggregation.getAggregationRule('video_views_unique'), 'last');
+  assert.strictEqual(aggregation.getAggregationRule('reach'), 'last');
+});
+
+test('aggregateDataPoints keeps the last unique count of a week instead of the sum', () => {
+  const rolled = aggregation.aggregateDataPoints([
+    dataPoint(1, '2024-01-08', { impressions: 10, impressions_unique: 8 }),
+    dataPoint(1, '2024-01-09', { impressions: 20, impressions_unique: 15 })
+  ], 'week');
+
+  assert.deepStrictEqual(rolled[0].metrics, { impressions: 30, impressions_unique: 15 });
+});
+
+test('aggregateDataPoints rolls days up to one data point per profile and period', () => {
+  const rolled = aggregation.aggregateDataPoints([
+    dataPoint(1, '2024-01-09', { impressions: 20, 'lifetime_snapshot.followers_count': 110, posts_sent_by_post_type: { photo: 1 } }),
+    dataPoint(1, '2024-01-08', { impressions: 10, 'lifetime_snapshot.followers_count': 100, posts_sent_by_post_type: { photo: 2, video: 1 } }),
+    dataPoint(2, '2024-01-08', { impressions: 5 }),
+    dataPoint(1, '2024-01-15', { impressions: 1 })
+  ], 'week');
+
+  assert.deepStrictEqual(rolled.map(({ dimensions }) => [dimensions.customer_profile_id, dimensions.reporting_period]), [
+    [1, '2024-01-08'],
+    [2, '2024-01-08'],
+    [1, '2024-01-15']
+  ]);
+  assert.deepStrictEqual(rolled[0].metrics, {
+    impressions: 30,
+    'lifetime_snapshot.followers_count': 110,
+    posts_sent_by_post_type: { photo: 3, video: 1 }
+  });
+  assert.strictEqual(rolled[0].dimensions['reporting_period.by(week)'], '2024-01-08');
+});
+
+test('aggregateDataPoints leaves daily data points alone', () => {
+  const points = [dataPoint(1, '2024-01-08', { impressions: 10 })];
+  assert.strictEqual(aggregation.aggregateDataPoints(points, 'day'), points);
+});
@@ -0,0 +1,222 @@
+// Lift the shared client's rate limit before it is created so the suite isn't throttled
+process.env.SPROUT_REQUESTS_PER_MINUTE = '60000';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createMockSproutApp } = require('../mock-sprout-server');
+const { fetchAllPages, getAnalyticsData, getDateWindows, mergeDataPoints } = require('../utils/api');
+const { sproutClient } = require('../utils/sprout-client');
+
+// Keep retries fast so injected faults don't slow the suite down
+sproutClient.options.baseDelayMs = 1;
+
+/**
+ * Start a server that answers analytics requests with pages of a fixed data set
+ * @param {number} total - Number of data points
+ * @param {number} pageSize - Data points per page
+ * @param {Object} [paging] - Fields that replace the paging metadata of every response
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Running server and the request bodies it got
+ */
+const startPagedServer = (total, pageSize, paging = {}) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push(payload);
+      const start = (payload.page - 1) * pageSize;
+      const data = Array.from({ length: Math.max(0, Math.min(pageSize, total - start)) }, (_, index) => ({ index: start + index }));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data, paging: { current_page: payload.page, total_pages: Math.ceil(total / pageSize), ...paging } }));
+    });
+  });
+  server.listen(0, () => {
+    resolve({
+      url: `http://localhost:${server.address().port}/v1/1/analytics/profiles`,
+      requests,
+      close: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+/**
+ * Start a server that answers every request with the same error status
+ * @param {number} status - HTTP status to answer with
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>} Running server and the request bodies it got
+ */
+const startErrorServer = (status) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: `status ${status}` }));
+    });
+  });
+  server.listen(0, () => {
+    resolve({
+      url: `http://localhost:${server.address().port}/v1/1/analytics/profiles`,
+      requests,
+      close: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+/**
+ * Start a mock Sprout server on a free port
+ * @param {Object} options - Mock server options
+ * @returns {Promise<{app: Object, url: string, close: Function}>} Running server
+ */
+const startMock = (options) => new Promise((resolve) => {
+  const app = createMockSproutApp({ pageSize: 50, ...options });
+  const server = app.listen(0, () => {
+    resolve({
+      app,
+      url: `http://localhost:${server.address().port}/v1/1/analytics/profiles`,
+      close: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+// Two profiles over Q1 2024 (91 days) span four pages of 50
+const mockPayload = {
+  filters: ['customer_profile_id.eq(1001, 1002)', 'reporting_period.in(2024-01-01...2024-03-31)'],
+  metrics: ['impressions']
+};
+
+test('fetchAllPages follows paging metadata to the last page', async () => {
+  const server = await startPagedServer(182, 50);
+  try {
+    const { data, pages } = await fetchAllPages(server.url, 'token', { metrics: ['impressions'] }, 'test');
+    assert.strictEqual(data.length, 182);
+    assert.strictEqual(pages, 4);
+    assert.deepStrictEqual(server.requests.map(({ page }) => page), [1, 2, 3, 4]);
+    assert.deepStrictEqual(data.map(({ index }) => index), Array.from({ length: 182 }, (_, index) => index));
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchAllPages makes one request when everything fits on a page', async () => {
+  const server = await startPagedServer(10, 50);
+  try {
+    const { data, pages } = await fetchAllPages(server.url, 'token', { metrics: ['impressions'] }, 'test');
+    assert.strictEqual(data.length, 10);
+    assert.strictEqual(pages, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchAllPages moves on from the requested page when current_page is stuck', async () => {
+  const server = await startPagedServer(182, 50, { current_page: 1 });
+  try {
+    const { data, pages } = await fetchAllPages(server.url, 'token', { metrics: ['impressions'] }, 'test');
+    assert.strictEqual(data.length, 182);
+    assert.strictEqual(pages, 4);
+    assert.deepStrictEqual(server.requests.map(({ page }) => page), [1, 2, 3, 4]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchAllPages gives up when the paging metadata never reaches the last page', async () => {
+  const server = await startPagedServer(Infinity, 50, { current_page: 1, total_pages: 1000000 });
+  try {
+    await assert.rejects(
+      fetchAllPages(server.url, 'token', { metrics: ['impressions'] }, 'test', { maxPages: 5 }),
+      /Gave up paging test after 5 pages/
+    );
+    assert.strictEqual(server.requests.length, 5);
+  } finally {
+    await server.close();
+  }
+});
+
+test('fetchAllPages retries malformed pages instead of treating them as the last page', async () => {
+  const mock = await startMock({ everyMalformed: 3 });
+  try {
+    const { data, pages } = await fetchAllPages(mock.url, 'token', mockPayload, 'test');
+    assert.strictEqual(data.length, 182);
+    assert.strictEqual(pages, 4);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('fetchAllPages surfaces a page that stays malformed', async () => {
+  const mock = await startMock({});
+  try {
+    mock.app.faults.push(...Array(sproutClient.options.maxRetries + 1).fill('malformed'));
+    await assert.rejects(fetchAllPages(mock.url, 'token', mockPayload, 'test'), /Malformed JSON/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('getAnalyticsData stops on a rejected token instead of skipping every profile', async () => {
+  const server = await startErrorServer(401);
+  try {
+    await assert.rejects(
+      getAnalyticsData(server.url, 'token', '2024-01-01', '2024-01-31', ['1001', '1002']),
+      (error) => error.response.status === 401
+    );
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('getAnalyticsData skips profiles whose requests fail with other errors', async () => {
+  const server = await startErrorServer(400);
+  try {
+    const result = await getAnalyticsData(server.url, 'token', '2024-01-01', '2024-01-31', ['1001', '1002']);
+    assert.strictEqual(result, null);
+    assert.strictEqual(server.requests.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('getDateWindows keeps a range of a year or less in one window', () => {
+  assert.deepStrictEqual(getDateWindows('2024-01-01', '2024-12-31'), [{ startDate: '2024-01-01', endDate: '2024-12-31' }]);
+});
+
+test('getDateWindows splits longer ranges on calendar quarters', () => {
+  assert.deepStrictEqual(getDateWindows('2024-02-15', '2025-04-10'), [
+    { startDate: '2024-02-15', endDate: '2024-03-31' },
+    { startDate: '2024-04-01', endDate: '2024-06-30' },
+    { startDate: '2024-07-01', endDate: '2024-09-30' },
+    { startDate: '2024-10-01', endDate: '2024-12-31' },
+    { startDate: '2025-01-01', endDate: '2025-03-31' },
+    { startDate: '2025-04-01', endDate: '2025-04-10' }
+  ]);
+});
+
+test('mergeDataPoints keeps the first data point of each profile and day', () => {
+  const dataPoint = (profileId, day, impressions) => ({
+    dimensions: { customer_profile_id: profileId, 'reporting_period.by(day)': `${day}T00:00:00Z` },
+    metrics: { impressions }
+  });
+  const merged = mergeDataPoints([
+    dataPoint(1, '2024-03-31', 1),
+    dataPoint(1, '2024-03-31', 2),
+    dataPoint(2, '2024-03-31', 3),
+    { dimensions: {}, metrics: {} }
+  ]);
+  assert.deepStrictEqual(merged.map(({ metrics }) => metrics.impressions), [1, 3, undefined]);
+});
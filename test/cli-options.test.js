@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOptions } = require('../utils/cli-options');
+
+test('parseOptions reads flags before the environment', () => {
+  assert.strictEqual(parseOptions(['--concurrency', '4'], { SPROUT_CONCURRENCY: '2' }).concurrency, 4);
+  assert.strictEqual(parseOptions(['--concurrency=3'], {}).concurrency, 3);
+  assert.strictEqual(parseOptions([], { SPROUT_CONCURRENCY: '2' }).concurrency, 2);
+  assert.strictEqual(parseOptions([], {}).concurrency, 1);
+
+  const options = parseOptions(['--output=xlsx,export', '--posts', '--no-history'], {});
+  assert.deepStrictEqual(options.output, ['xlsx', 'export']);
+  assert.strictEqual(options.posts, true);
+  assert.strictEqual(options.history, false);
+  assert.strictEqual(options.granularity, 'day');
+  assert.strictEqual(parseOptions([], {}).posts, false);
+});
+
+test('parseOptions rejects invalid values instead of falling back to the default', () => {
+  assert.throws(() => parseOptions(['--concurrency', '0'], {}), /--concurrency=0/);
+  assert.throws(() => parseOptions([], { SPROUT_CONCURRENCY: 'many' }), /SPROUT_CONCURRENCY=many/);
+  assert.throws(() => parseOptions(['--output', 'xlxs'], {}), /--output=xlxs/);
+  assert.throws(() => parseOptions([], { SPROUT_GRANULARITY: 'weekly' }), /SPROUT_GRANULARITY=weekly/);
+  assert.throws(() => parseOptions(['--write-mode', 'replace'], {}), /write-mode must be upsert or append/);
+  assert.throws(() => parseOptions(['--history=maybe'], {}), /history must be true or false/);
+});
+
+test('parseOptions lists every invalid option at once', () => {
+  assert.throws(
+    () => parseOptions(['--concurrency', '0', '--source', 'csv'], {}),
+    (error) => error.message.split('\n').length === 2
+  );
+});
+
+test('parseOptions rejects flags a script does not honour and ignores their environment variables', () => {
+  const names = ['concurrency', 'posts'];
+  assert.throws(() => parseOptions(['--output', 'xlsx', '--formulas'], {}, names), /--output[\s\S]*--formulas/);
+
+  const options = parseOptions(['--posts'], { SPROUT_SOURCE: 'history' }, names);
+  assert.deepStrictEqual(options, { concurrency: 1, posts: true });
+});
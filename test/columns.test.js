@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const columns = require('../utils/columns');
+const instagram = require('../platforms/instagram');
+const twitter = require('../platforms/twitter');
+
+const COLUMNS = [
+  ...columns.dimensionColumns(),
+  columns.metricColumn('Lifetime Followers Count', 'lifetime_snapshot.followers_count', { summary: 'max' }),
+  columns.metricColumn('Total Likes', ['post_likes', 'likes'], { summary: 'sum' }),
+  { header: 'Likes per Follower', type: 'percent', value: ({ get }) => columns.percentOf(get('Total Likes'), get('Lifetime Followers Count')) }
+];
+
+const PROFILE = { customer_profile_id: 1001, network_type: 'instagram', name: 'Brand', network_id: 'n1' };
+
+test('createRowFormatter builds a row from the columns of a data point', () => {
+  const format = columns.createRowFormatter('Test', COLUMNS);
+  const row = format({
+    dimensions: { 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { 'lifetime_snapshot.followers_count': 200, likes: 5 }
+  }, PROFILE);
+
+  assert.deepStrictEqual(row, ['2024-01-05', 'instagram', 'Brand', 'n1', 1001, 200, 5, 2.5]);
+});
+
+test('createRowFormatter returns null for data points it cannot place', () => {
+  const format = columns.createRowFormatter('Test', COLUMNS);
+  const error = console.error;
+  console.error = () => {};
+  try {
+    assert.strictEqual(format(null, PROFILE), null);
+    assert.strictEqual(format({ dimensions: {}, metrics: {} }, PROFILE), null);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('platform rows line up with their headers', () => {
+  const dataPoint = {
+    dimensions: { customer_profile_id: 1001, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { 'lifetime_snapshot.followers_count': 200, impressions: 50 }
+  };
+  for (const platform of [instagram, twitter]) {
+    const row = platform.formatAnalyticsData(dataPoint, PROFILE);
+    assert.strictEqual(row.length, platform.HEADERS.length);
+    assert.strictEqual(row[platform.HEADERS.indexOf('Lifetime Followers Count')], 200);
+  }
+});
+
+test('getMonthlySummaryRows writes a row per profile and a group total', () => {
+  const rows = [
+    ['2024-01-01', 'instagram', 'Brand', 'n1', 1001, 120, 1, 0.83],
+    ['2024-01-02', 'instagram', 'Brand', 'n1', 1001, 150, 3, 2],
+    ['2024-01-01', 'instagram', 'Other', 'n2', 1002, 40, 4, 10]
+  ];
+
+  assert.deepStrictEqual(columns.getMonthlySummaryRows(COLUMNS, rows), [
+    ['2024-01-31', 'Monthly Summary', 'Brand', 'n1', 1001, 150, 4, ''],
+    ['2024-01-31', 'Monthly Summary', 'Other', 'n2', 1002, 40, 4, ''],
+    ['2024-01-31', 'Monthly Summary', 'TOTAL', '', '', 190, 8, '']
+  ]);
+  assert.deepStrictEqual(columns.getMonthlySummaryRows(COLUMNS, []), []);
+});
+
+test('metric columns summarize snapshots to their last value and add up the rest', () => {
+  assert.strictEqual(columns.metricColumn('Followers', 'lifetime_snapshot.followers_count').summary, 'last');
+  assert.strictEqual(columns.metricColumn('Likes', 'likes').summary, 'sum');
+});
+
+test('derived columns render as formulas on their own row', () => {
+  const derived = [
+    ...columns.dimensionColumns(),
+    columns.metricColumn('Total Likes', 'likes'),
+    columns.metricColumn('Total Comments', 'comments_count'),
+    columns.totalColumn('Total Engagement Actions', ['Total Likes', 'Total Comments'], { summary: 'sum' }),
+    columns.rateColumn('Engagement Rate %', 'Total Engagement Actions', 'Total Likes')
+  ];
+
+  assert.strictEqual(columns.hasFormulas(derived), true);
+  assert.strictEqual(columns.hasFormulas(COLUMNS), false);
+  assert.deepStrictEqual(columns.getRowFormulas(derived, 7).slice(5), [
+    null,
+    null,
+    '=F7 + G7',
+    '=IF(F7 > 0, ROUND(H7 / F7 * 100, 2), 0)'
+  ]);
+  assert.throws(
+    () => columns.getRowFormulas([columns.totalColumn('Total', ['Missing'])], 2),
+    /unknown column "Missing"/
+  );
+});
+
+test('summary blocks render as SUMIFS and MAXIFS per profile over the rows above them', () => {
+  const summaryRows = [
+    ['2024-01-31', 'Monthly Summary', 'Brand', 'n1', 1001, 150, 4, ''],
+    ['2024-01-31', 'Monthly Summary', 'Other', 'n2', 1002, 40, 4, ''],
+    ['2024-01-31', 'Monthly Summary', 'TOTAL', '', '', 190, 8, '']
+  ];
+  const [profile, , total] = columns.getSummaryFormulas(COLUMNS, summaryRows, 5);
+
+  assert.deepStrictEqual(profile.slice(0, 5), summaryRows[0].slice(0, 5));
+  assert.strictEqual(profile[5], '=MAXIFS(F2:F4, E2:E4, E5, B2:B4, "<>Monthly Summary")');
+  assert.strictEqual(profile[6], '=SUMIFS(G2:G4, E2:E4, E5, B2:B4, "<>Monthly Summary")');
+  assert.strictEqual(total[5], '=SUM(F5:F6)');
+  assert.strictEqual(total[7], '');
+});
+
+const SNAPSHOT_COLUMNS = [
+  ...columns.dimensionColumns(),
+  columns.metricColumn('Lifetime Followers Count', 'lifetime_snapshot.followers_count'),
+  columns.metricColumn('Total Likes', 'likes')
+];
+
+const snapshotRow = (date, profileId, followers, likes) => [date, 'tiktok', `Profile ${profileId}`, 'n', profileId, followers, likes];
+
+test('snapshot metrics summarize to the final value of the month, and the total adds them up', () => {
+  // The 2nd was filled in by a later run, so it sits below the 3rd
+  const rows = [
+    snapshotRow('2024-01-01', 1, 120, 1),
+    snapshotRow('2024-01-03', 1, 90, 2),
+    snapshotRow('2024-01-02', 1, 150, 3),
+    snapshotRow('2024-01-01', 2, 40, 4),
+    snapshotRow('2024-01-02', 2, 45, 5)
+  ];
+  const [first, second, total] = columns.getMonthlySummaryRows(SNAPSHOT_COLUMNS, rows);
+
+  assert.deepStrictEqual(first, ['2024-01-31', 'Monthly Summary', 'Profile 1', 'n', 1, 90, 6]);
+  assert.deepStrictEqual(second, ['2024-01-31', 'Monthly Summary', 'Profile 2', 'n', 2, 45, 9]);
+  assert.deepStrictEqual(total, ['2024-01-31', 'Monthly Summary', 'TOTAL', '', '', 135, 15]);
+});
+
+test('snapshot formulas refer to the cell of the profile\'s latest data row', () => {
+  const dataRows = new Map([
+    [2, snapshotRow('2024-01-01', 1, 120, 1)],
+    [3, snapshotRow('2024-01-03', 1, 90, 2)],
+    [4, snapshotRow('2024-01-02', 1, 150, 3)]
+  ]);
+  const summaryRows = columns.getMonthlySummaryRows(SNAPSHOT_COLUMNS, [...dataRows.values()]);
+  const [profile, total] = columns.getSummaryFormulas(SNAPSHOT_COLUMNS, summaryRows, 5, dataRows);
+
+  assert.strictEqual(profile[5], '=F3');
+  assert.strictEqual(profile[6], '=SUMIFS(G2:G4, E2:E4, E5, B2:B4, "<>Monthly Summary")');
+  assert.strictEqual(total[5], '=SUM(F5:F5)');
+});
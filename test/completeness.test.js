@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const completeness = require('../utils/completeness');
+const sheetsUtil = require('../utils/sheets');
+
+test('getExpectedDates stops at yesterday', () => {
+  assert.deepStrictEqual(
+    completeness.getExpectedDates('2024-03-01', '2024-03-31', 'day', '2024-03-04'),
+    ['2024-03-01', '2024-03-02', '2024-03-03']
+  );
+  assert.deepStrictEqual(
+    completeness.getExpectedDates('2024-03-01', '2024-03-31', 'week', '2024-04-01'),
+    ['2024-03-01', '2024-03-04', '2024-03-11', '2024-03-18', '2024-03-25']
+  );
+});
+
+test('getOpenDates picks the periods that end after yesterday', () => {
+  const dates = completeness.getExpectedDates('2024-03-01', '2024-03-31', 'week', '2024-03-13');
+  assert.deepStrictEqual(completeness.getOpenDates(dates, 'week', '2024-03-13'), ['2024-03-11']);
+  assert.deepStrictEqual(completeness.getOpenDates(['2024-03-01'], 'month', '2024-04-01'), []);
+  assert.deepStrictEqual(completeness.getOpenDates(['2024-03-01'], 'month', '2024-03-31'), ['2024-03-01']);
+});
+
+test('findMissingCells reports every (profile, date) without a row', () => {
+  const existingKeys = new Map([
+    [sheetsUtil.formatRowKey('2024-03-01', '1001'), 2],
+    [sheetsUtil.formatRowKey('2024-03-02T00:00:00.000Z', 1002), 3]
+  ]);
+  const missing = completeness.findMissingCells(sheetsUtil, existingKeys, [1001, '1002'], ['2024-03-01', '2024-03-02']);
+  assert.deepStrictEqual(missing, [
+    { profileId: '1001', date: '2024-03-02' },
+    { profileId: '1002', date: '2024-03-01' }
+  ]);
+});
+
+test('a partial week with a row is still reported missing', () => {
+  const existingKeys = new Map([
+    [sheetsUtil.formatRowKey('2024-03-04', '1001'), 2],
+    [sheetsUtil.formatRowKey('2024-03-11', '1001'), 3]
+  ]);
+  const summary = completeness.summarizeCompleteness(
+    sheetsUtil, 'Instagram', existingKeys, ['1001'], ['2024-03-04', '2024-03-11'], ['2024-03-11']
+  );
+  assert.strictEqual(summary.present, 1);
+  assert.deepStrictEqual(summary.missing, [{ profileId: '1001', date: '2024-03-11' }]);
+});
+
+test('planRefill merges consecutive days and groups profiles with the same gaps', () => {
+  const plan = completeness.planRefill([
+    { profileId: '1001', date: '2024-03-02' },
+    { profileId: '1001', date: '2024-03-03' },
+    { profileId: '1002', date: '2024-03-02' },
+    { profileId: '1002', date: '2024-03-03' },
+    { profileId: '1002', date: '2024-03-07' }
+  ]);
+  assert.deepStrictEqual(plan, [
+    { startDate: '2024-03-02', endDate: '2024-03-03', profileIds: ['1001', '1002'] },
+    { startDate: '2024-03-07', endDate: '2024-03-07', profileIds: ['1002'] }
+  ]);
+});
+
+test('getPeriodEnd ends weeks on Sunday or at the end of the month', () => {
+  assert.strictEqual(completeness.getPeriodEnd('2024-03-04', 'week'), '2024-03-10');
+  assert.strictEqual(completeness.getPeriodEnd('2024-03-01', 'week'), '2024-03-03');
+  assert.strictEqual(completeness.getPeriodEnd('2024-04-29', 'week'), '2024-04-30');
+  assert.strictEqual(completeness.getPeriodEnd('2024-02-01', 'month'), '2024-02-29');
+});
+
+test('planRefill fetches whole periods clipped to the window', () => {
+  const plan = completeness.planRefill(
+    [{ profileId: '1001', date: '2024-03-01' }, { profileId: '1001', date: '2024-03-25' }],
+    'week',
+    '2024-03-01',
+    '2024-03-31'
+  );
+  assert.deepStrictEqual(plan, [
+    { startDate: '2024-03-01', endDate: '2024-03-03', profileIds: ['1001'] },
+    { startDate: '2024-03-25', endDate: '2024-03-31', profileIds: ['1001'] }
+  ]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatCsv, parseCsv } = require('../utils/csv');
+const { buildRecords, createExportSink, getPartitionDir, sortRecords } = require('../sinks/export');
+
+const HEADERS = ['Date', 'Network Type', 'Profile Name', 'Network ID', 'Profile ID', 'Views'];
+
+test('parseCsv reads back quoted fields written by formatCsv', () => {
+  const rows = [['Text', 'Views'], ['Hello, "world"\nagain', '12'], ['', '0']];
+  assert.deepStrictEqual(parseCsv(formatCsv(rows)), rows);
+});
+
+test('buildRecords writes one record per non-empty metric', () => {
+  const records = buildRecords('Brand', 'Instagram', [
+    HEADERS,
+    ['2024-01-01', 'instagram', 'Brand IG', 'n1', '1001', '12'],
+    ['2024-01-02', 'instagram', 'Brand IG', 'n1', '1001', '']
+  ]);
+  assert.deepStrictEqual(records, [{
+    group: 'Brand',
+    network: 'instagram',
+    network_type: 'instagram',
+    profile_id: '1001',
+    profile_name: 'Brand IG',
+    date: '2024-01-01',
+    metric: 'Views',
+    value: 12
+  }]);
+});
+
+test('buildRecords uses the network key of the platform that writes the tab', () => {
+  const records = buildRecords('Brand', 'Google Business', [
+    HEADERS,
+    ['2024-01-01', 'google_my_business', 'Brand GBP', 'g1', '1009', '12']
+  ]);
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].network, 'google_business');
+  assert.strictEqual(records[0].value, 12);
+});
+
+test('sortRecords orders records by network, profile and date', () => {
+  const records = [
+    ...buildRecords('Brand', 'Instagram', [HEADERS, ['2024-01-02', 'ig', 'A', 'n', '1010', 1], ['2024-01-01', 'ig', 'A', 'n', '1010', 2]]),
+    ...buildRecords('Brand', 'Facebook', [HEADERS, ['2024-01-01', 'fb', 'B', 'n', '1002', 3]]),
+    ...buildRecords('Brand', 'Instagram', [HEADERS, ['2024-01-03', 'ig', 'C', 'n', '1001', 4]])
+  ];
+  assert.deepStrictEqual(
+    sortRecords(records).map(({ network, profile_id, date }) => `${network}/${profile_id}/${date}`),
+    ['facebook/1002/2024-01-01', 'instagram/1001/2024-01-03', 'instagram/1010/2024-01-01', 'instagram/1010/2024-01-02']
+  );
+});
+
+test('the export sink writes a partition and upserts into it on the next run', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-sink-'));
+  try {
+    const sink = createExportSink({ outputDir });
+    const details = { groupName: 'Brand', startDate: '2024-01-01' };
+
+    const first = await sink.openReport(details);
+    first.ensureTab('Instagram');
+    first.writeHeader('Instagram', HEADERS);
+    await first.readRowKeys({ Instagram: HEADERS });
+    first.upsertRows('Instagram', [['2024-01-01', 'instagram', 'Brand IG', 'n1', 1001, 10]], { headers: HEADERS });
+    const { location } = await first.finalize();
+    assert.strictEqual(location, getPartitionDir(outputDir, 'Brand', '2024-01-01'));
+
+    const second = await sink.openReport(details);
+    await second.readRowKeys({ Instagram: HEADERS });
+    const counts = second.upsertRows('Instagram', [
+      ['2024-01-01', 'instagram', 'Brand IG', 'n1', 1001, 11],
+      ['2024-01-02', 'instagram', 'Brand IG', 'n1', 1001, 20]
+    ], { headers: HEADERS });
+    assert.deepStrictEqual(counts, { updated: 1, appended: 1, skipped: 0 });
+    await second.finalize();
+
+    assert.deepStrictEqual(parseCsv(fs.readFileSync(path.join(location, 'Instagram.csv'), 'utf8')), [
+      HEADERS,
+      ['2024-01-01', 'instagram', 'Brand IG', 'n1', '1001', '11'],
+      ['2024-01-02', 'instagram', 'Brand IG', 'n1', '1001', '20']
+    ]);
+    const records = fs.readFileSync(path.join(location, 'analytics.ndjson'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(records.map(({ date, value }) => [date, value]), [['2024-01-01', 11], ['2024-01-02', 20]]);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeGoogle, parseA1Range, SPREADSHEET_MIME_TYPE } = require('../utils/fake-google');
+
+test('parseA1Range reads the tab and the cell bounds', () => {
+  assert.deepStrictEqual(parseA1Range("'Instagram Posts'!B2:D"), { sheetTitle: 'Instagram Posts', startRow: 1, startCol: 1, endRow: null, endCol: 3 });
+  assert.deepStrictEqual(parseA1Range('Facebook!A:A'), { sheetTitle: 'Facebook', startRow: 0, startCol: 0, endRow: null, endCol: 0 });
+});
+
+test('spreadsheets created through Drive can be found by name in their folder', async () => {
+  const { drive } = createFakeGoogle({ folderIds: ['folder'] });
+  const { data: file } = await drive.files.create({
+    resource: { name: 'Report', mimeType: SPREADSHEET_MIME_TYPE, parents: ['folder'] }
+  });
+  await drive.files.create({ resource: { name: 'Other', mimeType: SPREADSHEET_MIME_TYPE, parents: ['folder'] } });
+
+  const { data } = await drive.files.list({ q: "name='Report' and 'folder' in parents and trashed=false" });
+  assert.deepStrictEqual(data.files.map(({ id }) => id), [file.id]);
+});
+
+test('values written to a tab are read back, appended after the last row and cleared', async () => {
+  const { sheets, getGrid, callCounts } = createFakeGoogle();
+  const { data: { spreadsheetId } } = await sheets.spreadsheets.create({
+    resource: { properties: { title: 'Report' }, sheets: [{ properties: { title: 'Instagram' } }] }
+  });
+
+  await sheets.spreadsheets.values.update({ spreadsheetId, range: 'Instagram!A1', valueInputOption: 'RAW', resource: { values: [['Date', 'Likes'], ['2024-01-01', 3]] } });
+  const { data: appended } = await sheets.spreadsheets.values.append({ spreadsheetId, range: 'Instagram!A1', valueInputOption: 'RAW', resource: { values: [['2024-01-02', 4]] } });
+  assert.strictEqual(appended.updates.updatedRange, 'Instagram!A3:B3');
+
+  // Like the real API, values are formatted as text unless asked for unformatted
+  const { data: formatted } = await sheets.spreadsheets.values.get({ spreadsheetId, range: 'Instagram!B:B' });
+  assert.deepStrictEqual(formatted.values, [['Likes'], ['3'], ['4']]);
+  const { data: unformatted } = await sheets.spreadsheets.values.get({ spreadsheetId, range: 'Instagram!B:B', valueRenderOption: 'UNFORMATTED_VALUE' });
+  assert.deepStrictEqual(unformatted.values, [['Likes'], [3], [4]]);
+
+  await sheets.spreadsheets.values.clear({ spreadsheetId, range: 'Instagram!A2:B3' });
+  assert.deepStrictEqual(getGrid(spreadsheetId, 'Instagram'), [['Date', 'Likes']]);
+  assert.strictEqual(callCounts['sheets.spreadsheets.values.update'], 1);
+});
+
+test('a batch with a bad request leaves the spreadsheet unchanged', async () => {
+  const { sheets, getSheetTitles } = createFakeGoogle();
+  const { data: { spreadsheetId } } = await sheets.spreadsheets.create({ resource: { properties: { title: 'Report' } } });
+
+  await assert.rejects(sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: { requests: [{ addSheet: { properties: { title: 'Tiktok' } } }, { deleteSheet: { sheetId: 999 } }] }
+  }));
+  assert.deepStrictEqual(getSheetTitles(spreadsheetId), ['Sheet1']);
+});
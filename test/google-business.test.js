@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const googleBusiness = require('../platforms/google-business');
+const { getMetricsForNetworkType } = require('../utils/metrics');
+
+const PROFILE = { customer_profile_id: 1009, network_type: 'google_my_business', name: 'Brand', network_id: 'g1' };
+
+test('Google Business Profile locations are asked for the location metrics', () => {
+  assert.strictEqual(getMetricsForNetworkType('google_my_business'), googleBusiness.METRICS);
+});
+
+test('Google Business Profile rows add up views and actions', () => {
+  const row = googleBusiness.formatAnalyticsData({
+    dimensions: { customer_profile_id: 1009, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { views_search: 150, views_maps: 50, actions_website: 6, actions_driving_directions: 3, actions_phone: 1 }
+  }, PROFILE);
+  const value = (header) => row[googleBusiness.HEADERS.indexOf(header)];
+
+  assert.strictEqual(row.length, googleBusiness.HEADERS.length);
+  assert.strictEqual(value('Total Views'), 200);
+  assert.strictEqual(value('Total Actions'), 10);
+  assert.strictEqual(value('Action Rate % (per View)'), 5);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { createHistoryStore } = require('../utils/history-store');
+
+const dataPoint = (profileId, date, metrics) => ({
+  dimensions: { customer_profile_id: profileId, 'reporting_period.by(day)': `${date}T00:00:00Z` },
+  metrics
+});
+
+test('the history store serves the latest run of each value after a reopen', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const dbPath = path.join(dir, 'history.sqlite');
+  try {
+    const store = await createHistoryStore({ dbPath });
+    store.startRun({ source: 'api', options: {} });
+    store.recordDataPoints([dataPoint(1001, '2024-01-01', { impressions: '12', reactions: 3 })]);
+    store.finishRun('completed');
+
+    store.startRun({ source: 'api', options: {} });
+    store.recordDataPoints([
+      dataPoint(1001, '2024-01-01', { impressions: 15 }),
+      dataPoint(1001, '2024-02-01', { impressions: 7 })
+    ]);
+    store.finishRun('completed');
+
+    const reopened = await createHistoryStore({ dbPath });
+    const { data } = reopened.getDataPoints([1001], '2024-01-01', '2024-01-31');
+    assert.deepStrictEqual(data, [dataPoint(1001, '2024-01-01', { impressions: 15, reactions: 3 })]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the history store keeps groups and profiles as returned by the API', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  try {
+    const store = await createHistoryStore({ dbPath: path.join(dir, 'history.sqlite') });
+    const profile = { customer_profile_id: 1001, network_type: 'instagram', name: 'Brand', native_id: 42, groups: [7] };
+    store.recordGroups([{ group_id: 7, name: 'Brand' }]);
+    store.recordProfiles([profile, { name: 'no id' }]);
+
+    assert.deepStrictEqual(store.getGroups(), [{ group_id: 7, name: 'Brand' }]);
+    assert.deepStrictEqual(store.getProfiles(), [profile]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the history store keeps object-valued metrics as JSON', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const dbPath = path.join(dir, 'history.sqlite');
+  try {
+    const store = await createHistoryStore({ dbPath });
+    store.startRun({ source: 'api', options: {} });
+    store.recordDataPoints([
+      dataPoint(1001, '2024-01-01', { impressions: '12', posts_sent_by_post_type: { photo: 2, video: 1 } })
+    ]);
+    store.finishRun('completed');
+
+    const reopened = await createHistoryStore({ dbPath });
+    const { data } = reopened.getDataPoints([1001], '2024-01-01', '2024-01-31');
+    assert.deepStrictEqual(data[0].metrics, { impressions: 12, posts_sent_by_post_type: { photo: 2, video: 1 } });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the history store adds the JSON column to stores from before it existed', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  const dbPath = path.join(dir, 'history.sqlite');
+  try {
+    const SQL = await initSqlJs();
+    const old = new SQL.Database();
+    old.exec(`
+      CREATE TABLE metric_values (
+        customer_profile_id INTEGER NOT NULL, reporting_date TEXT NOT NULL, metric TEXT NOT NULL,
+        value REAL, run_id INTEGER NOT NULL, fetched_at TEXT NOT NULL,
+        PRIMARY KEY (customer_profile_id, reporting_date, metric, run_id)
+      );
+      CREATE VIEW latest_metric_values AS SELECT customer_profile_id, reporting_date, metric, value, run_id, fetched_at FROM metric_values;
+      INSERT INTO metric_values VALUES (1001, '2024-01-01', 'impressions', 5, 1, '2024-01-02T00:00:00Z');
+    `);
+    fs.writeFileSync(dbPath, Buffer.from(old.export()));
+
+    const store = await createHistoryStore({ dbPath });
+    store.startRun({ source: 'api', options: {} });
+    store.recordDataPoints([dataPoint(1001, '2024-01-02', { posts_sent_by_post_type: { photo: 1 } })]);
+
+    const { data } = store.getDataPoints([1001], '2024-01-01', '2024-01-31');
+    assert.deepStrictEqual(data.map(point => point.metrics), [{ impressions: 5 }, { posts_sent_by_post_type: { photo: 1 } }]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
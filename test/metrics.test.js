@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getMetricsByProfile, getMetricsForNetworkType } = require('../utils/metrics');
+const facebook = require('../platforms/facebook');
+const instagram = require('../platforms/instagram');
+
+test('each network type is asked for its platform module\'s metrics', () => {
+  assert.strictEqual(getMetricsForNetworkType('fb_page'), facebook.METRICS);
+  assert.strictEqual(getMetricsForNetworkType('fb_instagram_account'), instagram.METRICS);
+  assert.strictEqual(getMetricsForNetworkType('myspace'), null);
+});
+
+test('getMetricsByProfile leaves out profiles on networks without a declaration', () => {
+  const metricsByProfile = getMetricsByProfile([
+    { customer_profile_id: 1001, network_type: 'fb_page' },
+    { customer_profile_id: 1002, network_type: 'myspace' },
+    { network_type: 'fb_page' }
+  ]);
+  assert.deepStrictEqual(Object.keys(metricsByProfile), ['1001']);
+  assert.strictEqual(metricsByProfile[1001], facebook.METRICS);
+});
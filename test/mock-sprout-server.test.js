@@ -0,0 +1,77 @@
+// Lift the shared client's rate limit before it is created so the suite isn't throttled
+process.env.SPROUT_REQUESTS_PER_MINUTE = '60000';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMockSproutApp, PROFILES } = require('../mock-sprout-server');
+const { fetchAllPages } = require('../utils/api');
+const { sproutClient } = require('../utils/sprout-client');
+const platforms = require('../platforms');
+
+// Keep retries fast so injected faults don't slow the suite down
+sproutClient.options.baseDelayMs = 1;
+
+/**
+ * Start a mock Sprout server on a free port
+ * @param {Object} [options] - Mock server options
+ * @returns {Promise<{app: Object, baseUrl: string, close: Function}>} Running server
+ */
+const startMock = (options = {}) => new Promise((resolve) => {
+  const app = createMockSproutApp({ pageSize: 50, retryAfterSeconds: 0, ...options });
+  const server = app.listen(0, () => {
+    resolve({
+      app,
+      baseUrl: `http://localhost:${server.address().port}/v1/1`,
+      close: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+// Two profiles over Q1 2024 (91 days) span four pages of 50
+const payload = {
+  filters: ['customer_profile_id.eq(1001, 1002)', 'reporting_period.in(2024-01-01...2024-03-31)'],
+  metrics: ['impressions']
+};
+
+test('every mock profile uses a network type a platform is registered for', () => {
+  PROFILES.forEach(profile => {
+    assert.ok(platforms.getNetworkKey(profile.network_type), `${profile.network_type} has no platform`);
+  });
+  assert.strictEqual(PROFILES.find(profile => profile.customer_profile_id === 1004).network_type, 'twitter_profile');
+});
+
+test('the mock serves the customer profiles', async () => {
+  const mock = await startMock();
+  try {
+    const response = await sproutClient.get(`${mock.baseUrl}/metadata/customer`, 'token');
+    assert.strictEqual(response.data.data.length, PROFILES.length);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('the mock pages daily analytics like Sprout', async () => {
+  const mock = await startMock();
+  try {
+    const { data, pages } = await fetchAllPages(`${mock.baseUrl}/analytics/profiles`, 'token', payload, 'test');
+    assert.strictEqual(data.length, 182);
+    assert.strictEqual(pages, 4);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('injected 429 and 500 faults are retried by the client', async () => {
+  const mock = await startMock();
+  try {
+    mock.app.faults.push('429', '500');
+    const { data } = await fetchAllPages(`${mock.baseUrl}/analytics/profiles`, 'token', payload, 'test');
+    assert.strictEqual(data.length, 182);
+    assert.strictEqual(mock.app.faults.length, 0);
+  } finally {
+    await mock.close();
+  }
+});
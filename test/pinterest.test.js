@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const pinterest = require('../platforms/pinterest');
+const { getMetricsForNetworkType } = require('../utils/metrics');
+
+const PROFILE = { customer_profile_id: 1007, network_type: 'pinterest', name: 'Brand', network_id: 'p1' };
+
+test('Pinterest profiles are asked for the Pinterest metrics', () => {
+  assert.strictEqual(getMetricsForNetworkType('pinterest'), pinterest.METRICS);
+});
+
+test('Pinterest rows report engagement and outbound click-through rates', () => {
+  const row = pinterest.formatAnalyticsData({
+    dimensions: { customer_profile_id: 1007, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { 'lifetime_snapshot.followers_count': 300, impressions: 2000, saves: 20, pin_clicks: 30, outbound_clicks: 10 }
+  }, PROFILE);
+  const value = (header) => row[pinterest.HEADERS.indexOf(header)];
+
+  assert.strictEqual(row.length, pinterest.HEADERS.length);
+  assert.strictEqual(value('Total Engagement Actions'), 60);
+  assert.strictEqual(value('Engagement Rate % (per Impression)'), 3);
+  assert.strictEqual(value('Engagement Rate % (per Follower)'), 20);
+  assert.strictEqual(value('Outbound Click-Through Rate %'), 0.5);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const platforms = require('../platforms');
+
+test('Sprout network types map to their platform', () => {
+  assert.strictEqual(platforms.getNetworkKey('fb_instagram_account'), 'instagram');
+  assert.strictEqual(platforms.getNetworkKey('FB_PAGE'), 'facebook');
+  assert.strictEqual(platforms.getNetworkKey('twitter_profile'), 'twitter');
+  assert.strictEqual(platforms.getNetworkKey('google_my_business'), 'google_business');
+  assert.strictEqual(platforms.getNetworkKey('myspace'), null);
+  assert.strictEqual(platforms.getPlatformForNetworkType(undefined), null);
+  assert.strictEqual(platforms.getPlatform('tiktok').SHEET_NAME, 'Tiktok');
+});
+
+test('network buckets follow the tab order', () => {
+  assert.deepStrictEqual(Object.keys(platforms.createNetworkBuckets()), [
+    'instagram', 'youtube', 'linkedin', 'facebook', 'twitter', 'tiktok', 'pinterest', 'threads', 'google_business'
+  ]);
+});
+
+test('every platform module in the directory is registered', () => {
+  const moduleCount = fs.readdirSync(path.join(__dirname, '../platforms')).filter(fileName => fileName !== 'index.js').length;
+  assert.strictEqual(platforms.PLATFORMS.length, moduleCount);
+});
+
+test('every platform builds rows that line up with its headers', () => {
+  const dataPoint = {
+    dimensions: { customer_profile_id: 1001, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { 'lifetime_snapshot.followers_count': 100 }
+  };
+  for (const platform of platforms.PLATFORMS) {
+    const profile = { customer_profile_id: 1001, network_type: platform.NETWORK_TYPES[0], name: 'Brand', network_id: 'n1' };
+    const row = platform.formatAnalyticsData(dataPoint, profile);
+    assert.strictEqual(row.length, platform.HEADERS.length, platform.NETWORK);
+    assert.strictEqual(row[0], '2024-01-05', platform.NETWORK);
+  }
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency } = require('../utils/pool');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency keeps input order whatever order the calls finish in', async () => {
+  const results = await mapWithConcurrency([30, 10, 20, 0], 4, async (ms, index) => {
+    await sleep(ms);
+    return index;
+  });
+  assert.deepStrictEqual(results, [0, 1, 2, 3]);
+});
+
+test('mapWithConcurrency never runs more than the given number of calls at once', async () => {
+  let running = 0;
+  let peak = 0;
+  await mapWithConcurrency(Array.from({ length: 10 }, (_, index) => index), 3, async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+  });
+  assert.strictEqual(peak, 3);
+});
+
+test('mapWithConcurrency handles an empty list', async () => {
+  assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const posts = require('../utils/posts');
+const youtube = require('../platforms/youtube');
+const googleBusiness = require('../platforms/google-business');
+
+const PROFILE = { customer_profile_id: 1001, name: 'Brand' };
+
+/**
+ * Build a post as the posts endpoint returns it
+ * @param {string} createdTime - Sent time
+ * @param {string} permalink - Permalink
+ * @param {Object} [metrics] - Lifetime metrics
+ * @returns {Object} Post
+ */
+const post = (createdTime, permalink, metrics = {}) => ({
+  created_time: createdTime,
+  perma_link: permalink,
+  text: 'Hello',
+  post_type: 'INSTAGRAM_MEDIA',
+  customer_profile_id: '1001',
+  metrics
+});
+
+test('formatPostRow lays a post out like the posts tab headers', () => {
+  const row = posts.formatPostRow(post('2024-01-05T14:30:00Z', 'https://x/1', { 'lifetime.impressions': 120, 'lifetime.likes': 7 }), PROFILE, 'instagram');
+  assert.strictEqual(row.length, posts.POSTS_HEADERS.length);
+  assert.deepStrictEqual(row.slice(0, 8), ['2024-01-05', '14:30:00', 'instagram', 'Brand', 1001, 'INSTAGRAM_MEDIA', 'https://x/1', 'Hello']);
+  assert.strictEqual(row[posts.POSTS_HEADERS.indexOf('Impressions')], 120);
+  assert.strictEqual(row[posts.POSTS_HEADERS.indexOf('Likes')], 7);
+  assert.strictEqual(row[posts.POSTS_HEADERS.indexOf('Shares')], 0);
+});
+
+test('formatPostsByNetwork groups posts by network, oldest first, and drops unknown profiles', () => {
+  const rowsByNetwork = posts.formatPostsByNetwork([
+    post('2024-01-07T09:00:00Z', 'https://x/2'),
+    post('2024-01-05T09:00:00Z', 'https://x/1'),
+    { ...post('2024-01-06T09:00:00Z', 'https://x/3'), customer_profile_id: '9999' }
+  ], { instagram: [PROFILE] });
+
+  assert.deepStrictEqual(Object.keys(rowsByNetwork), ['instagram']);
+  assert.deepStrictEqual(rowsByNetwork.instagram.map(row => row[6]), ['https://x/1', 'https://x/2']);
+});
+
+test('getPostsSheetName puts the posts tab next to the network tab', () => {
+  assert.strictEqual(posts.getPostsSheetName('instagram'), 'Instagram Posts');
+  assert.strictEqual(posts.getPostsSheetName('youtube'), `${youtube.SHEET_NAME} Posts`);
+  assert.strictEqual(posts.getPostsSheetName('google_business'), `${googleBusiness.SHEET_NAME} Posts`);
+});
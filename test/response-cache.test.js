@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createResponseCache, describeRequest } = require('../utils/response-cache');
+const { createSproutClient } = require('../utils/sprout-client');
+
+const URL = 'http://localhost:4010/v1/123/analytics/profiles';
+
+/**
+ * Build an analytics request config
+ * @param {string} startDate - Window start
+ * @param {string} endDate - Window end
+ * @returns {Object} Request config
+ */
+const analyticsRequest = (startDate, endDate) => ({
+  method: 'post',
+  url: URL,
+  data: {
+    filters: ['customer_profile_id.eq(1001, 1002)', `reporting_period.in(${startDate}...${endDate})`],
+    metrics: ['impressions'],
+    page: 2
+  }
+});
+
+/**
+ * Create a cache in a fresh temporary directory
+ * @param {string} mode - Cache mode
+ * @returns {Object} Response cache
+ */
+const createTempCache = (mode) => createResponseCache({ mode, dir: fs.mkdtempSync(path.join(os.tmpdir(), 'sprout-cache-')) });
+
+test('describeRequest keys a request by customer, endpoint, profiles, window and page', () => {
+  const parts = describeRequest(analyticsRequest('2024-01-01', '2024-03-31'));
+  assert.strictEqual(parts.customer, '123');
+  assert.strictEqual(parts.endpoint, 'analytics_profiles');
+  assert.strictEqual(parts.profiles, '1001-1002');
+  assert.deepStrictEqual(parts.window, { startDate: '2024-01-01', endDate: '2024-03-31' });
+  assert.strictEqual(parts.page, 2);
+
+  // The host doesn't matter, the request body does
+  const elsewhere = { ...analyticsRequest('2024-01-01', '2024-03-31'), url: 'https://api.sproutsocial.com/v1/123/analytics/profiles' };
+  assert.strictEqual(describeRequest(elsewhere).hash, parts.hash);
+  const otherMetrics = analyticsRequest('2024-01-01', '2024-03-31');
+  otherMetrics.data.metrics = ['likes'];
+  assert.notStrictEqual(describeRequest(otherMetrics).hash, parts.hash);
+});
+
+test('a recorded response is served in replay mode', () => {
+  const recorder = createTempCache('record');
+  const request = analyticsRequest('2024-01-01', '2024-01-31');
+  assert.strictEqual(recorder.read(request), null);
+  recorder.write(request, { status: 200, headers: {}, data: { data: [1, 2] } });
+
+  const replay = createResponseCache({ mode: 'replay', dir: recorder.dir });
+  assert.deepStrictEqual(replay.read(request), { status: 200, headers: {}, data: { data: [1, 2] }, fromCache: true });
+  assert.throws(() => replay.read(analyticsRequest('2024-02-01', '2024-02-29')), (error) => error.code === 'CACHE_MISS');
+});
+
+test('cache-first only keeps windows that ended before today', () => {
+  const cache = createTempCache('cache-first');
+  const today = new Date().toISOString().split('T')[0];
+  const finished = analyticsRequest('2024-01-01', '2024-01-31');
+  const open = analyticsRequest('2024-01-01', today);
+
+  cache.write(finished, { status: 200, data: { data: [1] } });
+  cache.write(open, { status: 200, data: { data: [2] } });
+  assert.deepStrictEqual(cache.read(finished).data, { data: [1] });
+  assert.strictEqual(cache.read(open), null);
+  assert.strictEqual(fs.existsSync(cache.getPath(open)), false);
+});
+
+test('the client serves cached responses without calling the API', async () => {
+  const recorder = createTempCache('record');
+  const request = analyticsRequest('2024-01-01', '2024-01-31');
+  recorder.write(request, { status: 200, data: { data: [1] } });
+
+  // Nothing listens on this URL, so the request only succeeds from the cache
+  const client = createSproutClient({ cache: createResponseCache({ mode: 'replay', dir: recorder.dir }), maxRetries: 0 });
+  const response = await client.post(request.url, 'token', request.data);
+  assert.deepStrictEqual(response.data, { data: [1] });
+});
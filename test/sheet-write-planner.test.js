@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeGoogle } = require('../utils/fake-google');
+const { createSheetWritePlanner } = require('../utils/sheet-write-planner');
+
+const HEADERS = ['Date', 'Network Type', 'Profile Name', 'Network ID', 'Profile ID', 'Video Views'];
+
+/**
+ * Create a planner over a fake spreadsheet holding the given tab rows
+ * @param {Object} tabs - Rows keyed by tab name
+ * @returns {Promise<{google: Object, spreadsheetId: string, planner: Object}>} Fake Google clients, spreadsheet ID and loaded planner
+ */
+const createPlanner = async (tabs) => {
+  const google = createFakeGoogle();
+  const { data: { spreadsheetId } } = await google.sheets.spreadsheets.create({
+    resource: { properties: { title: 'Report' }, sheets: Object.keys(tabs).map(title => ({ properties: { title } })) }
+  });
+  for (const [title, rows] of Object.entries(tabs)) {
+    await google.sheets.spreadsheets.values.update({ spreadsheetId, range: `${title}!A1`, valueInputOption: 'RAW', resource: { values: rows } });
+  }
+  const planner = createSheetWritePlanner(google.sheets, spreadsheetId);
+  await planner.load();
+  return { google, spreadsheetId, planner };
+};
+
+test('readRowKeys indexes data rows and finds earlier summary rows', async () => {
+  const { planner } = await createPlanner({
+    Youtube: [
+      HEADERS,
+      ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10],
+      ['2024-01-02', 'youtube', 'Brand', 'n', 1005, 20],
+      ['2024-01-31', 'Monthly Summary', 'Brand', '', 1005, 30]
+    ]
+  });
+  const state = (await planner.readRowKeys({ Youtube: HEADERS })).get('Youtube');
+  assert.deepStrictEqual([...state.keys], [['2024-01-01|1005', 2], ['2024-01-02|1005', 3]]);
+  assert.deepStrictEqual(state.summaryRows, [4]);
+  assert.strictEqual(state.rowCount, 4);
+  assert.deepStrictEqual(planner.getDataRows('Youtube').map(row => row[5]), [10, 20]);
+});
+
+test('deleteSummaryRows removes earlier summaries and renumbers the rows below them', async () => {
+  const { google, spreadsheetId, planner } = await createPlanner({
+    Youtube: [
+      HEADERS,
+      ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10],
+      ['2024-01-31', 'Monthly Summary', 'Brand', '', 1005, 10],
+      ['2024-01-02', 'youtube', 'Brand', 'n', 1005, 20]
+    ]
+  });
+  await planner.readRowKeys({ Youtube: HEADERS });
+  assert.strictEqual(planner.deleteSummaryRows('Youtube'), 1);
+  planner.upsertRows('Youtube', [
+    ['2024-01-02', 'youtube', 'Brand', 'n', 1005, 21],
+    ['2024-01-03', 'youtube', 'Brand', 'n', 1005, 30]
+  ], { headers: HEADERS });
+  await planner.flush();
+
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Youtube').map(row => row[5]), ['Video Views', 10, 21, 30]);
+});
+
+test('upsertRows overwrites known keys and appends new ones in one flush', async () => {
+  const { google, spreadsheetId, planner } = await createPlanner({
+    Youtube: [HEADERS, ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10]]
+  });
+  await planner.readRowKeys({ Youtube: HEADERS });
+  const counts = planner.upsertRows('Youtube', [
+    ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 11],
+    ['2024-01-02', 'youtube', 'Brand', 'n', 1005, 22]
+  ], { headers: HEADERS });
+  assert.deepStrictEqual(counts, { updated: 1, appended: 1, skipped: 0 });
+
+  const { calls } = await planner.flush();
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Youtube').map(row => row[5]), ['Video Views', 11, 22]);
+});
+
+test('a queued tab is created and filled in one flush without reading it', async () => {
+  const { google, spreadsheetId, planner } = await createPlanner({ Instagram: [] });
+  planner.ensureSheet('Youtube');
+  planner.setHeaders('Youtube', HEADERS);
+  const keys = await planner.readRowKeys({ Youtube: HEADERS });
+  assert.strictEqual(keys.get('Youtube').rowCount, 1);
+  assert.strictEqual(google.callCounts['values.batchGet'] || 0, 0);
+
+  planner.upsertRows('Youtube', [['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10]], { headers: HEADERS });
+  const firstRow = planner.appendRows('Youtube', [['Total', '', '', '', '', 10]]);
+  assert.strictEqual(firstRow, 3);
+
+  const { calls } = await planner.flush();
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(google.getSheetTitles(spreadsheetId), ['Instagram', 'Youtube']);
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Youtube'), [
+    HEADERS,
+    ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10],
+    ['Total', '', '', '', '', 10]
+  ]);
+});
+
+test('upsertRows writes formula cells USER_ENTERED and the rest RAW', async () => {
+  const { google, spreadsheetId, planner } = await createPlanner({ Youtube: [HEADERS] });
+  await planner.readRowKeys({ Youtube: HEADERS });
+  planner.upsertRows('Youtube', [['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10]], {
+    headers: HEADERS,
+    formulas: (rowNumber) => [null, null, null, null, null, `=2*${rowNumber}`]
+  });
+  assert.strictEqual(planner.getNextRow('Youtube'), 3);
+
+  const { calls } = await planner.flush();
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Youtube')[1], ['2024-01-01', 'youtube', 'Brand', 'n', 1005, '=2*2']);
+  assert.strictEqual(google.isFormulaCell(spreadsheetId, 'Youtube', 1, 5), true);
+  assert.strictEqual(google.isFormulaCell(spreadsheetId, 'Youtube', 1, 4), false);
+});
+
+test('a tab with another header layout is rebuilt and its rows reported missing', async () => {
+  const { google, spreadsheetId, planner } = await createPlanner({
+    Youtube: [
+      ['Date', 'Network Type', 'Profile Name', 'Network ID', 'Profile ID', 'Subscribers'],
+      ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 500]
+    ]
+  });
+  planner.setHeaders('Youtube', HEADERS);
+  const state = (await planner.readRowKeys({ Youtube: HEADERS })).get('Youtube');
+  assert.strictEqual(state.keys.size, 0);
+
+  planner.upsertRows('Youtube', [['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10]], { headers: HEADERS });
+  await planner.flush();
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Youtube'), [HEADERS, ['2024-01-01', 'youtube', 'Brand', 'n', 1005, 10]]);
+});
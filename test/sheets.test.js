@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sheetsUtil = require('../utils/sheets');
+const { createFakeGoogle } = require('../utils/fake-google');
+
+const HEADERS = ['Date', 'Network Type', 'Profile Name', 'Network ID', 'Profile ID', 'Impressions'];
+
+/**
+ * Create a fake spreadsheet with a tab holding the given rows
+ * @param {Array<Array>} rows - Tab rows, header included
+ * @returns {Promise<{google: Object, spreadsheetId: string}>} Fake Google clients and the spreadsheet ID
+ */
+const createTab = async (rows) => {
+  const google = createFakeGoogle();
+  const { data: { spreadsheetId } } = await google.sheets.spreadsheets.create({
+    resource: { properties: { title: 'Report' }, sheets: [{ properties: { title: 'Instagram' } }] }
+  });
+  await google.sheets.spreadsheets.values.update({ spreadsheetId, range: 'Instagram!A1', valueInputOption: 'RAW', resource: { values: rows } });
+  return { google, spreadsheetId };
+};
+
+test('upsertRows overwrites rows with the same date and profile ID and appends new keys', async () => {
+  const { google, spreadsheetId } = await createTab([
+    HEADERS,
+    ['2024-01-01', 'instagram', 'Brand', 'n', 1001, 10],
+    ['2024-01-02', 'instagram', 'Brand', 'n', 1001, 20]
+  ]);
+
+  const written = await sheetsUtil.upsertRows(google.auth, spreadsheetId, [
+    ['2024-01-02T00:00:00.000Z', 'instagram', 'Brand', 'n', 1001, 21],
+    ['2024-01-02', 'instagram', 'Other', 'n', '1002', 5],
+    ['2024-01-02', 'instagram', 'Other', 'n', 1002, 6]
+  ], 'Instagram', { headers: HEADERS });
+
+  assert.strictEqual(written, true);
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Instagram').map(row => [row[0], row[4], row[5]]), [
+    ['Date', 'Profile ID', 'Impressions'],
+    ['2024-01-01', 1001, 10],
+    ['2024-01-02T00:00:00.000Z', 1001, 21],
+    ['2024-01-02', 1002, 6]
+  ]);
+  assert.strictEqual(google.callCounts['sheets.spreadsheets.values.batchUpdate'], 1);
+});
+
+test('updateSheet in upsert mode never duplicates a re-fetched day', async () => {
+  const { google, spreadsheetId } = await createTab([HEADERS]);
+  const rows = [['2024-01-01', 'instagram', 'Brand', 'n', 1001, 10]];
+
+  await sheetsUtil.updateSheet(google.auth, spreadsheetId, rows, 'Instagram', { mode: 'upsert', headers: HEADERS });
+  await sheetsUtil.updateSheet(google.auth, spreadsheetId, rows, 'Instagram', { mode: 'upsert', headers: HEADERS });
+  assert.strictEqual(google.getGrid(spreadsheetId, 'Instagram').length, 2);
+});
+
+test('parseRowKeys keys rows by date and profile ID and finds summary rows', () => {
+  const existing = sheetsUtil.parseRowKeys(
+    [['Date'], ['2024-01-01'], ['2024-01-01'], [''], ['2024-01-31'], ['2024-01-01']],
+    [['Profile ID'], [1001], [1002], [1003], [1001], [1001]],
+    [['Network Type'], ['instagram'], ['instagram'], ['instagram'], ['Monthly Summary'], ['instagram']]
+  );
+
+  // The first row of a repeated key wins; rows without a date are skipped
+  assert.deepStrictEqual([...existing.keys], [['2024-01-01|1001', 2], ['2024-01-01|1002', 3]]);
+  assert.deepStrictEqual(existing.summaryRows, [5]);
+  assert.strictEqual(existing.rowCount, 6);
+});
+
+test('planUpsert matches rows on (date, profile ID) and appends new keys', () => {
+  const existing = sheetsUtil.parseRowKeys(
+    [['Date'], ['2024-01-01'], ['2024-01-02']],
+    [['Profile ID'], [1001], [1001]]
+  );
+  const rows = [
+    ['2024-01-02T00:00:00.000Z', 'instagram', 'Brand', 'n', 1001, 20],
+    ['2024-01-02', 'instagram', 'Brand', 'n', '1002', 30],
+    ['2024-01-02', 'instagram', 'Brand', 'n', 1002, 31]
+  ];
+  const plan = sheetsUtil.planUpsert(existing, rows, 'Instagram', { headers: HEADERS });
+
+  assert.strictEqual(plan.updated, 1);
+  assert.strictEqual(plan.appended, 1);
+  assert.deepStrictEqual(plan.data.map(({ range, values }) => [range, values[0][5]]), [
+    ['Instagram!A3:F3', 20],
+    ['Instagram!A4:F4', 31]
+  ]);
+  assert.strictEqual(existing.keys.get('2024-01-02|1002'), 4);
+});
+
+test('planUpsert in append mode skips rows already written for today and yesterday', () => {
+  const today = new Date().toISOString().split('T')[0];
+  const existing = sheetsUtil.parseRowKeys(
+    [['Date'], ['2024-01-01'], [today]],
+    [['Profile ID'], [1001], [1001]]
+  );
+  const rows = [
+    ['2024-01-01', 'instagram', 'Brand', 'n', 1001, 10],
+    [today, 'instagram', 'Brand', 'n', 1001, 20]
+  ];
+  const plan = sheetsUtil.planUpsert(existing, rows, 'Instagram', { headers: HEADERS, mode: 'append' });
+
+  assert.strictEqual(plan.skipped, 1);
+  assert.strictEqual(plan.appended, 1);
+  assert.deepStrictEqual(plan.data.map(({ range }) => range), ['Instagram!A4:F4']);
+});
+
+test('planUpsert overwrites rows by single key column and appends new keys', () => {
+  const existing = sheetsUtil.parseKeyColumn([['Permalink'], ['https://x/1'], ['https://x/2']]);
+  const rows = [
+    ['2024-03-01', 'https://x/2', 20],
+    ['2024-03-02', 'https://x/3', 30],
+    ['2024-03-02', '', 1],
+    ['2024-03-02', '', 2]
+  ];
+  const plan = sheetsUtil.planUpsert(existing, rows, 'Posts', { keyIndex: 1 });
+
+  // Rows without a key are always appended
+  assert.strictEqual(plan.updated, 1);
+  assert.strictEqual(plan.appended, 3);
+  assert.deepStrictEqual(plan.data.map(({ range }) => range), ['Posts!A3:C3', 'Posts!A4:C4', 'Posts!A5:C5', 'Posts!A6:C6']);
+  assert.strictEqual(existing.keys.get('https://x/3'), 4);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeGoogle } = require('../utils/fake-google');
+const columns = require('../utils/columns');
+const { createSinks } = require('../sinks');
+
+const COLUMNS = [...columns.dimensionColumns(), columns.metricColumn('Impressions', 'impressions')];
+const HEADERS = columns.getHeaders(COLUMNS);
+
+test('createSinks rejects unknown outputs', () => {
+  assert.throws(() => createSinks(['pdf']), /Unknown output "pdf"/);
+});
+
+test('the Google Sheets sink reopens the spreadsheet of a report and upserts into it', async () => {
+  const google = createFakeGoogle({ folderIds: ['folder'] });
+  const [sink] = createSinks(['sheets'], { googleClients: google });
+  const details = { reportName: 'Sprout Analytics - Brand - Monthly Report - January 2024', folderId: 'folder' };
+
+  const first = await sink.openReport(details);
+  first.ensureTab('Instagram', HEADERS);
+  first.writeHeader('Instagram', HEADERS);
+  await first.readRowKeys({ Instagram: HEADERS });
+  first.upsertRows('Instagram', [['2024-01-01', 'instagram', 'Brand', 'n1', 1001, 10]], { headers: HEADERS });
+  await first.finalize();
+
+  const second = await sink.openReport(details);
+  assert.strictEqual(second.spreadsheetId, first.spreadsheetId);
+  await second.readRowKeys({ Instagram: HEADERS });
+  second.upsertRows('Instagram', [
+    ['2024-01-01', 'instagram', 'Brand', 'n1', 1001, 11],
+    ['2024-01-02', 'instagram', 'Brand', 'n1', 1001, 20]
+  ], { headers: HEADERS });
+  await second.finalize();
+
+  assert.deepStrictEqual(google.getGrid(first.spreadsheetId, 'Instagram').map(row => row[5]), ['Impressions', 11, 20]);
+});
+
+test('writeSummary replaces the summary block an earlier run wrote', async () => {
+  const google = createFakeGoogle({ folderIds: ['folder'] });
+  const [sink] = createSinks(['sheets'], { googleClients: google });
+  const details = { reportName: 'Brand - January 2024', folderId: 'folder' };
+  let spreadsheetId;
+
+  for (const impressions of [10, 12]) {
+    const report = await sink.openReport(details);
+    report.ensureTab('Instagram', COLUMNS);
+    report.writeHeader('Instagram', HEADERS);
+    await report.readRowKeys({ Instagram: HEADERS });
+    report.upsertRows('Instagram', [
+      ['2024-01-01', 'instagram', 'Brand', 'n1', 1001, impressions],
+      ['2024-01-01', 'instagram', 'Other', 'n2', 1002, 5]
+    ], { headers: HEADERS });
+    assert.strictEqual(report.writeSummary('Instagram'), 3);
+    await report.finalize();
+    spreadsheetId = report.spreadsheetId;
+  }
+
+  assert.deepStrictEqual(google.getGrid(spreadsheetId, 'Instagram').slice(1), [
+    ['2024-01-01', 'instagram', 'Brand', 'n1', 1001, 12],
+    ['2024-01-01', 'instagram', 'Other', 'n2', 1002, 5],
+    ['2024-01-31', 'Monthly Summary', 'Brand', 'n1', 1001, 12],
+    ['2024-01-31', 'Monthly Summary', 'Other', 'n2', 1002, 5],
+    ['2024-01-31', 'Monthly Summary', 'TOTAL', '', '', 17]
+  ]);
+});
+
+test('upsertRowsByKey updates rows already in the tab by their key column', async () => {
+  const google = createFakeGoogle({ folderIds: ['folder'] });
+  const [sink] = createSinks(['sheets'], { googleClients: google });
+  const report = await sink.openReport({ reportName: 'Brand - January 2024', folderId: 'folder' });
+  const headers = ['Permalink', 'Likes'];
+  report.ensureTab('Instagram Posts', headers);
+  report.writeHeader('Instagram Posts', headers);
+  await report.finalize();
+
+  assert.strictEqual(await report.upsertRowsByKey({ 'Instagram Posts': [['https://x/1', 1]] }, { headers, keyIndex: 0 }), 1);
+  await report.finalize();
+  assert.strictEqual(await report.upsertRowsByKey({ 'Instagram Posts': [['https://x/1', 5], ['https://x/2', 2]] }, { headers, keyIndex: 0 }), 2);
+  await report.finalize();
+
+  assert.deepStrictEqual(google.getGrid(report.spreadsheetId, 'Instagram Posts'), [
+    headers,
+    ['https://x/1', 5],
+    ['https://x/2', 2]
+  ]);
+});
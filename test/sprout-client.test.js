@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createSproutClient, createTokenBucket, parseRetryAfter } = require('../utils/sprout-client');
+
+/**
+ * Start a server that answers with the queued statuses first, then 200
+ * @param {Array<number>} statuses - Statuses of the first responses
+ * @param {Object} [headers] - Headers sent with the queued statuses
+ * @returns {Promise<{url: string, statuses: Array<number>, close: Function}>} Running server and the statuses still queued
+ */
+const startServer = (statuses, headers = {}) => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    const status = statuses.shift() || 200;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 200 ? {} : headers) });
+    res.end(JSON.stringify(status === 200 ? { data: [] } : { error: `Status ${status}` }));
+  });
+  server.listen(0, () => {
+    resolve({
+      url: `http://localhost:${server.address().port}/v1/1/metadata/customer`,
+      statuses,
+      close: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      })
+    });
+  });
+});
+
+/**
+ * Create a client that doesn't wait between requests or retries
+ * @param {Object} [overrides] - Other client options
+ * @returns {Object} Sprout client
+ */
+const createFastClient = (overrides = {}) => {
+  return createSproutClient({ requestsPerMinute: 60000, burst: 100, baseDelayMs: 1, ...overrides });
+};
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter(undefined), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+  assert.ok(delay > 8000 && delay <= 10000, `unexpected delay ${delay}`);
+});
+
+test('the token bucket hands out the burst at once, then one slot per refill', async () => {
+  const bucket = createTokenBucket(2, 20);
+  const start = Date.now();
+  await bucket.acquire();
+  await bucket.acquire();
+  assert.ok(Date.now() - start < 40, 'burst should not wait');
+
+  await bucket.acquire();
+  assert.ok(Date.now() - start >= 40, 'third slot should wait for a refill');
+});
+
+test('the token bucket holds every slot while paused', async () => {
+  const bucket = createTokenBucket(5, 1000);
+  const start = Date.now();
+  bucket.pauseUntil(start + 100);
+  await bucket.acquire();
+  assert.ok(Date.now() - start >= 95, 'slot handed out during the pause');
+});
+
+test('requests are retried on 429 and 5xx responses', async () => {
+  const server = await startServer([500, 429, 503], { 'Retry-After': '0' });
+  try {
+    const response = await createFastClient().get(server.url, 'token');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(server.statuses.length, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requests give up after maxRetries retries', async () => {
+  const server = await startServer([500, 500, 500, 500]);
+  try {
+    await assert.rejects(createFastClient({ maxRetries: 2 }).get(server.url, 'token'), (error) => error.response.status === 500);
+    // One first attempt and two retries
+    assert.strictEqual(server.statuses.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('401 and 403 responses are not retried', async () => {
+  const server = await startServer([401, 500]);
+  try {
+    await assert.rejects(createFastClient().get(server.url, 'token'), (error) => error.response.status === 401);
+    assert.strictEqual(server.statuses.length, 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const threads = require('../platforms/threads');
+const { getMetricsForNetworkType } = require('../utils/metrics');
+
+const PROFILE = { customer_profile_id: 1008, network_type: 'threads', name: 'Brand', network_id: 'th1' };
+
+test('Threads profiles are asked for the Threads metrics', () => {
+  assert.strictEqual(getMetricsForNetworkType('threads'), threads.METRICS);
+});
+
+test('Threads rows count replies, reposts and quotes as engagement', () => {
+  const row = threads.formatAnalyticsData({
+    dimensions: { customer_profile_id: 1008, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { 'lifetime_snapshot.followers_count': 400, views: 800, likes: 12, comments_count: 4, shares_count: 2, quotes: 2 }
+  }, PROFILE);
+  const value = (header) => row[threads.HEADERS.indexOf(header)];
+
+  assert.strictEqual(row.length, threads.HEADERS.length);
+  assert.strictEqual(value('Total Replies'), 4);
+  assert.strictEqual(value('Total Engagement Actions'), 20);
+  assert.strictEqual(value('Engagement Rate % (per View)'), 2.5);
+  assert.strictEqual(value('Engagement Rate % (per Follower)'), 5);
+});
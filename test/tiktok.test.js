@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const tiktok = require('../platforms/tiktok');
+const { getMetricsForNetworkType } = require('../utils/metrics');
+
+const PROFILE = { customer_profile_id: 1006, network_type: 'tiktok', name: 'Brand', network_id: 'tt1' };
+
+test('TikTok profiles are asked for the TikTok metrics', () => {
+  assert.strictEqual(getMetricsForNetworkType('tiktok'), tiktok.METRICS);
+});
+
+test('TikTok rows report engagement per view and per follower', () => {
+  const row = tiktok.formatAnalyticsData({
+    dimensions: { customer_profile_id: 1006, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: { 'lifetime_snapshot.followers_count': 500, video_views: 1000, likes: 40, comments_count: 8, shares_count: 2 }
+  }, PROFILE);
+  const value = (header) => row[tiktok.HEADERS.indexOf(header)];
+
+  assert.strictEqual(row.length, tiktok.HEADERS.length);
+  assert.deepStrictEqual(row.slice(0, 5), ['2024-01-05', 'tiktok', 'Brand', 'tt1', 1006]);
+  assert.strictEqual(value('Total Engagement Actions'), 50);
+  assert.strictEqual(value('Engagement Rate % (per View)'), 5);
+  assert.strictEqual(value('Engagement Rate % (per Follower)'), 10);
+});
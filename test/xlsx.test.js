@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const memorySpreadsheet = require('../utils/memory-spreadsheet');
+const xlsxOutput = require('../utils/xlsx-output');
+const { createXlsxSink } = require('../sinks/xlsx');
+
+const HEADERS = ['Date', 'Network Type', 'Profile Name', 'Network ID', 'Profile ID', 'Impressions'];
+
+test('getWorkbookPath strips characters Excel does not allow', () => {
+  assert.strictEqual(
+    xlsxOutput.getWorkbookPath('/out', 'Brand: A/B - January 2024'),
+    path.resolve('/out', 'Brand- A-B - January 2024.xlsx')
+  );
+});
+
+test('toExcelStyle maps Sheets formats to Excel styles', () => {
+  const style = xlsxOutput.toExcelStyle({
+    numberFormat: { type: 'NUMBER', pattern: '#,##0' },
+    backgroundColor: { red: 0.2, green: 0.2, blue: 0.2 },
+    textFormat: { bold: true, foregroundColor: { red: 1, green: 1, blue: 1 } },
+    horizontalAlignment: 'CENTER',
+    verticalAlignment: 'MIDDLE'
+  });
+  assert.deepStrictEqual(style, {
+    numFmt: '#,##0',
+    fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF333333' } },
+    font: { bold: true, color: { argb: 'FFFFFFFF' } },
+    alignment: { horizontal: 'center', vertical: 'middle' }
+  });
+});
+
+test('a written workbook is loaded back with its values and formulas', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-output-'));
+  try {
+    const filePath = xlsxOutput.getWorkbookPath(outputDir, 'Brand - January 2024');
+    const first = memorySpreadsheet.createSpreadsheet('first', 'Report', [{ title: 'Instagram' }]);
+    memorySpreadsheet.updateValues(first, 'Instagram!A1', [HEADERS, ['2024-01-01', 'instagram', 'Brand', 'n1', 1001, 10]], 'RAW');
+    memorySpreadsheet.updateValues(first, 'Instagram!G2', [['=F2*2']], 'USER_ENTERED');
+    assert.strictEqual(await xlsxOutput.writeWorkbook(first, filePath), filePath);
+
+    const second = memorySpreadsheet.createSpreadsheet('second', 'Report');
+    assert.strictEqual(await xlsxOutput.importWorkbook(second, filePath), true);
+    assert.deepStrictEqual(memorySpreadsheet.getGrid(second, 'Instagram'), [HEADERS, ['2024-01-01', 'instagram', 'Brand', 'n1', 1001, 10, '=F2*2']]);
+    assert.strictEqual(memorySpreadsheet.isFormulaCell(second, 'Instagram', 1, 6), true);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('the xlsx sink writes a workbook per report and reloads it on the next run', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-sink-'));
+  try {
+    const sink = createXlsxSink({ outputDir });
+
+    const first = await sink.openReport({ reportName: 'Brand - January 2024' });
+    first.ensureTab('Instagram', HEADERS);
+    first.writeHeader('Instagram', HEADERS);
+    await first.readRowKeys({ Instagram: HEADERS });
+    first.upsertRows('Instagram', [['2024-01-01', 'instagram', 'Brand', 'n1', '1001', 10]], { headers: HEADERS });
+    const { location } = await first.finalize();
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(location);
+    assert.strictEqual(workbook.getWorksheet('Instagram').getCell('F2').value, 10);
+
+    const second = await sink.openReport({ reportName: 'Brand - January 2024' });
+    const keys = await second.readRowKeys({ Instagram: HEADERS });
+    assert.strictEqual(keys.get('Instagram').keys.size, 1);
+    await second.finalize();
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
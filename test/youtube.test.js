@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const youtube = require('../platforms/youtube');
+
+const PROFILE = { customer_profile_id: 1005, network_type: 'youtube', name: 'Brand', network_id: 'yt1' };
+
+test('YouTube rows report watch time and engagement rates', () => {
+  const row = youtube.formatAnalyticsData({
+    dimensions: { customer_profile_id: 1005, 'reporting_period.by(day)': '2024-01-05T00:00:00Z' },
+    metrics: {
+      'lifetime_snapshot.followers_count': 1000,
+      followers_gained: 4,
+      video_views: 200,
+      estimated_minutes_watched: 300,
+      likes: 10,
+      comments_count: 5,
+      shares_count: 1
+    }
+  }, PROFILE);
+  const value = (header) => row[youtube.HEADERS.indexOf(header)];
+
+  assert.strictEqual(row.length, youtube.HEADERS.length);
+  assert.strictEqual(value('Lifetime Subscribers Count'), 1000);
+  assert.strictEqual(value('Average View Duration (seconds)'), 90);
+  assert.strictEqual(value('Total Engagement Actions'), 20);
+  assert.strictEqual(value('Engagement Rate % (per View)'), 10);
+  assert.strictEqual(value('Engagement Rate % (per Subscriber)'), 2);
+});
@@ -0,0 +1,176 @@
+/**
+ * Roll daily analytics data points up to weekly or monthly periods
+ *
+ * The profiles analytics endpoint only reports `reporting_period.by(day)`, so coarser
+ * granularities are computed here. Flow metrics (impressions, likes, ...) are summed and
+ * snapshot metrics (lifetime_snapshot.*, following_count) take the last value in the
+ * period. Unique counts (impressions_unique, reach, ...) can't be added up either, since the
+ * same person is counted on every day they were reached, so they also take the last value.
+ * Rates are not Sprout metrics: the platform formatters derive them from the
+ * rolled-up totals, so they are never averaged.
+ */
+
+// Granularities a run can ask for
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Granularities Sprout reports directly; anything else is rolled up locally
+const SPROUT_GRANULARITIES = ['day'];
+
+// Snapshot metrics without the lifetime_snapshot. prefix
+const SNAPSHOT_METRICS = ['following_count'];
+
+/**
+ * Check whether a granularity needs a local rollup
+ * @param {string} granularity - day, week or month
+ * @returns {boolean} True when daily data points must be aggregated
+ */
+const needsRollup = (granularity) => {
+  return !SPROUT_GRANULARITIES.includes(granularity);
+};
+
+/**
+ * Check whether a metric counts unique people, which can't be added up across days
+ * @param {string} metricName - Sprout metric name
+ * @returns {boolean} True for *_unique and reach metrics
+ */
+const isUniqueMetric = (metricName) => {
+  return metricName.endsWith('_unique') || metricName.startsWith('reach');
+};
+
+/**
+ * Get the rule used to combine a metric across days
+ * @param {string} metricName - Sprout metric name
+ * @returns {string} "last" for snapshot and unique metrics, "sum" for flow metrics
+ */
+const getAggregationRule = (metricName) => {
+  if (metricName.startsWith('lifetime_snapshot.') || SNAPSHOT_METRICS.includes(metricName) || isUniqueMetric(metricName)) {
+    return 'last';
+  }
+  return 'sum';
+};
+
+/**
+ * Get the first day of the period a date falls in
+ * Weeks start on Monday (ISO weeks) but never cross into another month: the days of a week
+ * that started the month before make up a period of their own, starting on the 1st, so every
+ * row of a monthly report is dated inside its month.
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} granularity - day, week or month
+ * @returns {string} Period start date in YYYY-MM-DD format
+ */
+const getPeriodStart = (date, granularity) => {
+  const monthStart = `${date.substring(0, 7)}-01`;
+
+  if (granularity === 'month') {
+    return monthStart;
+  }
+
+  if (granularity === 'week') {
+    const day = new Date(`${date}T00:00:00Z`);
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    day.setUTCDate(day.getUTCDate() - daysSinceMonday);
+    const monday = day.toISOString().split('T')[0];
+    return monday < monthStart ? monthStart : monday;
+  }
+
+  return date;
+};
+
+/**
+ * Add a flow metric value to a running total
+ * Breakdown metrics (e.g. posts_sent_by_post_type) are objects and are summed per key
+ * @param {any} total - Running total
+ * @param {any} value - Value for one day
+ * @returns {any} New total
+ */
+const addValues = (total, value) => {
+  if (value && typeof value === 'object') {
+    const sum = { ...(total && typeof total === 'object' ? total : {}) };
+    for (const [key, amount] of Object.entries(value)) {
+      sum[key] = addValues(sum[key], amount);
+    }
+    return sum;
+  }
+
+  const number = parseFloat(value);
+  if (isNaN(number)) return total;
+  return (typeof total === 'number' ? total : 0) + number;
+};
+
+/**
+ * Get the day a data point reports on
+ * @param {Object} dataPoint - Data point from the API
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+const getDataPointDate = (dataPoint) => {
+  const reportingPeriod = dataPoint.dimensions?.['reporting_period.by(day)'] || dataPoint.dimensions?.reporting_period;
+  if (!reportingPeriod) return null;
+  return new Date(reportingPeriod).toISOString().split('T')[0];
+};
+
+/**
+ * Roll daily data points up to the requested granularity
+ * The result has the same shape as API data points, with the period start in
+ * `reporting_period` and `reporting_period.by(<granularity>)`, so the formatters read it unchanged.
+ * @param {Array} dataPoints - Daily data points from the API
+ * @param {string} granularity - day, week or month
+ * @returns {Array} One data point per profile and period, in period order
+ */
+const aggregateDataPoints = (dataPoints, granularity) => {
+  if (!needsRollup(granularity)) {
+    return dataPoints;
+  }
+
+  // Oldest first, so "last" always means the end of the period
+  const datedPoints = dataPoints
+    .map(dataPoint => ({ dataPoint, date: getDataPointDate(dataPoint) }))
+    .filter(({ dataPoint, date }) => date && dataPoint.dimensions?.customer_profile_id)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const periods = new Map();
+
+  datedPoints.forEach(({ dataPoint, date }) => {
+    const profileId = dataPoint.dimensions.customer_profile_id;
+    const periodStart = getPeriodStart(date, granularity);
+    const key = `${profileId}_${periodStart}`;
+
+    if (!periods.has(key)) {
+      periods.set(key, {
+        dimensions: {
+          customer_profile_id: profileId,
+          reporting_period: periodStart,
+          [`reporting_period.by(${granularity})`]: periodStart
+        },
+        metrics: {}
+      });
+    }
+
+    const period = periods.get(key);
+
+    for (const [metricName, value] of Object.entries(dataPoint.metrics || {})) {
+      if (value === null || value === undefined) continue;
+
+      if (getAggregationRule(metricName) === 'last') {
+        period.metrics[metricName] = value;
+      } else {
+        period.metrics[metricName] = addValues(period.metrics[metricName], value);
+      }
+    }
+  });
+
+  const aggregated = [...periods.values()].sort((a, b) =>
+    a.dimensions.reporting_period.localeCompare(b.dimensions.reporting_period)
+  );
+  console.log(`Rolled ${dataPoints.length} daily data points up to ${aggregated.length} ${granularity}ly data points`);
+  return aggregated;
+};
+
+module.exports = {
+  GRANULARITIES,
+  SPROUT_GRANULARITIES,
+  needsRollup,
+  isUniqueMetric,
+  getAggregationRule,
+  getPeriodStart,
+  aggregateDataPoints
+};
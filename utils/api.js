@@ -1,17 +1,74 @@
 /**
  * API utility functions for Sprout Social
  */
-const axios = require('axios');
+const { sproutClient, getSproutHeaders, isAuthError } = require('./sprout-client');
+const { mapWithConcurrency } = require('./pool');
 
-/**
- * Get headers for Sprout Social API requests
- * @param {string} token - API token
- * @returns {Object} Headers object with authorization and content type
- */
-const getSproutHeaders = (token) => ({
-  "Authorization": `Bearer ${token}`,
-  "Content-Type": "application/json"
-});
+// Fallback metrics for profiles whose network has no entry in the metric catalogue (utils/metrics.js)
+const DEFAULT_METRICS = [
+  "lifetime_snapshot.followers_count",
+  "net_follower_growth",
+  "followers_gained",
+  "followers_gained_organic",
+  "followers_gained_paid",
+  "followers_lost",
+  "lifetime_snapshot.fans_count",
+  "fans_gained",
+  "fans_gained_organic",
+  "fans_gained_paid",
+  "fans_lost",
+  "impressions",
+  "impressions_organic",
+  "impressions_viral",
+  "impressions_nonviral",
+  "impressions_paid",
+  "tab_views",
+  "tab_views_login",
+  "tab_views_logout",
+  "post_impressions",
+  "post_impressions_organic",
+  "post_impressions_viral",
+  "post_impressions_nonviral",
+  "post_impressions_paid",
+  "impressions_unique",
+  "impressions_organic_unique",
+  "impressions_viral_unique",
+  "impressions_nonviral_unique",
+  "impressions_paid_unique",
+  "reactions",
+  "comments_count",
+  "shares_count",
+  "post_link_clicks",
+  "post_content_clicks_other",
+  "profile_actions",
+  "post_engagements",
+  "video_views",
+  "video_views_organic",
+  "video_views_paid",
+  "video_views_autoplay",
+  "video_views_click_to_play",
+  "video_views_repeat",
+  "video_view_time",
+  "video_views_unique",
+  "posts_sent_count",
+  "posts_sent_by_post_type",
+  "posts_sent_by_content_type",
+  "calculated_engagements",
+  "saves",
+  "post_saves",
+  "likes",
+  "post_likes",
+  "views",
+  "post_views",
+  "following_count"
+];
+
+// Longest date range (in days) the analytics endpoint accepts in a single request
+const MAX_RANGE_DAYS = 365;
+
+// Most pages fetched for one request, so paging metadata that never ends can't loop forever.
+// A year of daily data for one profile is 8 pages of 50.
+const MAX_PAGES = 500;
 
 /**
  * Fetch profile data from Sprout Social metadata endpoint
@@ -23,7 +80,7 @@ const getSproutHeaders = (token) => ({
 const getProfileData = async (metadataUrl, token, profileIds) => {
   try {
     console.log('[API CALL] Fetching profile metadata');
-    const response = await axios.get(metadataUrl, { headers: getSproutHeaders(token) });
+    const response = await sproutClient.get(metadataUrl, token);
     
     if (!response.data || !response.data.data) {
       throw new Error('Invalid metadata response');
@@ -56,6 +113,125 @@ const getProfileData = async (metadataUrl, token, profileIds) => {
   }
 };
 
+/**
+ * Format a Date as YYYY-MM-DD using its UTC calendar day
+ * @param {Date} date - Date to format
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+const formatDateUTC = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Split a date range into windows the analytics API accepts.
+ * Ranges of a year or less are returned as a single window; longer ranges
+ * are split on calendar quarter boundaries.
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @returns {Array<{startDate: string, endDate: string}>} Consecutive, non-overlapping windows
+ */
+const getDateWindows = (startDate, endDate) => {
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const end = new Date(`${endDate}T00:00:00Z`);
+  const daysDiff = (end.getTime() - start.getTime()) / (1000 * 60 * 60 * 24);
+
+  if (daysDiff <= MAX_RANGE_DAYS) {
+    return [{ startDate, endDate }];
+  }
+
+  const windows = [];
+  let cursor = start;
+  while (cursor <= end) {
+    // Day 0 of the month after the quarter is the last day of the quarter
+    const quarterEnd = new Date(Date.UTC(
+      cursor.getUTCFullYear(),
+      Math.floor(cursor.getUTCMonth() / 3) * 3 + 3,
+      0
+    ));
+    const windowEnd = quarterEnd < end ? quarterEnd : end;
+    windows.push({ startDate: formatDateUTC(cursor), endDate: formatDateUTC(windowEnd) });
+
+    cursor = new Date(windowEnd);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return windows;
+};
+
+/**
+ * Remove duplicate profile/day data points, keeping the first occurrence
+ * @param {Array} dataPoints - Data points from one or more analytics requests
+ * @returns {Array} Data points with at most one entry per profile and day
+ */
+const mergeDataPoints = (dataPoints) => {
+  const seen = new Set();
+  return dataPoints.filter(dataPoint => {
+    const dimensions = dataPoint.dimensions || {};
+    const reportingPeriod = dimensions['reporting_period.by(day)'] || dimensions.reporting_period;
+    if (!dimensions.customer_profile_id || !reportingPeriod) return true;
+
+    const key = `${dimensions.customer_profile_id}_${String(reportingPeriod).substring(0, 10)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Post an analytics request and follow Sprout's paging metadata until every page is collected
+ * @param {string} analyticsUrl - Analytics endpoint URL
+ * @param {string} token - API token
+ * @param {Object} payload - Request payload (the page number is filled in per request)
+ * @param {string} label - Description of the request used in progress logs
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.maxPages=MAX_PAGES] - Most pages to fetch before giving up
+ * @returns {Promise<{data: Array, pages: number}>} All data points and the number of pages fetched
+ */
+const fetchAllPages = async (analyticsUrl, token, payload, label, options = {}) => {
+  const maxPages = options.maxPages || MAX_PAGES;
+  const data = [];
+  let page = 1;
+  let totalPages = 1;
+  let pagesFetched = 0;
+
+  do {
+    if (page > maxPages) {
+      throw new Error(`Gave up paging ${label} after ${maxPages} pages: the paging metadata never reached the last page`);
+    }
+
+    const response = await sproutClient.post(analyticsUrl, token, { ...payload, page });
+
+    // A body without a data array is a broken response, not the last page
+    if (!response.data || !Array.isArray(response.data.data)) {
+      throw new Error(`Malformed analytics page ${page} for ${label}: expected a data array`);
+    }
+
+    const pageData = response.data.data;
+    const paging = response.data.paging || {};
+    // Without paging metadata the response is the only page
+    totalPages = paging.total_pages || page;
+    pagesFetched++;
+
+    data.push(...pageData);
+    console.log(`Received ${pageData.length} data points for ${label} (page ${page}/${totalPages}, ${data.length} so far)`);
+
+    // Stop on a well-formed empty page even if the paging info claims there is more
+    if (pageData.length === 0) break;
+    // Count from the page that was requested; a current_page that doesn't move would repeat it forever
+    page += 1;
+  } while (page <= totalPages);
+
+  return { data, pages: pagesFetched };
+};
+
+/**
+ * Get the metrics to request for a profile
+ * @param {Object} metricsByProfile - Metric lists keyed by profile ID
+ * @param {string} profileId - Profile ID
+ * @returns {Array<string>} Metric names
+ */
+const getProfileMetrics = (metricsByProfile, profileId) => {
+  return (metricsByProfile && metricsByProfile[profileId]) || DEFAULT_METRICS;
+};
+
 /**
  * Get analytics data from Sprout Social API with date chunking to avoid rate limits
  * @param {string} analyticsUrl - Analytics endpoint URL
@@ -63,9 +239,14 @@ const getProfileData = async (metadataUrl, token, profileIds) => {
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  * @param {Array} profileIds - Array of profile IDs to include
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.concurrency=1] - Number of profiles fetched in parallel
+ * @param {Object} [options.metricsByProfile] - Metric lists keyed by profile ID, from the metric catalogue
  * @returns {Promise<Array>} Array of analytics data points
  */
-const getAnalyticsData = async (analyticsUrl, token, startDate, endDate, profileIds) => {
+const getAnalyticsData = async (analyticsUrl, token, startDate, endDate, profileIds, options = {}) => {
+  const concurrency = options.concurrency || 1;
+  const metricsByProfile = options.metricsByProfile || {};
   console.log(`Processing data from ${startDate} to ${endDate}`);
   
   // Filter out any empty or invalid profile IDs
@@ -77,139 +258,97 @@ const getAnalyticsData = async (analyticsUrl, token, startDate, endDate, profile
     return null;
   }
   
-  // Ensure the date range is one year or less as required by the API
-  const startDateObj = new Date(startDate);
-  const endDateObj = new Date(endDate);
-  
-  // Calculate the difference in milliseconds
-  const dateDiff = endDateObj.getTime() - startDateObj.getTime();
-  // Convert to days
-  const daysDiff = dateDiff / (1000 * 60 * 60 * 24);
-  
-  // If the date range is more than 365 days, limit it to one year
-  // If the date range is more than 365 days, limit it to one year
-let effectiveEndDate = endDate;
-if (daysDiff > 365) {
-  const oneYearLater = new Date(startDateObj);
-  oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
-  oneYearLater.setDate(oneYearLater.getDate() - 1); // Subtract one day to stay within one year
-  effectiveEndDate = oneYearLater.toISOString().split('T')[0];
-  console.log(`Date range exceeds one year. Limiting to: ${startDate} to ${effectiveEndDate}`);
-}
+  // The API only accepts ranges of one year or less, so longer ranges are split into windows
+  const windows = getDateWindows(startDate, endDate);
+  if (windows.length > 1) {
+    console.log(`Date range exceeds one year. Splitting into ${windows.length} quarterly windows`);
+  }
   
-  console.log(`Processing data for range: ${startDate} to ${effectiveEndDate}`);
+  console.log(`Processing data for range: ${startDate} to ${endDate}`);
   console.log(`Using ${validProfileIds.length} valid profile IDs`);
   
   // Create individual API requests for each profile ID to ensure compatibility
-  const allResults = { data: [] };
+  const allResults = { data: [], pages: 0, totalRows: 0 };
   
-  // Process each profile ID individually to ensure API compatibility
-  for (const profileId of validProfileIds) {
-    try {
-      console.log(`\n=== API CALL: Processing analytics for profile ID: ${profileId} ===`);
-      
-      // Format the payload for an individual profile ID
-      // The API expects dates in the format 'reporting_period.in(2024-01-01...2024-12-31)'
-      const payload = {
-        "filters": [
-          `customer_profile_id.eq(${profileId})`,
-          `reporting_period.in(${startDate}...${effectiveEndDate})`
-        ],
-        "metrics": [
-          "lifetime_snapshot.followers_count",
-          "net_follower_growth",
-          "followers_gained",
-          "followers_gained_organic",
-          "followers_gained_paid",
-          "followers_lost",
-          "lifetime_snapshot.fans_count",
-          "fans_gained",
-          "fans_gained_organic",
-          "fans_gained_paid",
-          "fans_lost",
-          "impressions",
-          "impressions_organic",
-          "impressions_viral",
-          "impressions_nonviral",
-          "impressions_paid",
-          "tab_views",
-          "tab_views_login",
-          "tab_views_logout",
-          "post_impressions",
-          "post_impressions_organic",
-          "post_impressions_viral",
-          "post_impressions_nonviral",
-          "post_impressions_paid",
-          "impressions_unique",
-          "impressions_organic_unique",
-          "impressions_viral_unique",
-          "impressions_nonviral_unique",
-          "impressions_paid_unique",
-          "reactions",
-          "comments_count",
-          "shares_count",
-          "post_link_clicks",
-          "post_content_clicks_other",
-          "profile_actions",
-          "post_engagements",
-          "video_views",
-          "video_views_organic",
-          "video_views_paid",
-          "video_views_autoplay",
-          "video_views_click_to_play",
-          "video_views_repeat",
-          "video_view_time",
-          "video_views_unique",
-          "posts_sent_count",
-          "posts_sent_by_post_type",
-          "posts_sent_by_content_type",
-          "calculated_engagements",
-          "saves",
-          "post_saves",
-          "likes",
-          "post_likes",
-          "views",
-          "post_views",
-          "following_count"
-        ],
-        "page": 1
-      };
-      
-      console.log(`Making API request for profile ID: ${profileId}`);
-      console.log(`Using POST to ${analyticsUrl}`);
-      
-      const response = await axios.post(analyticsUrl, payload, { headers: getSproutHeaders(token) });
-      
-      if (response.data && response.data.data && response.data.data.length > 0) {
-        console.log(`Received ${response.data.data.length} data points for profile ${profileId}`);
-        allResults.data = [...allResults.data, ...response.data.data];
-      } else {
-        console.warn(`No analytics data found for profile ${profileId}`);
-      }
-      
-      // Minimal delay between requests - just enough to avoid rate limiting
-      console.log(`Minimal delay before processing the next profile...`);
-      await sleep(100); // 100ms delay instead of 300ms
-      
-    } catch (error) {
-      console.error(`Error getting analytics data for profile ${profileId}: ${error.message}`);
-      if (error.response) {
-        console.error(`API Error Response for profile ${profileId}:`, {
-          status: error.response.status,
-          data: JSON.stringify(error.response.data)
-        });
+  /**
+   * Fetch every window for one profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<{data: Array, pages: number}>} Merged data points for the profile
+   */
+  const fetchProfile = async (profileId) => {
+    const profileData = [];
+    let profilePages = 0;
+    const metrics = getProfileMetrics(metricsByProfile, profileId);
+    
+    for (const window of windows) {
+      try {
+        console.log(`\n=== API CALL: Processing analytics for profile ID: ${profileId} (${window.startDate} to ${window.endDate}) ===`);
+        
+        // Format the payload for an individual profile ID
+        // The API expects dates in the format 'reporting_period.in(2024-01-01...2024-12-31)'
+        // The page number is added by fetchAllPages for each request
+        const payload = {
+          "filters": [
+            `customer_profile_id.eq(${profileId})`,
+            `reporting_period.in(${window.startDate}...${window.endDate})`
+          ],
+          "metrics": metrics
+        };
+        
+        console.log(`Making API request for profile ID: ${profileId}`);
+        console.log(`Using POST to ${analyticsUrl}`);
+        
+        const { data, pages } = await fetchAllPages(analyticsUrl, token, payload, `profile ${profileId}`);
+        profilePages += pages;
+        
+        if (data.length > 0) {
+          console.log(`Received ${data.length} data points across ${pages} page(s) for profile ${profileId}`);
+          profileData.push(...data);
+        } else {
+          console.warn(`No analytics data found for profile ${profileId} between ${window.startDate} and ${window.endDate}`);
+        }
+      } catch (error) {
+        // A rejected token fails every profile the same way, so stop the run instead of skipping them all
+        if (isAuthError(error)) throw error;
+        console.error(`Error getting analytics data for profile ${profileId} (${window.startDate} to ${window.endDate}): ${error.message}`);
+        if (error.response) {
+          console.error(`API Error Response for profile ${profileId}:`, {
+            status: error.response.status,
+            data: JSON.stringify(error.response.data)
+          });
+        }
       }
     }
+    
+    // Merge the windows into one list per profile without duplicate days at the window edges
+    return { data: mergeDataPoints(profileData), pages: profilePages };
+  };
+  
+  // Profiles run in parallel under the shared rate limit; results come back in profile order
+  if (concurrency > 1) {
+    console.log(`Fetching ${validProfileIds.length} profiles with concurrency ${concurrency}`);
   }
+  const profileResults = await mapWithConcurrency(validProfileIds, concurrency, fetchProfile);
   
-  console.log(`Total data points collected across all profiles: ${allResults.data.length}`);
+  for (const { data, pages } of profileResults) {
+    allResults.data = [...allResults.data, ...data];
+    allResults.pages += pages;
+  }
+  
+  allResults.totalRows = allResults.data.length;
+  console.log(`Total data points collected across all profiles: ${allResults.totalRows} (${allResults.pages} pages)`);
   return allResults.data.length > 0 ? allResults : null;
 };
 
 /**
  * Alternative implementation for getting analytics data with JSON payload
+ * Profiles that share a metric list are requested together, one request per list
+ * @param {Object} [options] - Fetch options
+ * @param {Object} [options.metricsByProfile] - Metric lists keyed by profile ID, from the metric catalogue
  */
-const getAnalyticsDataWithJsonPayload = async (analyticsUrl, token, startDate, endDate, profileIds) => {
+const getAnalyticsDataWithJsonPayload = async (analyticsUrl, token, startDate, endDate, profileIds, options = {}) => {
+  const metricsByProfile = options.metricsByProfile || {};
+  
   // Filter out any empty or invalid profile IDs
   const validProfileIds = profileIds.filter(id => id && id.toString().trim() !== '');
   
@@ -218,121 +357,78 @@ const getAnalyticsDataWithJsonPayload = async (analyticsUrl, token, startDate, e
     return null;
   }
   
-  // Ensure date range is within one year
-  let effectiveEndDate = endDate;
-  const startDateObj = new Date(startDate);
-  const endDateObj = new Date(endDate);
-  const daysDiff = (endDateObj.getTime() - startDateObj.getTime()) / (1000 * 60 * 60 * 24);
+  // Split ranges longer than a year into windows the API accepts
+  const windows = getDateWindows(startDate, endDate);
   
-  if (daysDiff > 365) {
-    const oneYearLater = new Date(startDateObj);
-    oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
-    oneYearLater.setDate(oneYearLater.getDate() - 1);
-    effectiveEndDate = oneYearLater.toISOString().split('T')[0];
-  }
+  // Group profiles by metric list so each request only asks for fields their network reports
+  const metricGroups = new Map();
+  validProfileIds.forEach(profileId => {
+    const metrics = getProfileMetrics(metricsByProfile, profileId);
+    if (!metricGroups.has(metrics)) {
+      metricGroups.set(metrics, []);
+    }
+    metricGroups.get(metrics).push(profileId);
+  });
   
-  // Use the original payload format that is known to work
-  const payload = {
-    "filters": [
-      validProfileIds.length === 1 
-        ? `customer_profile_id.eq(${validProfileIds[0]})` 
-        : `customer_profile_id.in(${validProfileIds.join(',')})`,
-      `reporting_period.between(${startDate},${effectiveEndDate})`
-    ],
-    "metrics": [
-      "lifetime_snapshot.followers_count",
-      "net_follower_growth",
-      "followers_gained",
-      "followers_gained_organic",
-      "followers_gained_paid",
-      "followers_lost",
-      "lifetime_snapshot.fans_count",
-      "fans_gained",
-      "fans_gained_organic",
-      "fans_gained_paid",
-      "fans_lost",
-      "impressions",
-      "impressions_organic",
-      "impressions_viral",
-      "impressions_nonviral",
-      "impressions_paid",
-      "tab_views",
-      "tab_views_login",
-      "tab_views_logout",
-      "post_impressions",
-      "post_impressions_organic",
-      "post_impressions_viral",
-      "post_impressions_nonviral",
-      "post_impressions_paid",
-      "impressions_unique",
-      "impressions_organic_unique",
-      "impressions_viral_unique",
-      "impressions_nonviral_unique",
-      "impressions_paid_unique",
-      "reactions",
-      "comments_count",
-      "shares_count",
-      "post_link_clicks",
-      "post_content_clicks_other",
-      "profile_actions",
-      "post_engagements",
-      "video_views",
-      "video_views_organic",
-      "video_views_paid",
-      "video_views_autoplay",
-      "video_views_click_to_play",
-      "video_views_repeat",
-      "video_view_time",
-      "video_views_unique",
-      "posts_sent_count",
-      "posts_sent_by_post_type",
-      "posts_sent_by_content_type",
-      "calculated_engagements"
-    ],
-    "page": 1
-  };
+  // One request per window and metric group
+  const requests = [];
+  windows.forEach(window => {
+    metricGroups.forEach((groupProfileIds, metrics) => {
+      requests.push({ window, metrics, groupProfileIds });
+    });
+  });
   
-  const allResults = { data: [] };
+  const allResults = { data: [], pages: 0, totalRows: 0 };
   
-  try {
-    console.log(`Analytics API Request for ${startDate} to ${effectiveEndDate}`);
-    console.log(`API Request Payload: ${JSON.stringify(payload, null, 2)}`);
-    
-    const response = await axios.post(analyticsUrl, payload, { headers: getSproutHeaders(token) });
+  for (const { window, metrics, groupProfileIds } of requests) {
+    // Use the original payload format that is known to work
+    const payload = {
+      "filters": [
+        groupProfileIds.length === 1 
+          ? `customer_profile_id.eq(${groupProfileIds[0]})` 
+          : `customer_profile_id.in(${groupProfileIds.join(',')})`,
+        `reporting_period.between(${window.startDate},${window.endDate})`
+      ],
+      "metrics": metrics
+    };
     
-    if (response.data && response.data.data && response.data.data.length > 0) {
-      console.log(`Received ${response.data.data.length} data points for range ${startDate} to ${effectiveEndDate}`);
-      allResults.data = [...allResults.data, ...response.data.data];
-    } else {
-      console.warn(`No analytics data found for range ${startDate} to ${effectiveEndDate}`);
-      if (response.data) {
-        console.log(`API Response: ${JSON.stringify(response.data, null, 2)}`);
-      }
-    }
-  } catch (error) {
-    console.error(`Error getting analytics data for ${startDate} to ${effectiveEndDate}: ${error.message}`);
-    if (error.response) {
-      console.error('API Error Response:', {
-        status: error.response.status,
-        data: JSON.stringify(error.response.data)
-      });
+    try {
+      console.log(`Analytics API Request for ${window.startDate} to ${window.endDate}`);
+      console.log(`API Request Payload: ${JSON.stringify(payload, null, 2)}`);
       
-      // Log more details about the request that failed
-      console.error('Failed Request Details:', {
-        url: analyticsUrl,
-        payload: JSON.stringify(payload),
-        headers: JSON.stringify(getSproutHeaders(token))
-      });
-    }
-    
-    // If we hit a rate limit, wait before continuing
-    if (error.response && (error.response.status === 429 || error.response.status === 403)) {
-      console.log('Rate limit hit, waiting 5 seconds before continuing...');
-      await sleep(5000); // Further reduced to 5 seconds for faster processing
+      const { data, pages } = await fetchAllPages(analyticsUrl, token, payload, `range ${window.startDate} to ${window.endDate}`);
+      allResults.pages += pages;
+      
+      if (data.length > 0) {
+        console.log(`Received ${data.length} data points across ${pages} page(s) for range ${window.startDate} to ${window.endDate}`);
+        allResults.data = [...allResults.data, ...data];
+      } else {
+        console.warn(`No analytics data found for range ${window.startDate} to ${window.endDate}`);
+      }
+    } catch (error) {
+      // A rejected token fails every request the same way, so stop the run
+      if (isAuthError(error)) throw error;
+      console.error(`Error getting analytics data for ${window.startDate} to ${window.endDate}: ${error.message}`);
+      if (error.response) {
+        console.error('API Error Response:', {
+          status: error.response.status,
+          data: JSON.stringify(error.response.data)
+        });
+        
+        // Log more details about the request that failed
+        console.error('Failed Request Details:', {
+          url: analyticsUrl,
+          payload: JSON.stringify(payload),
+          headers: JSON.stringify(getSproutHeaders(token))
+        });
+      }
     }
   }
   
-  console.log(`Total data points collected: ${allResults.data.length}`);
+  // Drop duplicate days at the window edges
+  allResults.data = mergeDataPoints(allResults.data);
+  allResults.totalRows = allResults.data.length;
+  console.log(`Total data points collected: ${allResults.totalRows} (${allResults.pages} pages)`);
   return allResults.data.length > 0 ? allResults : null;
 };
 
@@ -355,6 +451,9 @@ function safeNumber(val) {
 module.exports = {
   getSproutHeaders,
   getProfileData,
+  getDateWindows,
+  mergeDataPoints,
+  fetchAllPages,
   getAnalyticsData,
   getAnalyticsDataWithJsonPayload,
   sleep,
@@ -0,0 +1,282 @@
+/**
+ * Command line options for the analytics scripts
+ *
+ * Every option can be passed as a flag (`--concurrency 4` or `--concurrency=4`)
+ * or through an environment variable, so scheduled runs that can't pass
+ * arguments can still be configured. Flags take precedence over the environment.
+ */
+
+// Supported options with their flag name, environment variable, type and default
+const OPTION_DEFINITIONS = {
+  concurrency: {
+    flag: 'concurrency',
+    env: 'SPROUT_CONCURRENCY',
+    type: 'number',
+    default: 1,
+    validate: (value) => Number.isInteger(value) && value >= 1 && value <= 32,
+    errorMessage: 'concurrency must be a whole number between 1 and 32'
+  },
+  granularity: {
+    flag: 'granularity',
+    env: 'SPROUT_GRANULARITY',
+    type: 'string',
+    default: 'day',
+    validate: (value) => ['day', 'week', 'month'].includes(value),
+    errorMessage: 'granularity must be day, week or month'
+  },
+  cacheMode: {
+    flag: 'cache-mode',
+    env: 'SPROUT_CACHE_MODE',
+    type: 'string',
+    default: 'live',
+    validate: (value) => ['live', 'record', 'replay', 'cache-first'].includes(value),
+    errorMessage: 'cache-mode must be live, record, replay or cache-first'
+  },
+  cacheDir: {
+    flag: 'cache-dir',
+    env: 'SPROUT_CACHE_DIR',
+    type: 'string',
+    default: '.sprout-cache'
+  },
+  googleBackend: {
+    flag: 'google-backend',
+    env: 'GOOGLE_BACKEND',
+    type: 'string',
+    default: 'live',
+    validate: (value) => ['live', 'fake'].includes(value),
+    errorMessage: 'google-backend must be live or fake'
+  },
+  output: {
+    flag: 'output',
+    env: 'REPORT_OUTPUT',
+    type: 'list',
+    default: ['sheets'],
+    validate: (value) => value.length > 0 && value.every(item => ['sheets', 'xlsx', 'export'].includes(item)),
+    errorMessage: 'output must be sheets, xlsx, export or a comma-separated list of them'
+  },
+  outputDir: {
+    flag: 'output-dir',
+    env: 'REPORT_OUTPUT_DIR',
+    type: 'string',
+    default: 'reports'
+  },
+  writeMode: {
+    flag: 'write-mode',
+    env: 'SHEETS_WRITE_MODE',
+    type: 'string',
+    default: 'upsert',
+    validate: (value) => ['upsert', 'append'].includes(value),
+    errorMessage: 'write-mode must be upsert or append'
+  },
+  groupDelay: {
+    flag: 'group-delay',
+    env: 'SPROUT_GROUP_DELAY_SECONDS',
+    type: 'number',
+    default: 30,
+    validate: (value) => Number.isFinite(value) && value >= 0,
+    errorMessage: 'group-delay must be a number of seconds, 0 or more'
+  },
+  posts: {
+    flag: 'posts',
+    env: 'SPROUT_POSTS',
+    type: 'boolean',
+    default: false
+  },
+  formulas: {
+    flag: 'formulas',
+    env: 'SPROUT_FORMULAS',
+    type: 'boolean',
+    default: false
+  },
+  history: {
+    flag: 'history',
+    env: 'SPROUT_HISTORY',
+    type: 'boolean',
+    default: true
+  },
+  historyDb: {
+    flag: 'history-db',
+    env: 'SPROUT_HISTORY_DB',
+    type: 'string',
+    default: 'history/sprout-history.sqlite'
+  },
+  source: {
+    flag: 'source',
+    env: 'SPROUT_SOURCE',
+    type: 'string',
+    default: 'api',
+    validate: (value) => ['api', 'history'].includes(value),
+    errorMessage: 'source must be api or history'
+  }
+};
+
+// Accepted spellings of boolean values
+const BOOLEAN_VALUES = {
+  true: true,
+  '1': true,
+  yes: true,
+  false: false,
+  '0': false,
+  no: false
+};
+
+/**
+ * Convert a raw flag or environment value to the option's type
+ * @param {Object} definition - Option definition
+ * @param {string|boolean} raw - Raw value
+ * @returns {any} Converted value
+ */
+const convertValue = (definition, raw) => {
+  switch (definition.type) {
+    case 'number':
+      return Number(raw);
+    case 'boolean':
+      return raw === true || raw === false ? raw : BOOLEAN_VALUES[String(raw).toLowerCase()];
+    case 'list':
+      return String(raw).split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return String(raw);
+  }
+};
+
+/**
+ * Read raw flag values from an argument list
+ * @param {Array<string>} argv - Arguments (without the node binary and script path)
+ * @returns {Object} Raw values keyed by flag name
+ */
+const readFlags = (argv) => {
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (name.startsWith('no-')) {
+      flags[name.slice(3)] = false;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return flags;
+};
+
+/**
+ * Check a converted value against its option definition
+ * @param {Object} definition - Option definition
+ * @param {any} value - Converted value
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+const getValueError = (definition, value) => {
+  if (definition.type === 'boolean' && value === undefined) {
+    return `${definition.flag} must be true or false`;
+  }
+  if (definition.validate && !definition.validate(value)) {
+    return definition.errorMessage;
+  }
+  return null;
+};
+
+/**
+ * Parse the options for this run
+ * An option that is set to an invalid value is an error rather than falling back to its default,
+ * so a typo never silently changes what a run writes. For the same reason a script that only
+ * honours some of the options rejects the flags of the others; their environment variables
+ * may be shared with the other scripts, so those are only warned about.
+ * @param {Array<string>} [argv] - Arguments, defaults to the process arguments
+ * @param {Object} [env] - Environment variables, defaults to process.env
+ * @param {Array<string>} [names] - Options the script honours, defaults to all of them
+ * @returns {Object} Options keyed by option name
+ * @throws {Error} If any option has an invalid value or isn't supported (every problem is listed in the message)
+ */
+const parseOptions = (argv = process.argv.slice(2), env = process.env, names = Object.keys(OPTION_DEFINITIONS)) => {
+  const flags = readFlags(argv);
+  const options = {};
+  const errors = [];
+
+  for (const [name, definition] of Object.entries(OPTION_DEFINITIONS)) {
+    if (!names.includes(name)) {
+      if (flags[definition.flag] !== undefined) {
+        errors.push(`Unsupported option --${definition.flag}: this script doesn't use it`);
+      } else if (definition.env && env[definition.env] !== undefined && env[definition.env] !== '') {
+        console.warn(`Ignoring ${definition.env}: this script doesn't use it`);
+      }
+      continue;
+    }
+
+    let raw;
+    let source;
+    if (flags[definition.flag] !== undefined) {
+      raw = flags[definition.flag];
+      source = `--${definition.flag}`;
+    } else if (definition.env && env[definition.env] !== undefined && env[definition.env] !== '') {
+      raw = env[definition.env];
+      source = definition.env;
+    }
+
+    if (raw === undefined) {
+      options[name] = definition.default;
+      continue;
+    }
+
+    const value = convertValue(definition, raw);
+    const error = getValueError(definition, value);
+    if (error) {
+      errors.push(`Invalid option ${source}=${raw}: ${error}`);
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return options;
+};
+
+/**
+ * Describe the options for the usage message
+ * @param {Array<string>} [names] - Options to describe, defaults to all of them
+ * @returns {string} One line per option with its flag, environment variable and default
+ */
+const formatUsage = (names = Object.keys(OPTION_DEFINITIONS)) => {
+  const lines = names.map(name => OPTION_DEFINITIONS[name]).map((definition) => {
+    const flag = definition.type === 'boolean'
+      ? `--[no-]${definition.flag}`
+      : `--${definition.flag} <${definition.type === 'list' ? 'a,b' : definition.type}>`;
+    const defaultValue = Array.isArray(definition.default) ? definition.default.join(',') : definition.default;
+    return `  ${flag.padEnd(28)} ${definition.env} (default ${defaultValue})`;
+  });
+
+  return ['Options (flag, or environment variable):', ...lines].join('\n');
+};
+
+/**
+ * Parse the options for this run, or print the problems with the usage and exit
+ * @param {Array<string>} [argv] - Arguments, defaults to the process arguments
+ * @param {Object} [env] - Environment variables, defaults to process.env
+ * @param {Array<string>} [names] - Options the script honours, defaults to all of them
+ * @returns {Object} Options keyed by option name
+ */
+const parseOptionsOrExit = (argv, env, names) => {
+  try {
+    return parseOptions(argv, env, names);
+  } catch (error) {
+    console.error(error.message);
+    console.error(formatUsage(names));
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  OPTION_DEFINITIONS,
+  parseOptions,
+  formatUsage,
+  parseOptionsOrExit
+};
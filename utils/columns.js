@@ -0,0 +1,439 @@
+/**
+ * Declarative column schema for the network tabs
+ *
+ * Each platform module describes its tab as a list of column descriptors instead of a
+ * HEADERS array and a positional row that have to be kept in sync by hand:
+ *
+ *   {
+ *     header: 'Total Post Likes',        // Header cell
+ *     metrics: ['post_likes', 'likes'],   // Sprout metric(s); the first one present is used
+ *     value: (context) => ...,            // Or a function for dimensions and derived values
+ *     formula: '{Likes} + {Comments}',    // Spreadsheet formula of a derived value, {Header} is that cell of the row
+ *     type: 'number',                     // date, text, id, number or percent
+ *     summary: 'sum',                     // Monthly summary rule: sum, last, max, first or periodEnd
+ *     summaryLabel: 'Monthly Summary',    // Or a fixed value in every summary row
+ *     totalLabel: 'TOTAL',                // Value in the group total row, for "first" columns
+ *     format: { type, pattern }           // Number format, defaults to the type's format
+ *   }
+ *
+ * Headers, rows, styling and monthly summaries are all built from that list. The monthly
+ * summary of a tab is a block with one row per profile and a group total row. Metric columns
+ * summarize like the rollups in utils/aggregation.js (snapshot and unique counts keep their value on the
+ * last day reported, everything else adds up) and derived columns are worked out again from the summarized values.
+ * With the formulas option, derived cells and summary rows are written as formulas instead of
+ * values (see getRowFormulas and getSummaryFormulas), so a report recalculates when a raw cell changes.
+ */
+const { safeNumber } = require('./api');
+const { getAggregationRule } = require('./aggregation');
+const { SUMMARY_LABEL, getColumnLetter, getKeyColumns, normalizeDate } = require('./sheets');
+
+// Number formats by column type
+const COLUMN_FORMATS = {
+  date: { type: 'DATE', pattern: 'yyyy-mm-dd' },
+  number: { type: 'NUMBER', pattern: '#,##0' },
+  percent: { type: 'PERCENT', pattern: '0.00%' }
+};
+
+// Monthly summary rules, given the column's values in the summarized rows (in date order)
+const SUMMARY_RULES = {
+  sum: (values) => values.reduce((sum, value) => sum + (Number(value) || 0), 0),
+  last: (values) => Number(values[values.length - 1]) || 0,
+  max: (values) => Math.max(...values.map(value => Number(value) || 0)),
+  first: (values) => values[0],
+  periodEnd: (values, context) => context.periodEnd
+};
+
+// Group total rules, given the column's values in the profile summary rows
+// Snapshot counts are kept per profile, so the group's count is the sum of them.
+const TOTAL_RULES = {
+  sum: SUMMARY_RULES.sum,
+  last: SUMMARY_RULES.sum,
+  max: SUMMARY_RULES.sum,
+  periodEnd: SUMMARY_RULES.periodEnd
+};
+
+// Spreadsheet functions of the monthly summary rules
+const SUMMARY_FORMULAS = {
+  sum: 'SUMIFS',
+  max: 'MAXIFS'
+};
+
+/**
+ * Read a metric as a number, trying each name in order
+ * @param {Object} metrics - Metrics of a data point
+ * @param {string|Array<string>} names - Metric name, or names in order of preference
+ * @returns {number} Metric value, 0 when missing
+ */
+const readMetric = (metrics, names) => {
+  const name = [].concat(names).find(candidate => metrics[candidate] !== undefined);
+  return name === undefined ? 0 : parseFloat(metrics[name] || 0);
+};
+
+/**
+ * Express a part as a percentage of a whole, rounded to 2 decimals
+ * @param {number} part - Part
+ * @param {number} whole - Whole
+ * @returns {number} Percentage, 0 when the whole is 0
+ */
+const percentOf = (part, whole) => {
+  return whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0;
+};
+
+/**
+ * The columns every network tab starts with: date, network type, profile name, network ID and profile ID
+ * @param {Object} [options] - Column options
+ * @param {string} [options.networkHeader='Network Type'] - Header of the network type column
+ * @param {Function} [options.profileId] - Reads the profile ID from the row context
+ * @returns {Array<Object>} Column descriptors
+ */
+const dimensionColumns = ({
+  networkHeader = 'Network Type',
+  profileId = ({ profile }) => (profile ? profile.customer_profile_id : '')
+} = {}) => [
+  { header: 'Date', type: 'date', value: ({ date }) => date, summary: 'periodEnd' },
+  { header: networkHeader, type: 'text', value: ({ profile }) => (profile ? profile.network_type : ''), summaryLabel: SUMMARY_LABEL },
+  { header: 'Profile Name', type: 'text', value: ({ profile }) => (profile ? profile.name : ''), summary: 'first', totalLabel: 'TOTAL' },
+  { header: 'Network ID', type: 'id', value: ({ profile }) => (profile ? profile.network_id : ''), summary: 'first' },
+  { header: 'Profile ID', type: 'id', value: profileId, summary: 'first' }
+];
+
+/**
+ * Describe a column read straight from Sprout metrics
+ * Snapshot metrics (lifetime_snapshot.*) and unique counts summarize to their value on the last day and the others add up,
+ * unless `options.summary` says otherwise.
+ * @param {string} header - Header cell
+ * @param {string|Array<string>} metrics - Metric name, or names in order of preference
+ * @param {Object} [options] - Other descriptor fields (type, summary, format)
+ * @returns {Object} Column descriptor
+ */
+const metricColumn = (header, metrics, options = {}) => ({
+  header,
+  metrics: [].concat(metrics),
+  type: 'number',
+  summary: getAggregationRule([].concat(metrics)[0]),
+  ...options
+});
+
+/**
+ * Describe a column that adds up other columns of the row
+ * @param {string} header - Header cell
+ * @param {Array<string>} headers - Headers of the columns to add
+ * @param {Object} [options] - Other descriptor fields (summary, format)
+ * @returns {Object} Column descriptor
+ */
+const totalColumn = (header, headers, options = {}) => ({
+  header,
+  type: 'number',
+  value: ({ get }) => headers.reduce((sum, name) => sum + get(name), 0),
+  formula: headers.map(name => `{${name}}`).join(' + '),
+  ...options
+});
+
+/**
+ * Describe a column that expresses one column of the row as a percentage of another
+ * @param {string} header - Header cell
+ * @param {string} partHeader - Header of the part
+ * @param {string} wholeHeader - Header of the whole
+ * @param {Object} [options] - Other descriptor fields (summary, format)
+ * @returns {Object} Column descriptor
+ */
+const rateColumn = (header, partHeader, wholeHeader, options = {}) => ({
+  header,
+  type: 'percent',
+  value: ({ get }) => percentOf(get(partHeader), get(wholeHeader)),
+  formula: `IF({${wholeHeader}} > 0, ROUND({${partHeader}} / {${wholeHeader}} * 100, 2), 0)`,
+  ...options
+});
+
+/**
+ * Get the header row of a column list
+ * @param {Array<Object>} columns - Column descriptors
+ * @returns {Array<string>} Headers
+ */
+const getHeaders = (columns) => columns.map(column => column.header);
+
+/**
+ * Build a row from a data point
+ * Derived columns can read columns before them with `get(header)`.
+ * @param {Array<Object>} columns - Column descriptors
+ * @param {Object} source - Row source
+ * @param {string} source.date - Reporting date (YYYY-MM-DD)
+ * @param {Object} source.metrics - Metrics of the data point
+ * @param {Object} [source.profile] - Profile metadata
+ * @param {Object} [source.dataPoint] - The data point itself
+ * @returns {Array} Row in column order
+ */
+const buildRow = (columns, { date, metrics, profile, dataPoint }) => {
+  const valuesByHeader = new Map();
+  const context = {
+    date,
+    metrics,
+    profile,
+    dataPoint,
+    metric: (names) => readMetric(metrics, names),
+    get: (header) => valuesByHeader.get(header)
+  };
+
+  return columns.map(column => {
+    let value;
+    if (column.value) {
+      value = column.value(context);
+    } else {
+      const name = column.metrics.find(candidate => metrics[candidate] !== undefined);
+      value = safeNumber(name === undefined ? undefined : metrics[name]);
+    }
+    valuesByHeader.set(column.header, value);
+    return value;
+  });
+};
+
+/**
+ * Create the formatAnalyticsData of a platform from its columns
+ * The data point needs metrics and a reporting period; its row is then built from the columns.
+ * @param {string} label - Network name used in log messages (e.g. 'TikTok')
+ * @param {Array<Object>} columns - Column descriptors
+ * @returns {Function} formatAnalyticsData(dataPoint, profileData), returning the row or null
+ */
+const createRowFormatter = (label, columns) => (dataPoint, profileData) => {
+  try {
+    if (!dataPoint || !dataPoint.metrics) {
+      console.error(`Invalid ${label} data point received for formatting:`, dataPoint);
+      return null;
+    }
+
+    const reportingPeriod = dataPoint.dimensions &&
+      (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
+    if (!reportingPeriod) {
+      console.error(`No reporting period found in ${label} dataPoint:`, dataPoint);
+      return null;
+    }
+
+    return buildRow(columns, {
+      date: new Date(reportingPeriod).toISOString().split('T')[0],
+      metrics: dataPoint.metrics,
+      profile: profileData,
+      dataPoint
+    });
+  } catch (error) {
+    console.error(`Error formatting ${label} analytics data: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Build a summary row from data rows, or the group total row from profile summary rows
+ * Derived columns are worked out from the summarized values, so a rate is the rate of the totals.
+ * @param {Array<Object>} columns - Column descriptors
+ * @param {Array<Array>} rows - Rows to summarize
+ * @param {Object} context - Summary context
+ * @param {string} context.periodEnd - Last day of the summarized period (YYYY-MM-DD)
+ * @param {boolean} [context.total=false] - Build the group total row from profile summary rows
+ * @returns {Array} Summary row, blank where a column has no rule
+ */
+const buildSummaryRow = (columns, rows, context) => {
+  const valuesByHeader = new Map();
+  const get = (header) => valuesByHeader.get(header);
+
+  return columns.map((column, index) => {
+    let value = '';
+    if (column.summaryLabel !== undefined) {
+      value = column.summaryLabel;
+    } else if (column.formula) {
+      value = column.value({ get });
+    } else if (context.total && column.summary === 'first') {
+      value = column.totalLabel !== undefined ? column.totalLabel : '';
+    } else {
+      const rule = (context.total ? TOTAL_RULES : SUMMARY_RULES)[column.summary];
+      if (rule) value = rule(rows.map(row => row[index]), context);
+    }
+    valuesByHeader.set(column.header, value);
+    return value;
+  });
+};
+
+/**
+ * Sort rows by their date column, keeping the order of rows with the same date
+ * @param {Array<Array>} rows - Rows
+ * @param {number} dateIndex - 0-based index of the date column
+ * @returns {Array<Array>} Sorted copy of the rows
+ */
+const sortByDate = (rows, dateIndex) => {
+  return rows
+    .map((row, index) => ({ row, index, date: normalizeDate(row[dateIndex]) }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.index - b.index))
+    .map(({ row }) => row);
+};
+
+/**
+ * Build the monthly summary block of a tab: one row per profile, then the group total
+ * @param {Array<Object>} columns - Column descriptors
+ * @param {Array<Array>} rows - Data rows of the tab (one month)
+ * @returns {Array<Array>} Summary rows, none when there are no data rows
+ */
+const getMonthlySummaryRows = (columns, rows) => {
+  if (rows.length === 0) return [];
+
+  const keyColumns = getKeyColumns(getHeaders(columns));
+  // The period ends on the last day of the month of the latest row
+  const lastDate = rows.map(row => normalizeDate(row[keyColumns.date])).sort().pop();
+  const [year, month] = lastDate.split('-').map(Number);
+  const periodEnd = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+
+  // Each profile's rows in date order, so "last" columns read the final day of the period
+  const rowsByProfile = new Map();
+  sortByDate(rows, keyColumns.date).forEach(row => {
+    const profileId = String(row[keyColumns.profileId] ?? '');
+    if (!rowsByProfile.has(profileId)) rowsByProfile.set(profileId, []);
+    rowsByProfile.get(profileId).push(row);
+  });
+
+  const profileRows = [...rowsByProfile.values()].map(profileData => buildSummaryRow(columns, profileData, { periodEnd }));
+  return [...profileRows, buildSummaryRow(columns, profileRows, { periodEnd, total: true })];
+};
+
+/**
+ * Check whether any column of a list has a formula
+ * @param {Array<string|Object>} columns - Headers or column descriptors
+ * @returns {boolean} True if a column has a formula
+ */
+const hasFormulas = (columns) => columns.some(column => column && column.formula);
+
+/**
+ * Render the formulas of a data row
+ * @param {Array<Object>} columns - Column descriptors
+ * @param {number} rowNumber - 1-based row the data row is written to
+ * @returns {Array<string|null>} Formula of each column ("=..."), null for columns without one
+ */
+const getRowFormulas = (columns, rowNumber) => {
+  const letters = new Map(columns.map((column, index) => [column.header, getColumnLetter(index + 1)]));
+
+  return columns.map(column => {
+    if (!column.formula) return null;
+    return `=${column.formula.replace(/\{([^}]+)\}/g, (match, header) => {
+      if (!letters.has(header)) {
+        throw new Error(`Formula of "${column.header}" refers to unknown column "${header}"`);
+      }
+      return `${letters.get(header)}${rowNumber}`;
+    })}`;
+  });
+};
+
+/**
+ * Render a summary block built by getMonthlySummaryRows as formulas
+ * Profile rows use SUMIFS/MAXIFS over the data rows above the block, matched on the row's
+ * Profile ID; rows labelled like a summary row are left out so they never count twice. A
+ * "last" column refers to the cell of the profile's latest data row. The group total adds up
+ * the profile rows, and derived columns get their usual row formulas.
+ * @param {Array<Object>} columns - Column descriptors
+ * @param {Array<Array>} summaryRows - Profile summary rows followed by the group total row
+ * @param {number} firstRowNumber - 1-based row the block starts on
+ * @param {Map<number, Array>} [dataRows] - Data rows above the block by 1-based row
+ * @returns {Array<Array>} Summary rows with formulas for the summarized and derived columns
+ */
+const getSummaryFormulas = (columns, summaryRows, firstRowNumber, dataRows = new Map()) => {
+  const labelIndex = columns.findIndex(column => column.summaryLabel !== undefined);
+  if (labelIndex === -1 || firstRowNumber <= 2) return summaryRows;
+
+  const keyColumns = getKeyColumns(getHeaders(columns));
+  const lastDataRow = firstRowNumber - 1;
+  const totalRowNumber = firstRowNumber + summaryRows.length - 1;
+  const range = (index) => {
+    const letter = getColumnLetter(index + 1);
+    return `${letter}2:${letter}${lastDataRow}`;
+  };
+  const criterion = `"<>${columns[labelIndex].summaryLabel}"`;
+
+  // Row number of each profile's latest data row
+  const lastRowByProfile = new Map();
+  dataRows.forEach((row, dataRowNumber) => {
+    if (row[labelIndex] === columns[labelIndex].summaryLabel) return;
+    const profileId = String(row[keyColumns.profileId] ?? '');
+    const date = normalizeDate(row[keyColumns.date]);
+    const latest = lastRowByProfile.get(profileId);
+    if (!latest || date >= latest.date) lastRowByProfile.set(profileId, { date, rowNumber: dataRowNumber });
+  });
+
+  return summaryRows.map((summaryRow, rowIndex) => {
+    const rowNumber = firstRowNumber + rowIndex;
+    const rowFormulas = getRowFormulas(columns, rowNumber);
+    const profileCell = `${getColumnLetter(keyColumns.profileId + 1)}${rowNumber}`;
+
+    return columns.map((column, index) => {
+      if (rowFormulas[index]) return rowFormulas[index];
+      const fn = SUMMARY_FORMULAS[column.summary];
+      if (!fn && column.summary !== 'last') return summaryRow[index];
+
+      const letter = getColumnLetter(index + 1);
+      if (rowNumber === totalRowNumber) {
+        return rowNumber > firstRowNumber ? `=SUM(${letter}${firstRowNumber}:${letter}${rowNumber - 1})` : 0;
+      }
+      if (column.summary === 'last') {
+        const latest = lastRowByProfile.get(String(summaryRow[keyColumns.profileId] ?? ''));
+        return latest ? `=${letter}${latest.rowNumber}` : summaryRow[index];
+      }
+      return `=${fn}(${range(index)}, ${range(keyColumns.profileId)}, ${profileCell}, ${range(labelIndex)}, ${criterion})`;
+    });
+  });
+};
+
+/**
+ * Guess the type of a column known only by its header (e.g. the posts tabs)
+ * @param {string} header - Header cell
+ * @param {number} index - 0-based column index
+ * @returns {string} Column type
+ */
+const inferColumnType = (header, index) => {
+  const name = String(header).toLowerCase();
+  if (index === 0 || name.includes('date')) return 'date';
+  if (name.includes('rate') || name.includes('percentage')) return 'percent';
+  if (['count', 'growth', 'gained', 'lost', 'views', 'impressions'].some(word => name.includes(word))) {
+    return 'number';
+  }
+  return 'text';
+};
+
+/**
+ * Turn a list of headers or column descriptors into column descriptors
+ * @param {Array<string|Object>} columns - Headers or column descriptors
+ * @returns {Array<Object>} Column descriptors
+ */
+const toColumns = (columns) => {
+  return columns.map((column, index) => (
+    typeof column === 'string' ? { header: column, type: inferColumnType(column, index) } : column
+  ));
+};
+
+/**
+ * Get the number format of each formatted column
+ * @param {Array<string|Object>} columns - Headers or column descriptors
+ * @returns {Array<{index: number, numberFormat: Object}>} 0-based column index and Sheets number format
+ */
+const getColumnFormats = (columns) => {
+  return toColumns(columns)
+    .map((column, index) => ({ index, numberFormat: column.format || COLUMN_FORMATS[column.type] }))
+    .filter(({ numberFormat }) => numberFormat);
+};
+
+module.exports = {
+  COLUMN_FORMATS,
+  SUMMARY_RULES,
+  TOTAL_RULES,
+  SUMMARY_FORMULAS,
+  readMetric,
+  percentOf,
+  dimensionColumns,
+  metricColumn,
+  totalColumn,
+  rateColumn,
+  getHeaders,
+  buildRow,
+  createRowFormatter,
+  buildSummaryRow,
+  getMonthlySummaryRows,
+  hasFormulas,
+  getRowFormulas,
+  getSummaryFormulas,
+  inferColumnType,
+  toColumns,
+  getColumnFormats
+};
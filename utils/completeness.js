@@ -0,0 +1,196 @@
+/**
+ * Completeness check for the network tabs
+ *
+ * Compares the rows a month should have (every profile × every reporting period up to
+ * yesterday) against the (date, profile ID) keys already in each tab, reports the
+ * missing cells and turns them into the smallest set of Sprout fetches that fills them.
+ * Weeks and months that haven't ended yet are always refetched.
+ */
+const { getPeriodStart } = require('./aggregation');
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New date in YYYY-MM-DD format
+ */
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * Get the last day of the reporting period starting on a date
+ * @param {string} periodStart - First day of the period (YYYY-MM-DD)
+ * @param {string} granularity - day, week or month
+ * @returns {string} Last day of the period (YYYY-MM-DD)
+ */
+const getPeriodEnd = (periodStart, granularity) => {
+  const day = new Date(`${periodStart}T00:00:00Z`);
+  const monthEnd = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).toISOString().split('T')[0];
+
+  if (granularity === 'month') {
+    return monthEnd;
+  }
+  if (granularity === 'week') {
+    // Weeks end on Sunday, or on the last day of the month when it comes first (see getPeriodStart)
+    const sunday = addDays(periodStart, 6 - (day.getUTCDay() + 6) % 7);
+    return sunday < monthEnd ? sunday : monthEnd;
+  }
+  return periodStart;
+};
+
+/**
+ * List the reporting periods a date range should have rows for
+ * Today is never expected, since Sprout hasn't finished reporting it.
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {string} [granularity='day'] - day, week or month
+ * @param {string} [today] - Today's date (YYYY-MM-DD), defaults to the current UTC date
+ * @returns {Array<string>} Period start dates, oldest first
+ */
+const getExpectedDates = (startDate, endDate, granularity = 'day', today = new Date().toISOString().split('T')[0]) => {
+  const yesterday = addDays(today, -1);
+  const lastDate = endDate < yesterday ? endDate : yesterday;
+  const dates = [];
+
+  for (let date = startDate; date <= lastDate; date = addDays(date, 1)) {
+    const periodStart = getPeriodStart(date, granularity);
+    if (dates[dates.length - 1] !== periodStart) {
+      dates.push(periodStart);
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Pick the reporting periods that haven't ended by yesterday
+ * A row for an open week or month only holds the days reported so far, so it never counts as complete.
+ * @param {Array<string>} dates - Period start dates, from getExpectedDates
+ * @param {string} [granularity='day'] - day, week or month
+ * @param {string} [today] - Today's date (YYYY-MM-DD), defaults to the current UTC date
+ * @returns {Array<string>} Period start dates whose period ends after yesterday
+ */
+const getOpenDates = (dates, granularity = 'day', today = new Date().toISOString().split('T')[0]) => {
+  const yesterday = addDays(today, -1);
+  return dates.filter(date => getPeriodEnd(date, granularity) > yesterday);
+};
+
+/**
+ * Find the expected (profile, date) cells that have no complete row yet
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {Map<string, number>} existingKeys - Keys already in the tab, from a report's readRowKeys (sinks/index.js)
+ * @param {Array<string|number>} profileIds - Profiles the tab should cover
+ * @param {Array<string>} dates - Reporting periods the tab should cover
+ * @param {Array<string>} [openDates=[]] - Periods still in progress, reported missing even if a row exists
+ * @returns {Array<{profileId: string, date: string}>} Missing cells
+ */
+const findMissingCells = (sheetsUtil, existingKeys, profileIds, dates, openDates = []) => {
+  const open = new Set(openDates);
+  const missing = [];
+
+  for (const profileId of profileIds) {
+    for (const date of dates) {
+      if (open.has(date) || !existingKeys.has(sheetsUtil.formatRowKey(date, profileId))) {
+        missing.push({ profileId: String(profileId), date });
+      }
+    }
+  }
+
+  return missing;
+};
+
+/**
+ * Build the completeness report of a network tab from the keys already in it
+ * @param {Object} sheetsUtil - Sheets utility module
+ * @param {string} sheetName - Name of the network tab
+ * @param {Map<string, number>} existingKeys - Keys already in the tab
+ * @param {Array<string|number>} profileIds - Profiles the tab should cover
+ * @param {Array<string>} dates - Reporting periods the tab should cover
+ * @param {Array<string>} [openDates=[]] - Periods still in progress, always refetched
+ * @returns {{sheetName: string, expected: number, present: number, missing: Array<{profileId: string, date: string}>}} Completeness report
+ */
+const summarizeCompleteness = (sheetsUtil, sheetName, existingKeys, profileIds, dates, openDates = []) => {
+  const missing = findMissingCells(sheetsUtil, existingKeys, profileIds, dates, openDates);
+  const expected = profileIds.length * dates.length;
+
+  return { sheetName, expected, present: expected - missing.length, missing };
+};
+
+/**
+ * Summarize missing cells per profile for the log
+ * @param {Array<{profileId: string, date: string}>} missing - Missing cells
+ * @returns {Array<string>} One line per profile, e.g. "profile 123: 3 periods (2024-01-02 to 2024-01-04)"
+ */
+const describeMissing = (missing) => {
+  const datesByProfile = new Map();
+  for (const { profileId, date } of missing) {
+    if (!datesByProfile.has(profileId)) datesByProfile.set(profileId, []);
+    datesByProfile.get(profileId).push(date);
+  }
+
+  return [...datesByProfile].map(([profileId, dates]) => {
+    const sorted = [...dates].sort();
+    const span = sorted.length === 1 ? sorted[0] : `${sorted[0]} to ${sorted[sorted.length - 1]}`;
+    return `profile ${profileId}: ${sorted.length} period${sorted.length === 1 ? '' : 's'} (${span})`;
+  });
+};
+
+/**
+ * Turn missing cells into Sprout fetches
+ * Each profile's missing periods become runs of consecutive days, and profiles missing
+ * exactly the same runs are fetched together.
+ * @param {Array<{profileId: string, date: string}>} missing - Missing cells
+ * @param {string} [granularity='day'] - day, week or month
+ * @param {string} [startDate] - Earliest date to fetch (YYYY-MM-DD), e.g. the first day of the month
+ * @param {string} [endDate] - Latest date to fetch (YYYY-MM-DD)
+ * @returns {Array<{startDate: string, endDate: string, profileIds: Array<string>}>} Fetches, oldest first
+ */
+const planRefill = (missing, granularity = 'day', startDate = null, endDate = null) => {
+  // Missing periods per profile
+  const datesByProfile = new Map();
+  for (const { profileId, date } of missing) {
+    if (!datesByProfile.has(profileId)) datesByProfile.set(profileId, new Set());
+    datesByProfile.get(profileId).add(date);
+  }
+
+  const profilesByRange = new Map();
+  for (const [profileId, dates] of datesByProfile) {
+    const ranges = [];
+
+    for (const periodStart of [...dates].sort()) {
+      // Rolled-up periods need every day in them, clipped to the requested window
+      let rangeStart = periodStart;
+      let rangeEnd = getPeriodEnd(periodStart, granularity);
+      if (startDate && rangeStart < startDate) rangeStart = startDate;
+      if (endDate && rangeEnd > endDate) rangeEnd = endDate;
+
+      const last = ranges[ranges.length - 1];
+      if (last && addDays(last.endDate, 1) >= rangeStart) {
+        if (rangeEnd > last.endDate) last.endDate = rangeEnd;
+      } else {
+        ranges.push({ startDate: rangeStart, endDate: rangeEnd });
+      }
+    }
+
+    for (const range of ranges) {
+      const key = `${range.startDate}..${range.endDate}`;
+      if (!profilesByRange.has(key)) profilesByRange.set(key, { ...range, profileIds: [] });
+      profilesByRange.get(key).profileIds.push(profileId);
+    }
+  }
+
+  return [...profilesByRange.values()].sort((a, b) => a.startDate.localeCompare(b.startDate));
+};
+
+module.exports = {
+  getPeriodEnd,
+  getExpectedDates,
+  getOpenDates,
+  findMissingCells,
+  summarizeCompleteness,
+  describeMissing,
+  planRefill
+};
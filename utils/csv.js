@@ -0,0 +1,80 @@
+/**
+ * CSV helpers for the file exports
+ */
+
+/**
+ * Format a value as a CSV field, quoting it when needed
+ * @param {any} value - Cell value
+ * @returns {string} CSV field
+ */
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Format rows as CSV text
+ * @param {Array<Array>} rows - Rows, header first
+ * @returns {string} CSV text ending with a newline
+ */
+const formatCsv = (rows) => {
+  return rows.map(row => row.map(formatCsvValue).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Parse CSV text written by formatCsv (quoted fields may contain commas, quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of string values
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = {
+  formatCsvValue,
+  formatCsv,
+  parseCsv
+};
@@ -0,0 +1,334 @@
+/**
+ * In-memory fake of the Google Sheets v4 and Drive v3 APIs
+ *
+ * Unlike createMockDriveClient (which only logs), this keeps real state: files and
+ * folders, spreadsheets with their tabs and cell grids, and formatting requests.
+ * It implements the subset of the APIs this project calls, with the same request
+ * and response shapes as googleapis, so the whole pipeline can run and be inspected
+ * without a Google account:
+ *
+ * - Drive: files.list (q filters, orderBy), files.create, files.update, files.get,
+ *   permissions.create, about.get
+ * - Sheets: spreadsheets.create, plus everything utils/memory-spreadsheet.js answers
+ *   (spreadsheets.get/batchUpdate and values get/batchGet/update/batchUpdate/append/clear)
+ *
+ * Inspection helpers (getGrid, getSheetTitles, getCellFormat, isFormulaCell,
+ * findSpreadsheet, summarize, callCounts) read the state back for assertions.
+ */
+
+const memorySpreadsheet = require('./memory-spreadsheet');
+
+const { apiError, parseA1Range } = memorySpreadsheet;
+
+const SPREADSHEET_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Create an empty fake Google backend
+ * @param {Object} [settings] - Settings
+ * @param {Array<string>} [settings.folderIds] - Drive folders that exist from the start
+ * @returns {{drive: Object, sheets: Object, auth: Object, refreshAuth: Function, getGrid: Function, getSheetTitles: Function, getCellFormat: Function, isFormulaCell: Function, findSpreadsheet: Function, listFiles: Function, summarize: Function, callCounts: Object}} Fake clients and inspection helpers
+ */
+const createFakeGoogle = ({ folderIds = [] } = {}) => {
+  const files = new Map();
+  const spreadsheets = new Map();
+  const callCounts = {};
+  let nextId = 1;
+  let clock = Date.now();
+
+  // Strictly increasing timestamps so orderBy modifiedTime is deterministic
+  const now = () => new Date(++clock).toISOString();
+
+  const count = (name) => {
+    callCounts[name] = (callCounts[name] || 0) + 1;
+  };
+
+  const addFile = (properties) => {
+    const file = {
+      id: properties.id || `fake-file-${nextId++}`,
+      name: properties.name || 'Untitled',
+      mimeType: properties.mimeType || 'application/octet-stream',
+      parents: [...(properties.parents || ['root'])],
+      trashed: false,
+      createdTime: now(),
+      modifiedTime: now()
+    };
+    file.webViewLink = `https://fake.google/${file.id}`;
+    files.set(file.id, file);
+    return file;
+  };
+
+  const touch = (fileId) => {
+    const file = files.get(fileId);
+    if (file) file.modifiedTime = now();
+  };
+
+  folderIds.forEach(id => addFile({ id, name: `Folder ${id}`, mimeType: FOLDER_MIME_TYPE }));
+
+  // ---------------------------------------------------------------------------
+  // Sheets v4
+  // ---------------------------------------------------------------------------
+
+  const getSpreadsheet = (spreadsheetId) => {
+    const spreadsheet = spreadsheets.get(spreadsheetId);
+    if (!spreadsheet) throw apiError(404, `Requested entity was not found: spreadsheet ${spreadsheetId}`);
+    return spreadsheet;
+  };
+
+  const createSpreadsheetState = (spreadsheetId, title, sheetProperties = []) => {
+    const spreadsheet = memorySpreadsheet.createSpreadsheet(spreadsheetId, title, sheetProperties);
+    spreadsheets.set(spreadsheetId, spreadsheet);
+    return spreadsheet;
+  };
+
+  const client = memorySpreadsheet.createSheetsClient(getSpreadsheet, { onCall: count, onWrite: touch });
+  const sheets = {
+    spreadsheets: {
+      ...client.spreadsheets,
+
+      create: async (params = {}) => {
+        count('sheets.spreadsheets.create');
+        const resource = params.resource || params.requestBody || {};
+        const title = (resource.properties && resource.properties.title) || 'Untitled spreadsheet';
+        const file = addFile({ name: title, mimeType: SPREADSHEET_MIME_TYPE });
+        const spreadsheet = createSpreadsheetState(file.id, title, (resource.sheets || []).map(s => s.properties || {}));
+        return { data: { spreadsheetId: file.id, properties: { ...spreadsheet.properties }, spreadsheetUrl: file.webViewLink } };
+      }
+    }
+  };
+
+  // ---------------------------------------------------------------------------
+  // Drive v3
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Build a predicate from a Drive `q` query (the clauses this project uses, joined by "and")
+   * @param {string} q - Drive query
+   * @returns {Function} Predicate over files
+   */
+  const parseQuery = (q) => {
+    if (!q) return () => true;
+
+    const literal = "'((?:[^'\\\\]|\\\\.)*)'";
+    const unescape = (value) => value.replace(/\\(.)/g, '$1');
+    const clauses = q.split(/\s+and\s+/i).map(clause => clause.trim());
+
+    const tests = clauses.map(clause => {
+      let match;
+      if ((match = clause.match(new RegExp(`^name\\s*=\\s*${literal}$`)))) {
+        const value = unescape(match[1]);
+        return file => file.name === value;
+      }
+      if ((match = clause.match(new RegExp(`^name\\s+contains\\s+${literal}$`)))) {
+        const value = unescape(match[1]);
+        return file => file.name.includes(value);
+      }
+      if ((match = clause.match(new RegExp(`^mimeType\\s*=\\s*${literal}$`)))) {
+        const value = unescape(match[1]);
+        return file => file.mimeType === value;
+      }
+      if ((match = clause.match(new RegExp(`^mimeType\\s*!=\\s*${literal}$`)))) {
+        const value = unescape(match[1]);
+        return file => file.mimeType !== value;
+      }
+      if ((match = clause.match(new RegExp(`^${literal}\\s+in\\s+parents$`)))) {
+        const value = unescape(match[1]);
+        return file => file.parents.includes(value);
+      }
+      if ((match = clause.match(/^trashed\s*=\s*(true|false)$/))) {
+        const value = match[1] === 'true';
+        return file => file.trashed === value;
+      }
+      throw apiError(400, `Invalid Value: unsupported query clause "${clause}" in fake Drive`);
+    });
+
+    return file => tests.every(test => test(file));
+  };
+
+  const sortFiles = (list, orderBy) => {
+    if (!orderBy) return list;
+    const keys = orderBy.split(',').map(part => {
+      const [field, direction] = part.trim().split(/\s+/);
+      return { field, desc: direction === 'desc' };
+    });
+    return [...list].sort((a, b) => {
+      for (const { field, desc } of keys) {
+        const cmp = String(a[field] || '').localeCompare(String(b[field] || ''));
+        if (cmp !== 0) return desc ? -cmp : cmp;
+      }
+      return 0;
+    });
+  };
+
+  const getFile = (fileId) => {
+    const file = files.get(fileId);
+    if (!file) throw apiError(404, `File not found: ${fileId}.`);
+    return file;
+  };
+
+  const drive = {
+    files: {
+      list: async (params = {}) => {
+        count('drive.files.list');
+        const matches = sortFiles([...files.values()].filter(parseQuery(params.q)), params.orderBy);
+        const limited = params.pageSize ? matches.slice(0, params.pageSize) : matches;
+        return { data: { files: limited.map(file => ({ ...file, parents: [...file.parents] })) } };
+      },
+
+      create: async (params = {}) => {
+        count('drive.files.create');
+        const resource = params.resource || params.requestBody || {};
+        const file = addFile(resource);
+        if (file.mimeType === SPREADSHEET_MIME_TYPE) {
+          createSpreadsheetState(file.id, file.name);
+        }
+        return { data: { ...file, parents: [...file.parents] } };
+      },
+
+      update: async (params = {}) => {
+        count('drive.files.update');
+        const file = getFile(params.fileId);
+        const resource = params.resource || params.requestBody || {};
+
+        if (resource.name) {
+          file.name = resource.name;
+          if (spreadsheets.has(file.id)) spreadsheets.get(file.id).properties.title = resource.name;
+        }
+        if (params.addParents) {
+          params.addParents.split(',').forEach(parent => {
+            if (!file.parents.includes(parent)) file.parents.push(parent);
+          });
+        }
+        if (params.removeParents) {
+          const removed = params.removeParents.split(',');
+          file.parents = file.parents.filter(parent => !removed.includes(parent));
+        }
+        if (resource.trashed !== undefined) file.trashed = resource.trashed;
+        file.modifiedTime = now();
+
+        return { data: { ...file, parents: [...file.parents] } };
+      },
+
+      get: async (params = {}) => {
+        count('drive.files.get');
+        const file = getFile(params.fileId);
+        return { data: { ...file, parents: [...file.parents] } };
+      }
+    },
+    permissions: {
+      create: async (params = {}) => {
+        count('drive.permissions.create');
+        getFile(params.fileId);
+        return { data: { id: `fake-permission-${nextId++}` } };
+      }
+    },
+    about: {
+      get: async () => {
+        count('drive.about.get');
+        return { data: { user: { emailAddress: 'fake-service-account@example.com' } } };
+      }
+    }
+  };
+
+  // Requests from utils/sheets.js are routed to the fake through the auth object
+  const auth = {
+    fake: true,
+    sheetsApi: sheets,
+    credentials: { access_token: 'fake-token', expiry_date: Date.now() + 3600000 }
+  };
+
+  // ---------------------------------------------------------------------------
+  // Inspection helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Get a copy of a tab's cells, trailing empty cells trimmed
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {string} sheetTitle - Tab title
+   * @returns {Array<Array>} Rows of raw (unformatted) values
+   */
+  const getGrid = (spreadsheetId, sheetTitle) => memorySpreadsheet.getGrid(getSpreadsheet(spreadsheetId), sheetTitle);
+
+  /**
+   * Get the tab titles of a spreadsheet in order
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @returns {Array<string>} Tab titles
+   */
+  const getSheetTitles = (spreadsheetId) => memorySpreadsheet.getSheetTitles(getSpreadsheet(spreadsheetId));
+
+  /**
+   * Get the effective format of a cell from the repeatCell requests applied to it
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {string} sheetTitle - Tab title
+   * @param {number} row - 0-based row index
+   * @param {number} col - 0-based column index
+   * @returns {Object} Merged userEnteredFormat
+   */
+  const getCellFormat = (spreadsheetId, sheetTitle, row, col) => {
+    return memorySpreadsheet.getCellFormat(getSpreadsheet(spreadsheetId), sheetTitle, row, col);
+  };
+
+  /**
+   * Check whether a cell holds a formula (a "=" string written USER_ENTERED)
+   * @param {string} spreadsheetId - Spreadsheet ID
+   * @param {string} sheetTitle - Tab title
+   * @param {number} row - 0-based row index
+   * @param {number} col - 0-based column index
+   * @returns {boolean} True for formula cells
+   */
+  const isFormulaCell = (spreadsheetId, sheetTitle, row, col) => {
+    return memorySpreadsheet.isFormulaCell(getSpreadsheet(spreadsheetId), sheetTitle, row, col);
+  };
+
+  /**
+   * Find a spreadsheet by exact title
+   * @param {string} title - Spreadsheet title
+   * @returns {string|null} Spreadsheet ID
+   */
+  const findSpreadsheet = (title) => {
+    const spreadsheet = [...spreadsheets.values()].find(s => s.properties.title === title);
+    return spreadsheet ? spreadsheet.spreadsheetId : null;
+  };
+
+  /**
+   * List every file in the fake Drive
+   * @returns {Array<Object>} Files
+   */
+  const listFiles = () => [...files.values()].map(file => ({ ...file, parents: [...file.parents] }));
+
+  /**
+   * Summarise every spreadsheet: title, parents and rows per tab
+   * @returns {Array<{spreadsheetId: string, title: string, parents: Array<string>, tabs: Array<{title: string, rows: number}>}>} Summary
+   */
+  const summarize = () => [...spreadsheets.values()].map(spreadsheet => ({
+    spreadsheetId: spreadsheet.spreadsheetId,
+    title: spreadsheet.properties.title,
+    parents: files.has(spreadsheet.spreadsheetId) ? [...files.get(spreadsheet.spreadsheetId).parents] : [],
+    tabs: spreadsheet.sheets.map(sheet => ({
+      title: sheet.properties.title,
+      rows: getGrid(spreadsheet.spreadsheetId, sheet.properties.title).length
+    }))
+  }));
+
+  return {
+    drive,
+    sheets,
+    auth,
+    refreshAuth: async () => auth,
+    getGrid,
+    getSheetTitles,
+    getCellFormat,
+    isFormulaCell,
+    findSpreadsheet,
+    listFiles,
+    summarize,
+    callCounts
+  };
+};
+
+module.exports = {
+  SPREADSHEET_MIME_TYPE,
+  FOLDER_MIME_TYPE,
+  parseA1Range,
+  createFakeGoogle
+};
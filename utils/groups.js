@@ -1,8 +1,8 @@
 /**
  * Sprout Social Groups and Profiles API utilities
  */
-const axios = require('axios');
-const { getSproutHeaders } = require('./api');
+const { sproutClient } = require('./sprout-client');
+const platforms = require('../platforms');
 
 /**
  * Get all customer groups from Sprout Social API
@@ -16,7 +16,7 @@ const getCustomerGroups = async (baseUrl, customerId, token) => {
     const url = `${baseUrl}/${customerId}/metadata/customer/groups`;
     console.log(`[API CALL] Fetching customer groups from: ${url}`);
     
-    const response = await axios.get(url, { headers: getSproutHeaders(token) });
+    const response = await sproutClient.get(url, token);
     
     if (response.data && response.data.data) {
       console.log(`Found ${response.data.data.length} customer groups`);
@@ -49,7 +49,7 @@ const getAllProfiles = async (baseUrl, customerId, token) => {
     const url = `${baseUrl}/${customerId}/metadata/customer`;
     console.log(`[API CALL] Fetching all profiles from: ${url}`);
     
-    const response = await axios.get(url, { headers: getSproutHeaders(token) });
+    const response = await sproutClient.get(url, token);
     
     if (response.data && response.data.data) {
       console.log(`Found ${response.data.data.length} profiles`);
@@ -140,38 +140,23 @@ const groupProfilesByGroup = (profiles, groups) => {
 /**
  * Get profiles grouped by network type
  * @param {Array} profiles - Array of profile objects
- * @returns {Object} Object with network types as keys and arrays of profiles as values
+ * @returns {Object} Arrays of profiles keyed by network key (see platforms/index.js)
  */
 const groupProfilesByNetworkType = (profiles) => {
-  const profilesByNetwork = {
-    instagram: [],
-    youtube: [],
-    linkedin: [],
-    facebook: [],
-    twitter: []
-  };
-  
-  // Map of Sprout network types to our simplified network types
-  const networkTypeMapping = {
-    'linkedin_company': 'linkedin',
-    'fb_instagram_account': 'instagram',
-    'fb_page': 'facebook',
-    'youtube_channel': 'youtube',
-    'twitter_profile': 'twitter'
-  };
+  const profilesByNetwork = platforms.createNetworkBuckets();
   
   profiles.forEach(profile => {
     // Get the original network type from the profile
     const originalNetworkType = profile.network_type;
     
-    // Get our simplified network type from the mapping or use the lowercase original as fallback
-    const mappedNetworkType = networkTypeMapping[originalNetworkType] || originalNetworkType.toLowerCase();
+    // Get our network key from the platform registry
+    const mappedNetworkType = platforms.getNetworkKey(originalNetworkType);
     
     // Log what network type we're processing
-    console.log(`Mapping network type: ${originalNetworkType} → ${mappedNetworkType}`);
+    console.log(`Mapping network type: ${originalNetworkType} → ${mappedNetworkType || '(none)'}`);
     
     // Add the profile to the appropriate network group if it exists
-    if (profilesByNetwork[mappedNetworkType]) {
+    if (mappedNetworkType) {
       profilesByNetwork[mappedNetworkType].push(profile);
     } else {
       console.log(`Unrecognized network type: ${originalNetworkType}. Profile not assigned to any network group.`);
@@ -0,0 +1,365 @@
+/**
+ * Local SQLite history of everything fetched from Sprout Social
+ *
+ * Every run is recorded with its options, together with the groups, profiles and daily
+ * metric values it fetched. Values are kept per run, so when Sprout restates a number or a
+ * tab is edited by hand the original values are still in the store. The latest value of
+ * each metric is exposed as data points in the same shape `getAnalyticsData` returns, so
+ * reports can be rebuilt without calling Sprout again (`--source history`).
+ *
+ * Numeric values go in `value`; object-valued metrics (breakdowns such as
+ * posts_sent_by_post_type) go in `value_json` as JSON text.
+ *
+ * The database is an ordinary SQLite file, handled with sql.js (no native build), and is
+ * written to disk whenever `save()` is called (once per month of a run, and when it finishes).
+ */
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    run_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    status TEXT NOT NULL DEFAULT 'running',
+    source TEXT,
+    options TEXT,
+    data_points INTEGER NOT NULL DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS groups (
+    group_id TEXT PRIMARY KEY,
+    name TEXT,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS profiles (
+    customer_profile_id INTEGER PRIMARY KEY,
+    network_type TEXT,
+    name TEXT,
+    native_name TEXT,
+    native_id TEXT,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS group_profiles (
+    group_id TEXT NOT NULL,
+    customer_profile_id INTEGER NOT NULL,
+    PRIMARY KEY (group_id, customer_profile_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS metric_values (
+    customer_profile_id INTEGER NOT NULL,
+    reporting_date TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    value REAL,
+    value_json TEXT,
+    run_id INTEGER NOT NULL,
+    fetched_at TEXT NOT NULL,
+    PRIMARY KEY (customer_profile_id, reporting_date, metric, run_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS metric_values_by_date
+    ON metric_values (reporting_date, customer_profile_id);
+`;
+
+// Recreated on open, so stores written before a column was added get the current definition
+const VIEWS = `
+  DROP VIEW IF EXISTS latest_metric_values;
+
+  CREATE VIEW latest_metric_values AS
+    SELECT customer_profile_id, reporting_date, metric, value, value_json, run_id, fetched_at
+    FROM metric_values AS current
+    WHERE run_id = (
+      SELECT MAX(run_id) FROM metric_values AS later
+      WHERE later.customer_profile_id = current.customer_profile_id
+        AND later.reporting_date = current.reporting_date
+        AND later.metric = current.metric
+    );
+`;
+
+// Columns added to existing tables since the first version of the store
+const ADDED_COLUMNS = [
+  { table: 'metric_values', column: 'value_json', type: 'TEXT' }
+];
+
+/**
+ * Get the reporting date of a data point
+ * @param {Object} dataPoint - Data point from the analytics API
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+const getReportingDate = (dataPoint) => {
+  const reportingPeriod = dataPoint.dimensions &&
+    (dataPoint.dimensions['reporting_period.by(day)'] || dataPoint.dimensions.reporting_period);
+  if (!reportingPeriod) return null;
+  return new Date(reportingPeriod).toISOString().split('T')[0];
+};
+
+/**
+ * Open (or create) the history store
+ * @param {Object} options - Store options
+ * @param {string} [options.dbPath='history/sprout-history.sqlite'] - SQLite file
+ * @returns {Promise<Object|null>} History store, or null if it couldn't be opened
+ */
+const createHistoryStore = async ({ dbPath = 'history/sprout-history.sqlite' } = {}) => {
+  const filePath = path.resolve(dbPath);
+  let db;
+
+  try {
+    const SQL = await initSqlJs();
+    db = fs.existsSync(filePath)
+      ? new SQL.Database(fs.readFileSync(filePath))
+      : new SQL.Database();
+    db.exec(SCHEMA);
+    ADDED_COLUMNS.forEach(({ table, column, type }) => {
+      const columns = db.exec(`PRAGMA table_info(${table})`)[0].values.map(row => row[1]);
+      if (!columns.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    });
+    db.exec(VIEWS);
+  } catch (error) {
+    console.error(`Could not open history store ${filePath}: ${error.message}`);
+    return null;
+  }
+
+  let currentRunId = null;
+
+  /**
+   * Run a statement for every item in one transaction
+   * @param {string} sql - Statement with ? placeholders
+   * @param {Array<Array>} rows - Parameters for each execution
+   */
+  const runMany = (sql, rows) => {
+    const statement = db.prepare(sql);
+    db.exec('BEGIN');
+    try {
+      rows.forEach(row => statement.run(row));
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      statement.free();
+    }
+  };
+
+  /**
+   * Run a query and return its rows as objects
+   * @param {string} sql - Query with ? placeholders
+   * @param {Array} [params] - Query parameters
+   * @returns {Array<Object>} Rows
+   */
+  const query = (sql, params = []) => {
+    const statement = db.prepare(sql);
+    const rows = [];
+    try {
+      statement.bind(params);
+      while (statement.step()) rows.push(statement.getAsObject());
+    } finally {
+      statement.free();
+    }
+    return rows;
+  };
+
+  /**
+   * Write the database to disk
+   * @returns {boolean} Success status
+   */
+  const save = () => {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write to a temporary file first so an interrupted run never leaves a broken database
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, Buffer.from(db.export()));
+      fs.renameSync(tempPath, filePath);
+      return true;
+    } catch (error) {
+      console.error(`Error saving history store ${filePath}: ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Record the start of a run
+   * @param {Object} details - Run details
+   * @param {string} details.source - Where data points come from ("api" or "history")
+   * @param {Object} details.options - Run options
+   * @returns {number} Run ID
+   */
+  const startRun = ({ source, options }) => {
+    runMany('INSERT INTO runs (started_at, source, options) VALUES (?, ?, ?)', [
+      [new Date().toISOString(), source, JSON.stringify(options)]
+    ]);
+    currentRunId = query('SELECT last_insert_rowid() AS run_id')[0].run_id;
+    return currentRunId;
+  };
+
+  /**
+   * Record the end of the current run and save the store
+   * @param {string} status - Final status, e.g. "completed" or "failed"
+   */
+  const finishRun = (status) => {
+    if (currentRunId === null) return;
+    runMany('UPDATE runs SET finished_at = ?, status = ? WHERE run_id = ?', [
+      [new Date().toISOString(), status, currentRunId]
+    ]);
+    save();
+  };
+
+  /**
+   * Save or update groups
+   * @param {Array<Object>} groups - Groups from the metadata API
+   */
+  const recordGroups = (groups) => {
+    const now = new Date().toISOString();
+    runMany(
+      'INSERT OR REPLACE INTO groups (group_id, name, updated_at) VALUES (?, ?, ?)',
+      groups.filter(group => group && group.group_id).map(group => [String(group.group_id), group.name || null, now])
+    );
+  };
+
+  /**
+   * Save or update profiles and their group memberships
+   * @param {Array<Object>} profiles - Profiles from the metadata API
+   */
+  const recordProfiles = (profiles) => {
+    const now = new Date().toISOString();
+    const valid = profiles.filter(profile => profile && profile.customer_profile_id);
+
+    runMany(
+      `INSERT OR REPLACE INTO profiles
+        (customer_profile_id, network_type, name, native_name, native_id, data, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      valid.map(profile => [
+        profile.customer_profile_id,
+        profile.network_type || null,
+        profile.name || null,
+        profile.native_name || null,
+        profile.native_id ? String(profile.native_id) : null,
+        JSON.stringify(profile),
+        now
+      ])
+    );
+    runMany(
+      'INSERT OR IGNORE INTO group_profiles (group_id, customer_profile_id) VALUES (?, ?)',
+      valid.flatMap(profile => (profile.groups || []).map(groupId => [String(groupId), profile.customer_profile_id]))
+    );
+  };
+
+  /**
+   * Save the metric values of fetched data points for the current run
+   * @param {Array<Object>} dataPoints - Data points from getAnalyticsData
+   * @returns {number} Number of metric values saved
+   */
+  const recordDataPoints = (dataPoints) => {
+    if (currentRunId === null) {
+      console.warn('History store: no run started, data points not recorded');
+      return 0;
+    }
+
+    const now = new Date().toISOString();
+    const rows = [];
+    dataPoints.forEach(dataPoint => {
+      const profileId = dataPoint.dimensions && dataPoint.dimensions.customer_profile_id;
+      const date = getReportingDate(dataPoint);
+      if (!profileId || !date) return;
+
+      Object.entries(dataPoint.metrics || {}).forEach(([metric, value]) => {
+        // Breakdowns such as posts_sent_by_post_type are objects; they are kept as JSON text
+        if (value !== null && typeof value === 'object') {
+          rows.push([parseInt(profileId, 10), date, metric, null, JSON.stringify(value), currentRunId, now]);
+          return;
+        }
+        const number = value === null || value === undefined || value === '' ? null : Number(value);
+        rows.push([parseInt(profileId, 10), date, metric, Number.isFinite(number) ? number : null, null, currentRunId, now]);
+      });
+    });
+
+    runMany(
+      `INSERT OR REPLACE INTO metric_values
+        (customer_profile_id, reporting_date, metric, value, value_json, run_id, fetched_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      rows
+    );
+    runMany('UPDATE runs SET data_points = data_points + ? WHERE run_id = ?', [[dataPoints.length, currentRunId]]);
+    return rows.length;
+  };
+
+  /**
+   * Get the stored groups
+   * @returns {Array<{group_id: string, name: string}>} Groups
+   */
+  const getGroups = () => {
+    return query('SELECT group_id, name FROM groups ORDER BY group_id').map(row => ({
+      group_id: /^\d+$/.test(row.group_id) ? Number(row.group_id) : row.group_id,
+      name: row.name
+    }));
+  };
+
+  /**
+   * Get the stored profiles as they were returned by the metadata API
+   * @returns {Array<Object>} Profiles
+   */
+  const getProfiles = () => {
+    return query('SELECT data FROM profiles ORDER BY customer_profile_id').map(row => JSON.parse(row.data));
+  };
+
+  /**
+   * Get the latest stored values as analytics data points
+   * @param {Array<number|string>} profileIds - Profiles to read
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {{data: Array<Object>, pages: number, totalRows: number}} Data points in the getAnalyticsData shape
+   */
+  const getDataPoints = (profileIds, startDate, endDate) => {
+    const ids = profileIds.map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id));
+    if (ids.length === 0) return { data: [], pages: 0, totalRows: 0 };
+
+    const rows = query(
+      `SELECT customer_profile_id, reporting_date, metric, value, value_json
+        FROM latest_metric_values
+        WHERE customer_profile_id IN (${ids.map(() => '?').join(', ')})
+          AND reporting_date BETWEEN ? AND ?
+        ORDER BY customer_profile_id, reporting_date`,
+      [...ids, startDate, endDate]
+    );
+
+    const dataPoints = new Map();
+    rows.forEach(row => {
+      const key = `${row.customer_profile_id}|${row.reporting_date}`;
+      if (!dataPoints.has(key)) {
+        dataPoints.set(key, {
+          dimensions: {
+            customer_profile_id: row.customer_profile_id,
+            'reporting_period.by(day)': `${row.reporting_date}T00:00:00Z`
+          },
+          metrics: {}
+        });
+      }
+      dataPoints.get(key).metrics[row.metric] = row.value_json !== null ? JSON.parse(row.value_json) : row.value;
+    });
+
+    const data = Array.from(dataPoints.values());
+    return { data, pages: 0, totalRows: data.length };
+  };
+
+  console.log(`Using history store ${path.relative(process.cwd(), filePath)}`);
+
+  return {
+    path: filePath,
+    save,
+    startRun,
+    finishRun,
+    recordGroups,
+    recordProfiles,
+    recordDataPoints,
+    getGroups,
+    getProfiles,
+    getDataPoints
+  };
+};
+
+module.exports = {
+  createHistoryStore
+};
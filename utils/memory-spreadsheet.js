@@ -0,0 +1,604 @@
+/**
+ * In-memory spreadsheet with the Google Sheets v4 data model
+ *
+ * Holds one spreadsheet's tabs, cell grids, formula cells and formatting requests, and
+ * answers the subset of the Sheets API this project calls with the same request and
+ * response shapes as googleapis: spreadsheets.get/batchUpdate (addSheet, deleteSheet,
+ * updateSheetProperties, deleteDimension on rows, formatting requests) and values
+ * get/batchGet/update/batchUpdate/append/clear.
+ *
+ * The xlsx sink builds each report in one of these and exports it to a workbook, so
+ * the normal Sheets flow runs unchanged without credentials. The fake Google backend
+ * (utils/fake-google.js) keeps one per fake Drive spreadsheet.
+ *
+ * Strings starting with "=" written USER_ENTERED are kept as formulas (read back as
+ * their text, since nothing is calculated); written RAW they stay plain text.
+ */
+
+/**
+ * Build an error shaped like a googleapis (Gaxios) error
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with code and response
+ */
+const apiError = (status, message) => {
+  const error = new Error(message);
+  error.code = status;
+  error.response = { status, data: { error: { code: status, message } } };
+  return error;
+};
+
+/**
+ * Convert column letters to a 0-based index (A → 0, AA → 26)
+ * @param {string} letters - Column letters
+ * @returns {number} Column index
+ */
+const columnIndex = (letters) => {
+  let index = 0;
+  for (const char of letters.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * Convert a 0-based column index to letters
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnLetters = (index) => {
+  let letters = '';
+  let value = index + 1;
+  while (value > 0) {
+    const rem = (value - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    value = Math.floor((value - 1) / 26);
+  }
+  return letters;
+};
+
+/**
+ * Parse an A1 range ("Sheet!A1:C10", "'My Tab'!A:A", "Sheet", "A2:Z")
+ * Bounds are 0-based; missing bounds are null (open-ended).
+ * @param {string} range - A1 notation range
+ * @returns {{sheetTitle: string|null, startRow: number, startCol: number, endRow: number|null, endCol: number|null}} Parsed range
+ */
+const parseA1Range = (range) => {
+  let sheetTitle = null;
+  let cells = range;
+
+  const bang = range.lastIndexOf('!');
+  if (bang !== -1) {
+    sheetTitle = range.substring(0, bang);
+    cells = range.substring(bang + 1);
+  } else if (!/^[A-Za-z]*\d*(:[A-Za-z]*\d*)?$/.test(range)) {
+    // A bare sheet name
+    sheetTitle = range;
+    cells = '';
+  }
+
+  if (sheetTitle && sheetTitle.startsWith("'") && sheetTitle.endsWith("'")) {
+    sheetTitle = sheetTitle.slice(1, -1).replace(/''/g, "'");
+  }
+
+  const parsed = { sheetTitle, startRow: 0, startCol: 0, endRow: null, endCol: null };
+  if (!cells) return parsed;
+
+  const [start, end] = cells.split(':');
+  const startMatch = start.match(/^([A-Za-z]*)(\d*)$/);
+  const endMatch = (end !== undefined ? end : start).match(/^([A-Za-z]*)(\d*)$/);
+
+  if (startMatch[1]) parsed.startCol = columnIndex(startMatch[1]);
+  if (startMatch[2]) parsed.startRow = parseInt(startMatch[2], 10) - 1;
+  if (endMatch[1]) parsed.endCol = columnIndex(endMatch[1]);
+  if (endMatch[2]) parsed.endRow = parseInt(endMatch[2], 10) - 1;
+
+  return parsed;
+};
+// Blank cells are left out of read results, like the real API
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Drop the trailing blank cells of a row
+ * @param {Array} row - Row values
+ * @returns {Array} Trimmed row
+ */
+const trimRow = (row) => {
+  let end = row.length;
+  while (end > 0 && isEmpty(row[end - 1])) end--;
+  return row.slice(0, end);
+};
+
+/**
+ * Add a tab to a spreadsheet
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {Object} [properties] - Sheet properties (sheetId, title, gridProperties)
+ * @returns {Object} Tab state
+ */
+const newSheet = (spreadsheet, properties = {}) => {
+  const sheet = {
+    properties: {
+      sheetId: properties.sheetId !== undefined ? properties.sheetId : spreadsheet.nextSheetId++,
+      title: properties.title || `Sheet${spreadsheet.sheets.length + 1}`,
+      index: spreadsheet.sheets.length,
+      sheetType: 'GRID',
+      gridProperties: { rowCount: 1000, columnCount: 26, ...(properties.gridProperties || {}) }
+    },
+    grid: [],
+    // "row:col" of the cells holding a formula
+    formulas: new Set(),
+    formats: [],
+    otherRequests: []
+  };
+  spreadsheet.sheets.push(sheet);
+  return sheet;
+};
+
+/**
+ * Create an empty spreadsheet
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} title - Spreadsheet title
+ * @param {Array<Object>} [sheetProperties] - Properties of the initial tabs; a blank "Sheet1" when empty
+ * @returns {Object} Spreadsheet state
+ */
+const createSpreadsheet = (spreadsheetId, title, sheetProperties = []) => {
+  const spreadsheet = { spreadsheetId, properties: { title }, sheets: [], nextSheetId: 0 };
+  if (sheetProperties.length === 0) {
+    newSheet(spreadsheet, { title: 'Sheet1' });
+  } else {
+    sheetProperties.forEach(properties => newSheet(spreadsheet, properties));
+  }
+  return spreadsheet;
+};
+
+/**
+ * Find a tab by title (null means the first tab, as in a range without a sheet name)
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string|null} title - Tab title
+ * @returns {Object} Tab state
+ */
+const getSheetByTitle = (spreadsheet, title) => {
+  const sheet = title === null
+    ? spreadsheet.sheets[0]
+    : spreadsheet.sheets.find(s => s.properties.title === title);
+  if (!sheet) throw apiError(400, `Unable to parse range: ${title}`);
+  return sheet;
+};
+
+/**
+ * Find a tab by sheet ID
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {number} sheetId - Sheet ID (missing means 0)
+ * @returns {Object} Tab state
+ */
+const getSheetById = (spreadsheet, sheetId) => {
+  const sheet = spreadsheet.sheets.find(s => s.properties.sheetId === (sheetId || 0));
+  if (!sheet) throw apiError(400, `No grid with id: ${sheetId}`);
+  return sheet;
+};
+
+/**
+ * Read the cells of a parsed range
+ * @param {Object} sheet - Tab state
+ * @param {Object} parsed - Range from parseA1Range
+ * @param {string} [renderOption] - UNFORMATTED_VALUE keeps numbers; anything else returns strings
+ * @returns {Array<Array>} Rows, with trailing blank cells and rows left out
+ */
+const readRange = (sheet, parsed, renderOption) => {
+  const lastRow = parsed.endRow !== null ? parsed.endRow : sheet.grid.length - 1;
+  const values = [];
+
+  for (let r = parsed.startRow; r <= lastRow && r < sheet.grid.length; r++) {
+    const row = sheet.grid[r] || [];
+    const lastCol = parsed.endCol !== null ? parsed.endCol : row.length - 1;
+    const slice = [];
+    for (let c = parsed.startCol; c <= lastCol; c++) {
+      const value = row[c];
+      if (isEmpty(value)) {
+        slice.push('');
+      } else {
+        // Formatted values come back as strings, like the real API
+        slice.push(renderOption === 'UNFORMATTED_VALUE' ? value : String(value));
+      }
+    }
+    values.push(trimRow(slice));
+  }
+
+  while (values.length > 0 && values[values.length - 1].length === 0) values.pop();
+  return values;
+};
+
+/**
+ * Write rows of values into a tab from a starting cell
+ * @param {Object} sheet - Tab state
+ * @param {number} startRow - 0-based row index
+ * @param {number} startCol - 0-based column index
+ * @param {Array<Array>} values - Rows of values (null leaves a cell as it is)
+ * @param {string} [valueInputOption='RAW'] - RAW or USER_ENTERED
+ * @returns {{updatedRows: number, updatedColumns: number, updatedCells: number}} What was written
+ */
+const writeValues = (sheet, startRow, startCol, values, valueInputOption = 'RAW') => {
+  values.forEach((rowValues, r) => {
+    const rowIndex = startRow + r;
+    while (sheet.grid.length <= rowIndex) sheet.grid.push([]);
+    const row = sheet.grid[rowIndex];
+    rowValues.forEach((value, c) => {
+      // Like the real API, null leaves the cell as it is
+      if (value === null || value === undefined) {
+        if (row[startCol + c] === undefined) row[startCol + c] = '';
+        return;
+      }
+      row[startCol + c] = value;
+
+      const cellKey = `${rowIndex}:${startCol + c}`;
+      if (valueInputOption === 'USER_ENTERED' && typeof value === 'string' && value.startsWith('=')) {
+        sheet.formulas.add(cellKey);
+      } else {
+        sheet.formulas.delete(cellKey);
+      }
+    });
+  });
+
+  const columns = values.reduce((max, row) => Math.max(max, row.length), 0);
+  return {
+    updatedRows: values.length,
+    updatedColumns: columns,
+    updatedCells: values.reduce((sum, row) => sum + row.length, 0)
+  };
+};
+
+/**
+ * Describe a block of cells as an A1 range
+ * @param {Object} sheet - Tab state
+ * @param {number} startRow - 0-based row index
+ * @param {number} startCol - 0-based column index
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @returns {string} A1 range, e.g. "Instagram!A2:W5"
+ */
+const describeRange = (sheet, startRow, startCol, rows, columns) => {
+  const start = `${columnLetters(startCol)}${startRow + 1}`;
+  const end = `${columnLetters(startCol + Math.max(columns, 1) - 1)}${startRow + Math.max(rows, 1)}`;
+  return `${sheet.properties.title}!${start}:${end}`;
+};
+
+/**
+ * Delete rows [start, end) of a tab; cells, formulas and formats below move up
+ * @param {Object} sheet - Tab state
+ * @param {number} start - 0-based index of the first deleted row
+ * @param {number} end - 0-based index after the last deleted row
+ */
+const deleteRows = (sheet, start, end) => {
+  const count = end - start;
+  sheet.grid.splice(start, count);
+  sheet.formulas = new Set([...sheet.formulas].flatMap(cellKey => {
+    const [row, col] = cellKey.split(':').map(Number);
+    if (row < start) return [cellKey];
+    return row >= end ? [`${row - count}:${col}`] : [];
+  }));
+
+  const shift = (index) => (index === undefined ? undefined : index - Math.max(0, Math.min(index, end) - start));
+  sheet.formats = sheet.formats
+    .map(({ range, format }) => ({
+      range: { ...range, startRowIndex: shift(range.startRowIndex), endRowIndex: shift(range.endRowIndex) },
+      format
+    }))
+    .filter(({ range }) => range.startRowIndex === undefined || range.endRowIndex === undefined || range.startRowIndex < range.endRowIndex);
+};
+
+/**
+ * Apply one batchUpdate request
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {Object} request - Sheets API request
+ * @returns {Object} Reply
+ */
+const applyRequest = (spreadsheet, request) => {
+  const [type] = Object.keys(request);
+  const body = request[type];
+
+  switch (type) {
+    case 'addSheet': {
+      const title = body.properties && body.properties.title;
+      if (spreadsheet.sheets.some(s => s.properties.title === title)) {
+        throw apiError(400, `Invalid requests[0].addSheet: A sheet with the name "${title}" already exists. Please enter another name.`);
+      }
+      const sheet = newSheet(spreadsheet, body.properties || {});
+      return { addSheet: { properties: { ...sheet.properties } } };
+    }
+    case 'deleteSheet': {
+      const sheet = getSheetById(spreadsheet, body.sheetId);
+      spreadsheet.sheets.splice(spreadsheet.sheets.indexOf(sheet), 1);
+      spreadsheet.sheets.forEach((s, index) => { s.properties.index = index; });
+      return {};
+    }
+    case 'updateSheetProperties': {
+      const sheet = getSheetById(spreadsheet, body.properties.sheetId);
+      const { sheetId, ...changes } = body.properties;
+      Object.assign(sheet.properties, changes);
+      return {};
+    }
+    case 'deleteDimension': {
+      const sheet = getSheetById(spreadsheet, body.range.sheetId);
+      if (body.range.dimension !== 'ROWS') {
+        sheet.otherRequests.push(request);
+        return {};
+      }
+      deleteRows(sheet, body.range.startIndex, body.range.endIndex);
+      return {};
+    }
+    case 'repeatCell': {
+      const sheet = getSheetById(spreadsheet, body.range.sheetId);
+      sheet.formats.push({ range: { ...body.range }, format: (body.cell && body.cell.userEnteredFormat) || {} });
+      return {};
+    }
+    default: {
+      // Other formatting requests (borders, widths, merges, ...) are kept for inspection
+      const sheetId = body && (body.range || body.properties || body.dimensions || body).sheetId;
+      const sheet = getSheetById(spreadsheet, sheetId);
+      sheet.otherRequests.push(request);
+      return {};
+    }
+  }
+};
+
+/**
+ * Apply batchUpdate requests; like the real API the batch is atomic, so one bad request rolls back the others
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {Array<Object>} requests - Sheets API requests
+ * @returns {Array<Object>} Replies, in order
+ */
+const applyRequests = (spreadsheet, requests) => {
+  const snapshot = structuredClone(spreadsheet);
+  try {
+    return requests.map(request => applyRequest(spreadsheet, request));
+  } catch (error) {
+    Object.assign(spreadsheet, snapshot);
+    throw error;
+  }
+};
+
+/**
+ * Read an A1 range
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} range - A1 range
+ * @param {string} [renderOption] - valueRenderOption
+ * @returns {Array<Array>} Rows of values
+ */
+const readValues = (spreadsheet, range, renderOption) => {
+  const parsed = parseA1Range(range);
+  return readRange(getSheetByTitle(spreadsheet, parsed.sheetTitle), parsed, renderOption);
+};
+
+/**
+ * Write rows of values at an A1 range
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} range - A1 range; values start at its top-left cell
+ * @param {Array<Array>} values - Rows of values
+ * @param {string} [valueInputOption] - RAW or USER_ENTERED
+ * @returns {Object} values.update response data
+ */
+const updateValues = (spreadsheet, range, values, valueInputOption) => {
+  const parsed = parseA1Range(range);
+  const sheet = getSheetByTitle(spreadsheet, parsed.sheetTitle);
+  const result = writeValues(sheet, parsed.startRow, parsed.startCol, values || [], valueInputOption);
+  return {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    updatedRange: describeRange(sheet, parsed.startRow, parsed.startCol, result.updatedRows, result.updatedColumns),
+    ...result
+  };
+};
+
+/**
+ * Append rows after the table found in an A1 range
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} range - A1 range; the table ends at the last row with anything in its columns
+ * @param {Array<Array>} values - Rows of values
+ * @param {string} [valueInputOption] - RAW or USER_ENTERED
+ * @returns {Object} values.append response data
+ */
+const appendValues = (spreadsheet, range, values, valueInputOption) => {
+  const parsed = parseA1Range(range);
+  const sheet = getSheetByTitle(spreadsheet, parsed.sheetTitle);
+
+  let lastUsedRow = -1;
+  sheet.grid.forEach((row, index) => {
+    const lastCol = parsed.endCol !== null ? parsed.endCol : row.length - 1;
+    for (let c = parsed.startCol; c <= lastCol; c++) {
+      if (!isEmpty(row[c])) {
+        lastUsedRow = index;
+        break;
+      }
+    }
+  });
+
+  const startRow = Math.max(lastUsedRow + 1, parsed.startRow);
+  const result = writeValues(sheet, startRow, parsed.startCol, values, valueInputOption);
+  return {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    tableRange: lastUsedRow >= 0 ? describeRange(sheet, parsed.startRow, parsed.startCol, lastUsedRow - parsed.startRow + 1, result.updatedColumns) : undefined,
+    updates: {
+      spreadsheetId: spreadsheet.spreadsheetId,
+      updatedRange: describeRange(sheet, startRow, parsed.startCol, result.updatedRows, result.updatedColumns),
+      ...result
+    }
+  };
+};
+
+/**
+ * Clear the cells of an A1 range
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} range - A1 range
+ */
+const clearValues = (spreadsheet, range) => {
+  const parsed = parseA1Range(range);
+  const sheet = getSheetByTitle(spreadsheet, parsed.sheetTitle);
+  const lastRow = parsed.endRow !== null ? parsed.endRow : sheet.grid.length - 1;
+  for (let r = parsed.startRow; r <= lastRow && r < sheet.grid.length; r++) {
+    const row = sheet.grid[r];
+    const lastCol = parsed.endCol !== null ? parsed.endCol : row.length - 1;
+    for (let c = parsed.startCol; c <= lastCol; c++) {
+      row[c] = '';
+      sheet.formulas.delete(`${r}:${c}`);
+    }
+  }
+};
+
+/**
+ * Get a copy of a tab's cells, trailing empty cells trimmed
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} sheetTitle - Tab title
+ * @returns {Array<Array>} Rows of raw (unformatted) values
+ */
+const getGrid = (spreadsheet, sheetTitle) => {
+  const sheet = getSheetByTitle(spreadsheet, sheetTitle);
+  return readRange(sheet, { startRow: 0, startCol: 0, endRow: null, endCol: null }, 'UNFORMATTED_VALUE');
+};
+
+/**
+ * Get the tab titles of a spreadsheet in order
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @returns {Array<string>} Tab titles
+ */
+const getSheetTitles = (spreadsheet) => spreadsheet.sheets.map(sheet => sheet.properties.title);
+
+/**
+ * Get the effective format of a cell from the repeatCell requests applied to it
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} sheetTitle - Tab title
+ * @param {number} row - 0-based row index
+ * @param {number} col - 0-based column index
+ * @returns {Object} Merged userEnteredFormat
+ */
+const getCellFormat = (spreadsheet, sheetTitle, row, col) => {
+  const sheet = getSheetByTitle(spreadsheet, sheetTitle);
+  const inRange = (value, start, end) => (start === undefined || value >= start) && (end === undefined || value < end);
+
+  return sheet.formats.reduce((format, { range, format: applied }) => {
+    if (inRange(row, range.startRowIndex, range.endRowIndex) && inRange(col, range.startColumnIndex, range.endColumnIndex)) {
+      return { ...format, ...applied };
+    }
+    return format;
+  }, {});
+};
+
+/**
+ * Check whether a cell holds a formula (a "=" string written USER_ENTERED)
+ * @param {Object} spreadsheet - Spreadsheet state
+ * @param {string} sheetTitle - Tab title
+ * @param {number} row - 0-based row index
+ * @param {number} col - 0-based column index
+ * @returns {boolean} True for formula cells
+ */
+const isFormulaCell = (spreadsheet, sheetTitle, row, col) => {
+  return getSheetByTitle(spreadsheet, sheetTitle).formulas.has(`${row}:${col}`);
+};
+
+/**
+ * Create a Sheets API client (the `spreadsheets` subset) over in-memory spreadsheets
+ * @param {Function} getSpreadsheet - Returns the spreadsheet state for an ID, or throws a 404
+ * @param {Object} [hooks] - Callbacks for the caller's bookkeeping
+ * @param {Function} [hooks.onCall] - Called with the method name of every call
+ * @param {Function} [hooks.onWrite] - Called with the spreadsheet ID after every change
+ * @returns {Object} Client shaped like googleapis' sheets v4 (without spreadsheets.create)
+ */
+const createSheetsClient = (getSpreadsheet, { onCall = () => {}, onWrite = () => {} } = {}) => ({
+  spreadsheets: {
+    get: async (params = {}) => {
+      onCall('sheets.spreadsheets.get');
+      const spreadsheet = getSpreadsheet(params.spreadsheetId);
+      return {
+        data: {
+          spreadsheetId: spreadsheet.spreadsheetId,
+          properties: { ...spreadsheet.properties },
+          sheets: spreadsheet.sheets.map(sheet => ({ properties: { ...sheet.properties } }))
+        }
+      };
+    },
+
+    batchUpdate: async (params = {}) => {
+      onCall('sheets.spreadsheets.batchUpdate');
+      const spreadsheet = getSpreadsheet(params.spreadsheetId);
+      const requests = (params.resource || params.requestBody || {}).requests || [];
+      const replies = applyRequests(spreadsheet, requests);
+      onWrite(params.spreadsheetId);
+      return { data: { spreadsheetId: params.spreadsheetId, replies } };
+    },
+
+    values: {
+      get: async (params = {}) => {
+        onCall('sheets.spreadsheets.values.get');
+        const values = readValues(getSpreadsheet(params.spreadsheetId), params.range, params.valueRenderOption);
+        const data = { range: params.range, majorDimension: 'ROWS' };
+        if (values.length > 0) data.values = values;
+        return { data };
+      },
+
+      batchGet: async (params = {}) => {
+        onCall('sheets.spreadsheets.values.batchGet');
+        const spreadsheet = getSpreadsheet(params.spreadsheetId);
+        const valueRanges = (params.ranges || []).map(range => {
+          const values = readValues(spreadsheet, range, params.valueRenderOption);
+          return values.length > 0 ? { range, majorDimension: 'ROWS', values } : { range, majorDimension: 'ROWS' };
+        });
+        return { data: { spreadsheetId: params.spreadsheetId, valueRanges } };
+      },
+
+      update: async (params = {}) => {
+        onCall('sheets.spreadsheets.values.update');
+        const values = (params.resource || params.requestBody || {}).values || [];
+        const data = updateValues(getSpreadsheet(params.spreadsheetId), params.range, values, params.valueInputOption);
+        onWrite(params.spreadsheetId);
+        return { data };
+      },
+
+      batchUpdate: async (params = {}) => {
+        onCall('sheets.spreadsheets.values.batchUpdate');
+        const spreadsheet = getSpreadsheet(params.spreadsheetId);
+        const body = params.resource || params.requestBody || {};
+        const responses = (body.data || []).map(valueRange =>
+          updateValues(spreadsheet, valueRange.range, valueRange.values || [], body.valueInputOption)
+        );
+        onWrite(params.spreadsheetId);
+        return {
+          data: {
+            spreadsheetId: params.spreadsheetId,
+            totalUpdatedRows: responses.reduce((sum, r) => sum + r.updatedRows, 0),
+            totalUpdatedCells: responses.reduce((sum, r) => sum + r.updatedCells, 0),
+            responses
+          }
+        };
+      },
+
+      append: async (params = {}) => {
+        onCall('sheets.spreadsheets.values.append');
+        const values = (params.resource || params.requestBody || {}).values || [];
+        const data = appendValues(getSpreadsheet(params.spreadsheetId), params.range, values, params.valueInputOption);
+        onWrite(params.spreadsheetId);
+        return { data };
+      },
+
+      clear: async (params = {}) => {
+        onCall('sheets.spreadsheets.values.clear');
+        clearValues(getSpreadsheet(params.spreadsheetId), params.range);
+        onWrite(params.spreadsheetId);
+        return { data: { spreadsheetId: params.spreadsheetId, clearedRange: params.range } };
+      }
+    }
+  }
+});
+
+module.exports = {
+  apiError,
+  parseA1Range,
+  createSpreadsheet,
+  applyRequests,
+  readValues,
+  updateValues,
+  appendValues,
+  clearValues,
+  getGrid,
+  getSheetTitles,
+  getCellFormat,
+  isFormulaCell,
+  createSheetsClient
+};
@@ -0,0 +1,50 @@
+/**
+ * Metric catalogue keyed by Sprout network type
+ *
+ * Each platform module declares the metrics its formatter reads, so every profile
+ * is only asked for the fields its network actually reports.
+ */
+const platforms = require('../platforms');
+
+// Sprout network_type → metrics requested for profiles of that type
+const METRIC_CATALOGUE = Object.fromEntries(
+  platforms.PLATFORMS.flatMap(platform => platform.NETWORK_TYPES.map(networkType => [networkType, platform.METRICS]))
+);
+
+/**
+ * Get the metrics to request for a Sprout network type
+ * @param {string} networkType - Sprout network_type (e.g. "fb_page")
+ * @returns {Array<string>|null} Metric names, or null when the network has no declaration
+ */
+const getMetricsForNetworkType = (networkType) => {
+  return METRIC_CATALOGUE[networkType] || null;
+};
+
+/**
+ * Build the metric list for each profile from its network type
+ * Profiles on networks without a declaration are left out, so the client falls back to its default list.
+ * @param {Array} profiles - Profile objects with customer_profile_id and network_type
+ * @returns {Object} Metric lists keyed by profile ID
+ */
+const getMetricsByProfile = (profiles) => {
+  const metricsByProfile = {};
+
+  profiles.forEach(profile => {
+    if (!profile || !profile.customer_profile_id) return;
+
+    const metrics = getMetricsForNetworkType(profile.network_type);
+    if (metrics) {
+      metricsByProfile[profile.customer_profile_id] = metrics;
+    } else {
+      console.warn(`No metric declaration for network type ${profile.network_type}. Profile ${profile.customer_profile_id} will use the default metric list`);
+    }
+  });
+
+  return metricsByProfile;
+};
+
+module.exports = {
+  METRIC_CATALOGUE,
+  getMetricsForNetworkType,
+  getMetricsByProfile
+};
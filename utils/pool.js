@@ -0,0 +1,32 @@
+/**
+ * Bounded-concurrency helpers
+ */
+
+/**
+ * Run an async function over a list of items with at most `concurrency` calls in flight.
+ * Results are returned in the same order as the input, whatever order the calls finish in,
+ * so callers get deterministic output.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of calls running at once
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
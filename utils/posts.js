@@ -0,0 +1,259 @@
+/**
+ * Post-level analytics from the Sprout Social posts endpoint
+ *
+ * Profile analytics only give daily totals; this pulls the individual posts behind
+ * them and writes one row per post to a "<Network> Posts" tab.
+ */
+const { fetchAllPages, getDateWindows, safeNumber } = require('./api');
+const { isAuthError } = require('./sprout-client');
+const platforms = require('../platforms');
+
+// Post attributes requested from the posts endpoint
+const POST_FIELDS = [
+  'created_time',
+  'perma_link',
+  'text',
+  'post_type',
+  'customer_profile_id'
+];
+
+// Lifetime metrics requested for each post
+const POST_METRICS = [
+  'lifetime.impressions',
+  'lifetime.reactions',
+  'lifetime.likes',
+  'lifetime.comments_count',
+  'lifetime.shares_count',
+  'lifetime.saves',
+  'lifetime.video_views',
+  'lifetime.post_content_clicks',
+  'lifetime.engagements'
+];
+
+// Posts returned per page (the endpoint's maximum)
+const POSTS_PAGE_LIMIT = 100;
+
+// Posts tab headers, profile ID stays in column E like the profile tabs
+const POSTS_HEADERS = [
+  'Sent Date',
+  'Sent Time',
+  'Network',
+  'Profile Name',
+  'Profile ID',
+  'Post Type',
+  'Permalink',
+  'Text',
+  'Impressions',
+  'Reactions',
+  'Likes',
+  'Comments',
+  'Shares',
+  'Saves',
+  'Video Views',
+  'Clicks',
+  'Engagements'
+];
+
+// Column holding the permalink, used to find posts already in the sheet
+const PERMALINK_INDEX = 6;
+
+/**
+ * Get the posts tab name for a network, named after the network's own tab
+ * @param {string} network - Network key (e.g. "youtube" or "google_business")
+ * @returns {string} Sheet name (e.g. "Youtube Posts" or "Google Business Posts")
+ * @throws {Error} If no platform is registered for the network
+ */
+const getPostsSheetName = (network) => {
+  const platform = platforms.getPlatform(network);
+  if (!platform) {
+    throw new Error(`No platform registered for network "${network}"`);
+  }
+  return `${platform.SHEET_NAME} Posts`;
+};
+
+/**
+ * Get all posts sent by the given profiles in a date range
+ * @param {string} postsUrl - Posts analytics endpoint URL
+ * @param {string} token - API token
+ * @param {string} startDate - Start date in YYYY-MM-DD format
+ * @param {string} endDate - End date in YYYY-MM-DD format
+ * @param {Array} profileIds - Profile IDs to include
+ * @returns {Promise<{data: Array, pages: number, totalRows: number}|null>} Posts, or null when none were found
+ */
+const getPostsData = async (postsUrl, token, startDate, endDate, profileIds) => {
+  const validProfileIds = profileIds.filter(id => id && id.toString().trim() !== '');
+
+  if (validProfileIds.length === 0) {
+    console.error('No valid profile IDs provided for post analytics');
+    return null;
+  }
+
+  const allResults = { data: [], pages: 0, totalRows: 0 };
+
+  for (const window of getDateWindows(startDate, endDate)) {
+    const payload = {
+      fields: POST_FIELDS,
+      filters: [
+        `customer_profile_id.eq(${validProfileIds.join(', ')})`,
+        `created_time.in(${window.startDate}T00:00:00..${window.endDate}T23:59:59)`
+      ],
+      metrics: POST_METRICS,
+      timezone: 'UTC',
+      limit: POSTS_PAGE_LIMIT
+    };
+
+    try {
+      console.log(`\n=== API CALL: Fetching posts for ${validProfileIds.length} profiles (${window.startDate} to ${window.endDate}) ===`);
+      const { data, pages } = await fetchAllPages(postsUrl, token, payload, `posts ${window.startDate} to ${window.endDate}`);
+      allResults.data.push(...data);
+      allResults.pages += pages;
+    } catch (error) {
+      // A rejected token fails every window the same way, so stop the run
+      if (isAuthError(error)) throw error;
+      console.error(`Error getting post analytics for ${window.startDate} to ${window.endDate}: ${error.message}`);
+      if (error.response) {
+        console.error('API Error Response:', {
+          status: error.response.status,
+          data: JSON.stringify(error.response.data)
+        });
+      }
+    }
+  }
+
+  allResults.totalRows = allResults.data.length;
+  console.log(`Total posts collected: ${allResults.totalRows} (${allResults.pages} pages)`);
+  return allResults.data.length > 0 ? allResults : null;
+};
+
+/**
+ * Format a post into a posts tab row
+ * @param {Object} post - Post from the posts endpoint
+ * @param {Object} profile - Profile the post belongs to
+ * @param {string} networkType - Simplified network type
+ * @returns {Array} Row matching POSTS_HEADERS
+ */
+const formatPostRow = (post, profile, networkType) => {
+  const metrics = post.metrics || {};
+  const createdTime = post.created_time ? new Date(post.created_time).toISOString() : '';
+
+  return [
+    createdTime.split('T')[0],
+    createdTime ? createdTime.substring(11, 19) : '',
+    networkType,
+    profile.name,
+    profile.customer_profile_id,
+    post.post_type || '',
+    post.perma_link || '',
+    post.text || '',
+    safeNumber(metrics['lifetime.impressions']),
+    safeNumber(metrics['lifetime.reactions']),
+    safeNumber(metrics['lifetime.likes']),
+    safeNumber(metrics['lifetime.comments_count']),
+    safeNumber(metrics['lifetime.shares_count']),
+    safeNumber(metrics['lifetime.saves']),
+    safeNumber(metrics['lifetime.video_views']),
+    safeNumber(metrics['lifetime.post_content_clicks']),
+    safeNumber(metrics['lifetime.engagements'])
+  ];
+};
+
+/**
+ * Format posts into rows per network, oldest first
+ * @param {Array} posts - Posts from the posts endpoint
+ * @param {Object} profilesByNetwork - Profiles keyed by simplified network type
+ * @returns {Object} Rows keyed by simplified network type
+ */
+const formatPostsByNetwork = (posts, profilesByNetwork) => {
+  const networkByProfileId = {};
+  for (const [networkType, networkProfiles] of Object.entries(profilesByNetwork)) {
+    networkProfiles.forEach(profile => {
+      networkByProfileId[profile.customer_profile_id] = { networkType, profile };
+    });
+  }
+
+  const rowsByNetwork = {};
+  const sortedPosts = [...posts].sort((a, b) => String(a.created_time).localeCompare(String(b.created_time)));
+
+  sortedPosts.forEach(post => {
+    const match = networkByProfileId[parseInt(post.customer_profile_id)];
+    if (!match) {
+      console.log(`No profile found for post ${post.perma_link || '(no permalink)'} from profile ${post.customer_profile_id}`);
+      return;
+    }
+
+    if (!rowsByNetwork[match.networkType]) {
+      rowsByNetwork[match.networkType] = [];
+    }
+    rowsByNetwork[match.networkType].push(formatPostRow(post, match.profile, match.networkType));
+  });
+
+  return rowsByNetwork;
+};
+
+/**
+ * Write post rows to the "<Network> Posts" tabs
+ * Posts already in a tab are updated in place, so their lifetime metrics keep growing.
+ * @param {Object} sheetsUtils - Sheets utility module
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Object} rowsByNetwork - Rows keyed by simplified network type
+ * @returns {Promise<number>} Number of post rows written
+ */
+const writePostsSheets = async (sheetsUtils, auth, spreadsheetId, rowsByNetwork) => {
+  let written = 0;
+
+  for (const [networkType, rows] of Object.entries(rowsByNetwork)) {
+    if (rows.length === 0) continue;
+
+    const sheetName = getPostsSheetName(networkType);
+    try {
+      const created = await sheetsUtils.createSheetIfNotExists(auth, spreadsheetId, sheetName);
+      if (!created) continue;
+      await sheetsUtils.setupSheetHeaders(auth, spreadsheetId, sheetName, POSTS_HEADERS);
+
+      // Posts keep their permalink for life, so it identifies rows from earlier runs
+      if (await sheetsUtils.upsertRows(auth, spreadsheetId, rows, sheetName, { headers: POSTS_HEADERS, keyIndex: PERMALINK_INDEX })) {
+        written += rows.length;
+      }
+    } catch (error) {
+      console.error(`Error writing ${sheetName} sheet: ${error.message}`);
+    }
+  }
+
+  return written;
+};
+
+/**
+ * Queue post rows for the "<Network> Posts" tabs of a report, updating posts already in it
+ * Works with any report opened from a sink (sinks/index.js); nothing is written until it is finalized.
+ * @param {Object} report - Open report
+ * @param {Object} rowsByNetwork - Rows keyed by simplified network type
+ * @returns {Promise<number>} Number of post rows queued
+ */
+const queuePostsTabs = async (report, rowsByNetwork) => {
+  const rowsByTab = {};
+
+  for (const [networkType, rows] of Object.entries(rowsByNetwork)) {
+    if (rows.length === 0) continue;
+
+    const tabName = getPostsSheetName(networkType);
+    report.ensureTab(tabName, POSTS_HEADERS);
+    report.writeHeader(tabName, POSTS_HEADERS);
+    rowsByTab[tabName] = rows;
+  }
+
+  // Posts keep their permalink for life, so it identifies rows from earlier runs
+  return report.upsertRowsByKey(rowsByTab, { headers: POSTS_HEADERS, keyIndex: PERMALINK_INDEX });
+};
+
+module.exports = {
+  POST_FIELDS,
+  POST_METRICS,
+  POSTS_HEADERS,
+  getPostsSheetName,
+  getPostsData,
+  formatPostRow,
+  formatPostsByNetwork,
+  writePostsSheets,
+  queuePostsTabs
+};
@@ -0,0 +1,170 @@
+/**
+ * Record-and-replay cache for Sprout Social API responses
+ *
+ * Responses are stored as JSON files under a local directory, one file per request,
+ * laid out as <dir>/<customer>/<endpoint>/<profiles>_<window>_p<page>_<hash>.json.
+ * The hash covers the full request body, so a different metric list is a different entry.
+ *
+ * Modes:
+ * - live: always call the API, never touch the cache
+ * - record: always call the API and save every response
+ * - replay: only serve saved responses; a missing entry is an error (offline runs)
+ * - cache-first: serve saved responses for date windows that ended before today,
+ *   call the API for everything else and save finished windows for next time
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_MODES = ['live', 'record', 'replay', 'cache-first'];
+
+/**
+ * Get today's date in YYYY-MM-DD format (UTC)
+ * @returns {string} Today's date
+ */
+const getToday = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Make a value safe to use in a file name
+ * @param {string} value - Raw value
+ * @returns {string} File name safe value
+ */
+const toFileSafe = (value) => String(value).replace(/[^a-zA-Z0-9_.-]+/g, '-');
+
+/**
+ * Describe a request by the parts used for its cache key
+ * @param {Object} config - Request config (method, url, data)
+ * @returns {{customer: string, endpoint: string, profiles: string, window: Object|null, page: number, hash: string}} Key parts
+ */
+const describeRequest = (config) => {
+  const pathname = new URL(config.url).pathname;
+  const segments = pathname.split('/').filter(Boolean);
+  // Drop the API version (/v1/...)
+  if (segments.length > 0 && /^v\d+$/.test(segments[0])) segments.shift();
+  const customer = segments.shift() || 'unknown';
+  const endpoint = segments.join('_') || 'root';
+
+  const data = config.data || {};
+  const filters = data.filters || [];
+
+  const profileFilter = filters.find(filter => filter.startsWith('customer_profile_id.'));
+  const profileIds = profileFilter ? (profileFilter.match(/\d+/g) || []) : [];
+  const profiles = profileIds.length === 0
+    ? 'all'
+    : profileIds.length <= 3 ? profileIds.join('-') : `${profileIds.length}-profiles`;
+
+  // Analytics requests filter on reporting_period, post requests on created_time
+  const periodFilter = filters.find(filter => filter.startsWith('reporting_period.') || filter.startsWith('created_time.'));
+  const dates = periodFilter ? (periodFilter.match(/\d{4}-\d{2}-\d{2}/g) || []) : [];
+  const window = dates.length > 0 ? { startDate: dates[0], endDate: dates[dates.length - 1] } : null;
+
+  // The host is left out so a recording replays against any base URL (e.g. a mock server)
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ method: config.method, path: pathname, data: config.data || null }))
+    .digest('hex')
+    .substring(0, 12);
+
+  return { customer, endpoint, profiles, window, page: data.page || 1, hash };
+};
+
+/**
+ * Create a response cache
+ * @param {Object} [settings] - Cache settings
+ * @param {string} [settings.mode='live'] - live, record, replay or cache-first
+ * @param {string} [settings.dir='.sprout-cache'] - Directory holding the cached responses
+ * @returns {{mode: string, dir: string, read: Function, write: Function, getPath: Function}} Cache
+ */
+const createResponseCache = ({ mode = 'live', dir = '.sprout-cache' } = {}) => {
+  if (!CACHE_MODES.includes(mode)) {
+    throw new Error(`Unknown cache mode "${mode}". Expected one of: ${CACHE_MODES.join(', ')}`);
+  }
+  const cacheDir = path.resolve(dir);
+
+  /**
+   * Get the file a request is cached in
+   * @param {Object} config - Request config (method, url, data)
+   * @returns {string} Absolute file path
+   */
+  const getPath = (config) => {
+    const { customer, endpoint, profiles, window, page, hash } = describeRequest(config);
+    const windowPart = window ? `${window.startDate}_${window.endDate}` : 'no-window';
+    const fileName = `${toFileSafe(profiles)}_${windowPart}_p${page}_${hash}.json`;
+    return path.join(cacheDir, toFileSafe(customer), toFileSafe(endpoint), fileName);
+  };
+
+  /**
+   * Check whether a request covers a finished date window that can't change any more
+   * @param {Object} config - Request config
+   * @returns {boolean} True when the window ended before today
+   */
+  const isFinished = (config) => {
+    const { window } = describeRequest(config);
+    return Boolean(window && window.endDate < getToday());
+  };
+
+  /**
+   * Look up a saved response for a request
+   * In replay mode a missing entry throws, since there is no API to fall back to.
+   * @param {Object} config - Request config (method, url, data)
+   * @returns {Object|null} Response-like object ({status, headers, data, fromCache}) or null to call the API
+   */
+  const read = (config) => {
+    if (mode === 'live' || mode === 'record') return null;
+    if (mode === 'cache-first' && !isFinished(config)) return null;
+
+    const filePath = getPath(config);
+    if (!fs.existsSync(filePath)) {
+      if (mode === 'replay') {
+        const error = new Error(`No recorded response for ${config.method.toUpperCase()} ${config.url} (${path.relative(process.cwd(), filePath)})`);
+        error.code = 'CACHE_MISS';
+        throw error;
+      }
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      console.log(`[CACHE] Serving ${config.method.toUpperCase()} ${config.url} from ${path.relative(process.cwd(), filePath)}`);
+      return { status: entry.status, headers: entry.headers || {}, data: entry.data, fromCache: true };
+    } catch (error) {
+      console.warn(`Ignoring unreadable cache entry ${filePath}: ${error.message}`);
+      if (mode === 'replay') throw error;
+      return null;
+    }
+  };
+
+  /**
+   * Save a response for a request, if the mode records it
+   * @param {Object} config - Request config (method, url, data)
+   * @param {Object} response - Axios response
+   */
+  const write = (config, response) => {
+    if (mode !== 'record' && !(mode === 'cache-first' && isFinished(config))) return;
+
+    const filePath = getPath(config);
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const entry = {
+        request: { method: config.method, url: config.url, data: config.data || null },
+        status: response.status,
+        data: response.data,
+        recordedAt: new Date().toISOString()
+      };
+      // Write to a temporary file first so an interrupted run never leaves half an entry
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.warn(`Could not save response to cache: ${error.message}`);
+    }
+  };
+
+  return { mode, dir: cacheDir, read, write, getPath };
+};
+
+module.exports = {
+  CACHE_MODES,
+  describeRequest,
+  createResponseCache
+};
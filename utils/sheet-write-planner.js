@@ -0,0 +1,401 @@
+/**
+ * Write planner for one spreadsheet
+ *
+ * Collects tab creation, headers, row values and formatting for a spreadsheet and
+ * sends them in as few calls as possible: one `spreadsheets.get` to learn the existing
+ * tabs, one `values.batchGet` for whatever needs reading, then on flush a single
+ * `batchUpdate` for structure and formatting followed by one `values.batchUpdate` per
+ * value input option. New tabs get their sheet ID up front, so formatting for them can
+ * be queued before they exist.
+ */
+const sheetsUtils = require('./sheets');
+
+/**
+ * Get the tab name of an A1 range
+ * @param {string} range - A1 range such as "Instagram!A:A" or "'My Tab'!A1:B2"
+ * @returns {string} Tab name
+ */
+const getRangeSheetName = (range) => {
+  const sheetPart = range.substring(0, range.lastIndexOf('!'));
+  return sheetPart.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+};
+
+/**
+ * Create a write planner for a spreadsheet
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @returns {Object} Planner operations
+ */
+const createSheetWritePlanner = (sheets, spreadsheetId) => {
+  // Sheet IDs of the tabs that exist or are queued for creation
+  const sheetIds = new Map();
+  // Row keys, used row counts and summary rows of tabs read with readRowKeys
+  const rowKeys = new Map();
+  // Data rows of tabs read with readRowKeys by 1-based row number, queued rows included
+  const dataRows = new Map();
+  let requests = [];
+  let valueData = {};
+  let nextSheetId = 1;
+  let loaded = false;
+
+  /**
+   * Load the spreadsheet's existing tabs (one spreadsheets.get)
+   * @returns {Promise<Array<string>>} Existing tab names
+   */
+  const load = async () => {
+    const response = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title)'
+    });
+
+    for (const sheet of response.data.sheets || []) {
+      sheetIds.set(sheet.properties.title, sheet.properties.sheetId);
+      nextSheetId = Math.max(nextSheetId, sheet.properties.sheetId + 1);
+    }
+    loaded = true;
+    return [...sheetIds.keys()];
+  };
+
+  /**
+   * Check whether a tab exists or is queued for creation
+   * @param {string} sheetName - Tab name
+   * @returns {boolean} True if the tab is known
+   */
+  const hasSheet = (sheetName) => sheetIds.has(sheetName);
+
+  /**
+   * Get the sheet ID of a tab
+   * @param {string} sheetName - Tab name
+   * @returns {number|null} Sheet ID or null if the tab is unknown
+   */
+  const getSheetId = (sheetName) => (sheetIds.has(sheetName) ? sheetIds.get(sheetName) : null);
+
+  /**
+   * Queue the creation of a tab unless it already exists
+   * @param {string} sheetName - Tab name
+   * @returns {number} Sheet ID of the tab
+   */
+  const ensureSheet = (sheetName) => {
+    if (!loaded) {
+      throw new Error('Call load() before queuing tabs');
+    }
+    if (sheetIds.has(sheetName)) return sheetIds.get(sheetName);
+
+    const sheetId = nextSheetId++;
+    sheetIds.set(sheetName, sheetId);
+    rowKeys.set(sheetName, { keys: new Map(), rowCount: 0, summaryRows: [] });
+    dataRows.set(sheetName, new Map());
+    requests.push({ addSheet: { properties: { sheetId, title: sheetName } } });
+    console.log(`Queued new sheet: ${sheetName}`);
+    return sheetId;
+  };
+
+  /**
+   * Queue raw batchUpdate requests (formatting, resizing, ...)
+   * @param {Array<Object>} newRequests - Sheets API requests
+   */
+  const addRequests = (newRequests) => {
+    requests.push(...newRequests);
+  };
+
+  /**
+   * Queue values for a range
+   * @param {string} range - A1 range
+   * @param {Array<Array>} values - Rows of values
+   * @param {string} [valueInputOption='RAW'] - RAW or USER_ENTERED
+   */
+  const setValues = (range, values, valueInputOption = 'RAW') => {
+    if (!valueData[valueInputOption]) valueData[valueInputOption] = [];
+    valueData[valueInputOption].push({ range, values });
+  };
+
+  /**
+   * Queue the header row of a tab
+   * @param {string} sheetName - Tab name
+   * @param {Array<string>} headers - Header values
+   */
+  const setHeaders = (sheetName, headers) => {
+    setValues(`${sheetName}!A1:${sheetsUtils.getColumnLetter(headers.length)}1`, [headers]);
+    const state = rowKeys.get(sheetName);
+    if (state) state.rowCount = Math.max(state.rowCount, 1);
+  };
+
+  /**
+   * Read ranges in one values.batchGet
+   * Ranges on tabs that don't exist yet are answered with no rows, without a request.
+   * @param {Array<string>} ranges - A1 ranges
+   * @param {Object} [options] - Extra batchGet parameters (valueRenderOption, ...)
+   * @returns {Promise<Array<Array>>} Values of each range, in order
+   */
+  const read = async (ranges, options = {}) => {
+    const pendingTitles = new Set(
+      requests.filter(request => request.addSheet).map(request => request.addSheet.properties.title)
+    );
+    const readable = ranges.filter(range => {
+      const sheetName = getRangeSheetName(range);
+      return sheetIds.has(sheetName) && !pendingTitles.has(sheetName);
+    });
+
+    const valuesByRange = new Map();
+    if (readable.length > 0) {
+      const response = await sheets.spreadsheets.values.batchGet({ ...options, spreadsheetId, ranges: readable });
+      (response.data.valueRanges || []).forEach((valueRange, index) => {
+        valuesByRange.set(readable[index], valueRange.values || []);
+      });
+    }
+
+    return ranges.map(range => valuesByRange.get(range) || []);
+  };
+
+  /**
+   * Queue the deletion of every row below the header of a tab whose stored header is another layout
+   * Its rows can't be upserted column by column, so they are dropped and reported missing, and the
+   * run fetches the period again under the new header.
+   * @param {string} sheetName - Tab name
+   * @param {Array<Array>} rows - Rows read from the tab, header first
+   * @returns {Array<Array>} Rows left in the tab (the header)
+   */
+  const rebuildSheet = (sheetName, rows) => {
+    console.warn(`The header of ${sheetName} is from another column layout. Rebuilding the tab: its ${Math.max(rows.length - 1, 0)} row(s) will be fetched again.`);
+    if (rows.length > 1) {
+      requests.push({
+        deleteDimension: {
+          range: { sheetId: sheetIds.get(sheetName), dimension: 'ROWS', startIndex: 1, endIndex: rows.length }
+        }
+      });
+    }
+    return rows.slice(0, 1);
+  };
+
+  /**
+   * Read the (date, profile ID) keys of several tabs in one call
+   * Whole rows are read: the keys are kept so upsertRows knows where each row goes, and the
+   * data rows so summaries can be built from every row of a tab, not just the ones written now.
+   * A tab whose stored header differs from the given headers is rebuilt (see rebuildSheet).
+   * @param {Object} headersBySheet - Tab headers keyed by tab name
+   * @param {Object} [options] - Read options
+   * @param {number} [options.keyIndex] - 0-based index of a single key column (e.g. a permalink) used instead of (date, profile ID)
+   * @returns {Promise<Map<string, {keys: Map<string, number>, rowCount: number, summaryRows: Array<number>}>>} Keys per tab
+   */
+  const readRowKeys = async (headersBySheet, options = {}) => {
+    const sheetNames = Object.keys(headersBySheet);
+    const ranges = sheetNames.map(sheetName => `${sheetName}!A:${sheetsUtils.getColumnLetter(headersBySheet[sheetName].length)}`);
+    // Numbers unformatted so they can be added up, dates as they are shown
+    const values = await read(ranges, { valueRenderOption: 'UNFORMATTED_VALUE', dateTimeRenderOption: 'FORMATTED_STRING' });
+
+    const result = new Map();
+    sheetNames.forEach((sheetName, index) => {
+      let rows = values[index];
+      if (!sheetsUtils.headersMatch(rows[0], headersBySheet[sheetName])) {
+        rows = rebuildSheet(sheetName, rows);
+      }
+      const keyColumns = sheetsUtils.getKeyColumns(headersBySheet[sheetName]);
+      const state = options.keyIndex !== undefined
+        ? sheetsUtils.parseKeyColumn(rows.map(row => [row[options.keyIndex]]))
+        : sheetsUtils.parseRowKeys(
+          rows.map(row => [row[keyColumns.date]]),
+          rows.map(row => [row[keyColumns.profileId]]),
+          rows.map(row => [row[keyColumns.label]])
+        );
+      dataRows.set(sheetName, new Map([...state.keys.values()].map(rowNumber => [rowNumber, rows[rowNumber - 1]])));
+      // A queued header row counts as used even before it is written
+      const known = rowKeys.get(sheetName);
+      if (known) state.rowCount = Math.max(state.rowCount, known.rowCount);
+      rowKeys.set(sheetName, state);
+      result.set(sheetName, state);
+    });
+    return result;
+  };
+
+  /**
+   * Queue data rows, overwriting rows with the same (date, profile ID) and appending the rest
+   * @param {string} sheetName - Tab name
+   * @param {Array} rows - Data rows
+   * @param {Object} [options] - Write options
+   * @param {Array} [options.headers] - Tab headers, used to find the Date and Profile ID columns
+   * @param {string} [options.mode='upsert'] - "upsert" or "append"
+   * @param {number} [options.keyIndex] - 0-based index of a single key column, as passed to readRowKeys
+   * @param {Function} [options.formulas] - Returns the formulas of a row (null where a cell has none) from its 1-based row number
+   * @returns {{updated: number, appended: number, skipped: number}} What will be written
+   */
+  const upsertRows = (sheetName, rows, options = {}) => {
+    if (!rowKeys.has(sheetName)) {
+      console.warn(`Row keys of ${sheetName} were not read; every row will be appended`);
+      rowKeys.set(sheetName, { keys: new Map(), rowCount: 1, summaryRows: [] });
+    }
+    if (!dataRows.has(sheetName)) dataRows.set(sheetName, new Map());
+
+    const { data, updated, appended, skipped } = sheetsUtils.planUpsert(rowKeys.get(sheetName), rows, sheetName, options);
+    data.forEach(({ range, values }) => {
+      const rowNumber = parseInt(range.split('!')[1].match(/\d+/)[0], 10);
+      dataRows.get(sheetName).set(rowNumber, values[0]);
+      if (!options.formulas) {
+        setValues(range, values);
+        return;
+      }
+
+      // Values go in RAW and formulas USER_ENTERED; each write skips the other's cells (null)
+      const formulas = options.formulas(rowNumber);
+      setValues(range, [values[0].map((value, index) => (formulas[index] ? null : value))]);
+      setValues(range, [formulas], 'USER_ENTERED');
+    });
+    return { updated, appended, skipped };
+  };
+
+  /**
+   * Get the data rows of a tab read with readRowKeys, with the rows queued since, by row number
+   * @param {string} sheetName - Tab name
+   * @returns {Map<number, Array>} Data rows (no header or summary rows) by 1-based row, in sheet order
+   */
+  const getDataRowsByNumber = (sheetName) => {
+    const rows = dataRows.get(sheetName) || new Map();
+    return new Map([...rows.keys()].sort((a, b) => a - b).map(rowNumber => [rowNumber, rows.get(rowNumber)]));
+  };
+
+  /**
+   * Get the data rows of a tab read with readRowKeys, with the rows queued since, in sheet order
+   * @param {string} sheetName - Tab name
+   * @returns {Array<Array>} Data rows (no header or summary rows)
+   */
+  const getDataRows = (sheetName) => [...getDataRowsByNumber(sheetName).values()];
+
+  /**
+   * Queue the deletion of the summary rows readRowKeys found in a tab
+   * Rows below them move up, so the known keys and used rows are renumbered. Call it before
+   * queuing any values for the tab.
+   * @param {string} sheetName - Tab name
+   * @returns {number} Number of rows deleted
+   */
+  const deleteSummaryRows = (sheetName) => {
+    const state = rowKeys.get(sheetName);
+    if (!state || !state.summaryRows || state.summaryRows.length === 0) return 0;
+
+    const deleted = [...state.summaryRows].sort((a, b) => a - b);
+    const shift = (rowNumber) => rowNumber - deleted.filter(deletedRow => deletedRow < rowNumber).length;
+
+    // Bottom-up, so each request's indexes are still valid when it runs
+    [...deleted].reverse().forEach(rowNumber => {
+      requests.push({
+        deleteDimension: {
+          range: { sheetId: sheetIds.get(sheetName), dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber }
+        }
+      });
+    });
+
+    for (const [key, rowNumber] of state.keys) state.keys.set(key, shift(rowNumber));
+    const rows = dataRows.get(sheetName);
+    if (rows) {
+      dataRows.set(sheetName, new Map([...rows].map(([rowNumber, row]) => [shift(rowNumber), row])));
+    }
+    state.rowCount -= deleted.length;
+    state.summaryRows = [];
+
+    console.log(`Queued the deletion of ${deleted.length} earlier summary row(s) in ${sheetName}`);
+    return deleted.length;
+  };
+
+  /**
+   * Record how many rows a tab already uses, for tabs read with read() instead of readRowKeys()
+   * @param {string} sheetName - Tab name
+   * @param {number} rowCount - Used rows, header included
+   */
+  const setUsedRows = (sheetName, rowCount) => {
+    const state = rowKeys.get(sheetName) || { keys: new Map(), rowCount: 0, summaryRows: [] };
+    state.rowCount = Math.max(state.rowCount, rowCount);
+    rowKeys.set(sheetName, state);
+  };
+
+  /**
+   * Get the row the next appended row of a tab will land on
+   * @param {string} sheetName - Tab name
+   * @returns {number} 1-based row number
+   */
+  const getNextRow = (sheetName) => {
+    const state = rowKeys.get(sheetName);
+    return Math.max(state ? state.rowCount : 1, 1) + 1;
+  };
+
+  /**
+   * Queue rows after the last used row of a tab
+   * @param {string} sheetName - Tab name
+   * @param {Array<Array>} rows - Rows to append
+   * @param {string} [valueInputOption='RAW'] - RAW or USER_ENTERED
+   * @returns {number} 1-based row number of the first appended row
+   */
+  const appendRows = (sheetName, rows, valueInputOption = 'RAW') => {
+    if (!rowKeys.has(sheetName)) {
+      rowKeys.set(sheetName, { keys: new Map(), rowCount: 1, summaryRows: [] });
+    }
+    const state = rowKeys.get(sheetName);
+    const firstRow = Math.max(state.rowCount, 1) + 1;
+    const width = Math.max(...rows.map(row => row.length));
+
+    setValues(
+      `${sheetName}!A${firstRow}:${sheetsUtils.getColumnLetter(width)}${firstRow + rows.length - 1}`,
+      rows,
+      valueInputOption
+    );
+    state.rowCount = firstRow + rows.length - 1;
+    return firstRow;
+  };
+
+  /**
+   * Send everything queued: one batchUpdate, then one values.batchUpdate per input option
+   * @returns {Promise<{requests: number, ranges: number, calls: number}>} What was sent
+   */
+  const flush = async () => {
+    const pendingRequests = requests;
+    const pendingValues = valueData;
+    requests = [];
+    valueData = {};
+
+    let calls = 0;
+    let ranges = 0;
+
+    // Structure first, so new tabs exist before their values are written
+    if (pendingRequests.length > 0) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests: pendingRequests }
+      });
+      calls++;
+    }
+
+    for (const [valueInputOption, data] of Object.entries(pendingValues)) {
+      if (data.length === 0) continue;
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: { valueInputOption, data }
+      });
+      ranges += data.length;
+      calls++;
+    }
+
+    console.log(`Flushed ${pendingRequests.length} sheet requests and ${ranges} value ranges to ${spreadsheetId} in ${calls} call(s)`);
+    return { requests: pendingRequests.length, ranges, calls };
+  };
+
+  return {
+    load,
+    hasSheet,
+    getSheetId,
+    ensureSheet,
+    addRequests,
+    setValues,
+    setHeaders,
+    read,
+    readRowKeys,
+    upsertRows,
+    getDataRows,
+    getDataRowsByNumber,
+    deleteSummaryRows,
+    setUsedRows,
+    getNextRow,
+    appendRows,
+    flush
+  };
+};
+
+module.exports = {
+  createSheetWritePlanner
+};
@@ -5,6 +5,14 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const sheets = google.sheets('v4');
 
+/**
+ * Get the Sheets client for an auth object
+ * The fake backend (utils/fake-google.js) carries its own client on the auth object.
+ * @param {Object} auth - Google auth client
+ * @returns {Object} Sheets v4 client
+ */
+const clientFor = (auth) => (auth && auth.sheetsApi) || sheets;
+
 /**
  * Authenticate with Google Sheets API
  * @param {string} credentialsPath - Path to credentials JSON file
@@ -41,7 +49,7 @@ const getGoogleAuth = async (credentialsPath) => {
 const createSheetIfNotExists = async (auth, spreadsheetId, sheetName) => {
   try {
     // First check if sheet exists
-    const response = await sheets.spreadsheets.get({
+    const response = await clientFor(auth).spreadsheets.get({
       auth,
       spreadsheetId,
     });
@@ -52,7 +60,7 @@ const createSheetIfNotExists = async (auth, spreadsheetId, sheetName) => {
 
     if (!sheetExists) {
       console.log(`Creating new sheet: ${sheetName}`);
-      await sheets.spreadsheets.batchUpdate({
+      await clientFor(auth).spreadsheets.batchUpdate({
         auth,
         spreadsheetId,
         resource: {
@@ -90,7 +98,7 @@ const setupSheetHeaders = async (auth, spreadsheetId, sheetName, headers) => {
     const headerRange = `${sheetName}!A1:${lastCol}1`;
     
     console.log(`Updating ${sheetName} headers with new columns`);
-    await sheets.spreadsheets.values.update({
+    await clientFor(auth).spreadsheets.values.update({
       auth,
       spreadsheetId,
       range: headerRange,
@@ -107,15 +115,293 @@ const setupSheetHeaders = async (auth, spreadsheetId, sheetName, headers) => {
   }
 };
 
+// Default positions of the row key columns (Date in A, Profile ID in E) and the summary label (B)
+const DEFAULT_KEY_COLUMNS = { date: 0, profileId: 4, label: 1 };
+
+// Value of the label column in monthly summary rows
+const SUMMARY_LABEL = 'Monthly Summary';
+
+/**
+ * Normalize a date cell to YYYY-MM-DD for comparison
+ * @param {any} dateStr - Date value from a row or the sheet
+ * @returns {string} Normalized date
+ */
+const normalizeDate = (dateStr) => {
+  if (!dateStr) return '';
+  // Try to convert to a standard format YYYY-MM-DD
+  try {
+    const date = new Date(dateStr);
+    return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
+  } catch (e) {
+    return String(dateStr); // Return original if parsing fails
+  }
+};
+
+/**
+ * Find the key columns of a tab from its headers
+ * @param {Array} [headers] - Header row of the tab
+ * @returns {{date: number, profileId: number, label: number}} 0-based column indexes
+ */
+const getKeyColumns = (headers) => {
+  if (!headers) return DEFAULT_KEY_COLUMNS;
+  const date = headers.indexOf('Date');
+  const profileId = headers.indexOf('Profile ID');
+  const label = headers.indexOf('Network Type');
+  return {
+    date: date !== -1 ? date : DEFAULT_KEY_COLUMNS.date,
+    profileId: profileId !== -1 ? profileId : DEFAULT_KEY_COLUMNS.profileId,
+    label: label !== -1 ? label : DEFAULT_KEY_COLUMNS.label
+  };
+};
+
+/**
+ * Check whether the header row stored in a tab is the layout being written
+ * A tab without a header row yet matches any layout.
+ * @param {Array} storedHeaders - Header row read from the tab
+ * @param {Array<string>} headers - Headers the run writes
+ * @returns {boolean} True when the stored header is empty or the same as `headers`
+ */
+const headersMatch = (storedHeaders, headers) => {
+  const stored = (storedHeaders || []).map(value => String(value ?? '').trim());
+  while (stored.length > 0 && stored[stored.length - 1] === '') stored.pop();
+  if (stored.length === 0) return true;
+  return stored.length === headers.length && stored.every((value, index) => value === headers[index]);
+};
+
+/**
+ * Build the key identifying a row by date and profile ID
+ * @param {any} date - Date value
+ * @param {any} profileId - Profile ID value
+ * @returns {string} Row key
+ */
+const formatRowKey = (date, profileId) => {
+  return `${normalizeDate(date)}|${String(profileId ?? '').trim()}`;
+};
+
+/**
+ * Build the (date, profile ID) key of a row
+ * @param {Array} row - Row values
+ * @param {{date: number, profileId: number}} keyColumns - Key column indexes
+ * @returns {string} Row key
+ */
+const getRowKey = (row, keyColumns) => {
+  return formatRowKey(row[keyColumns.date], row[keyColumns.profileId]);
+};
+
+/**
+ * Get the A1 ranges of a tab's Date, Profile ID and summary label columns
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array} [headers] - Tab headers, used to find the key columns
+ * @returns {Array<string>} Date column range, Profile ID column range and label column range
+ */
+const getKeyColumnRanges = (sheetName, headers) => {
+  const keyColumns = getKeyColumns(headers);
+  return [keyColumns.date, keyColumns.profileId, keyColumns.label].map(index => {
+    const column = getColumnLetter(index + 1);
+    return `${sheetName}!${column}:${column}`;
+  });
+};
+
+/**
+ * Index the (date, profile ID) keys of a tab from its key column values
+ * @param {Array} dateValues - Values of the Date column, header included
+ * @param {Array} profileValues - Values of the Profile ID column, header included
+ * @param {Array} [labelValues] - Values of the summary label column, header included
+ * @returns {{keys: Map<string, number>, rowCount: number, summaryRows: Array<number>}} 1-based row number of each key,
+ *   the number of used rows and the 1-based row numbers of the monthly summary rows
+ */
+const parseRowKeys = (dateValues, profileValues, labelValues = []) => {
+  const rowCount = Math.max(dateValues.length, profileValues.length, labelValues.length);
+
+  // Skip the header row, summary rows and rows without a profile
+  const keys = new Map();
+  const summaryRows = [];
+  for (let i = 1; i < rowCount; i++) {
+    if ((labelValues[i] || [])[0] === SUMMARY_LABEL) {
+      summaryRows.push(i + 1);
+      continue;
+    }
+
+    const date = (dateValues[i] || [])[0];
+    const profileId = (profileValues[i] || [])[0];
+    if (!date || profileId === undefined || profileId === '') continue;
+
+    const key = formatRowKey(date, profileId);
+    if (!keys.has(key)) {
+      keys.set(key, i + 1);
+    }
+  }
+
+  return { keys, rowCount, summaryRows };
+};
+
+/**
+ * Index the keys of a tab held in a single column (e.g. posts by permalink)
+ * @param {Array} keyValues - Values of the key column, header included
+ * @returns {{keys: Map<string, number>, rowCount: number, summaryRows: Array<number>}} 1-based row number of each key,
+ *   the number of used rows and no summary rows
+ */
+const parseKeyColumn = (keyValues) => {
+  const keys = new Map();
+  for (let i = 1; i < keyValues.length; i++) {
+    const key = String((keyValues[i] || [])[0] ?? '').trim();
+    if (key && !keys.has(key)) {
+      keys.set(key, i + 1);
+    }
+  }
+
+  return { keys, rowCount: keyValues.length, summaryRows: [] };
+};
+
+/**
+ * Read the (date, profile ID) keys already written to a tab
+ * Only the key columns are read, in a single call.
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array} [headers] - Tab headers, used to find the Date and Profile ID columns
+ * @param {Object} [options] - Read options
+ * @param {number} [options.keyIndex] - 0-based index of a single key column to read instead of (date, profile ID)
+ * @returns {Promise<{keys: Map<string, number>, rowCount: number, summaryRows: Array<number>}>} Keys, used rows and summary rows
+ */
+const getExistingRowKeys = async (auth, spreadsheetId, sheetName, headers, options = {}) => {
+  if (options.keyIndex !== undefined) {
+    // Read from column A so the row count is right even when a key is blank
+    const response = await clientFor(auth).spreadsheets.values.get({
+      auth,
+      spreadsheetId,
+      range: `${sheetName}!A:${getColumnLetter(options.keyIndex + 1)}`
+    });
+    return parseKeyColumn((response.data.values || []).map(row => [row[options.keyIndex]]));
+  }
+
+  const response = await clientFor(auth).spreadsheets.values.batchGet({
+    auth,
+    spreadsheetId,
+    ranges: getKeyColumnRanges(sheetName, headers)
+  });
+  const [dateValues, profileValues, labelValues] = response.data.valueRanges.map(range => range.values || []);
+  return parseRowKeys(dateValues, profileValues, labelValues);
+};
+
+/**
+ * Work out where each row goes given the keys already in a tab
+ * `existing` is updated with the appended rows, so several plans against the same tab stack up.
+ * @param {{keys: Map<string, number>, rowCount: number}} existing - Keys already in the tab
+ * @param {Array} rows - Array of data rows
+ * @param {string} sheetName - Name of the sheet
+ * @param {Object} [options] - Plan options
+ * @param {Array} [options.headers] - Tab headers, used to find the Date and Profile ID columns
+ * @param {string} [options.mode='upsert'] - "upsert" overwrites existing keys; "append" only skips today's and yesterday's existing keys
+ * @param {number} [options.keyIndex] - 0-based index of a single key column (e.g. a permalink) used instead of (date, profile ID)
+ * @returns {{data: Array<{range: string, values: Array}>, updated: number, appended: number, skipped: number}} Value ranges to write
+ */
+const planUpsert = (existing, rows, sheetName, options = {}) => {
+  const keyColumns = getKeyColumns(options.headers);
+  const mode = options.mode || 'upsert';
+  const today = normalizeDate(new Date());
+  const yesterday = normalizeDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  const rowKey = options.keyIndex !== undefined
+    ? row => String(row[options.keyIndex] ?? '').trim()
+    : row => getRowKey(row, keyColumns);
+
+  // Later rows win if the same key is passed twice; rows without a key are always appended
+  const rowsByKey = new Map();
+  rows.forEach((row, index) => rowsByKey.set(rowKey(row) || Symbol(index), row));
+
+  const data = [];
+  let updated = 0;
+  let appended = 0;
+  let skipped = 0;
+
+  for (const [key, row] of rowsByKey) {
+    const lastCol = getColumnLetter(row.length);
+    let rowNumber = existing.keys.get(key);
+
+    if (rowNumber && mode === 'append') {
+      const date = normalizeDate(row[keyColumns.date]);
+      if (date === today || date === yesterday) {
+        skipped++;
+        continue;
+      }
+      rowNumber = null;
+    }
+
+    if (rowNumber) {
+      updated++;
+    } else {
+      existing.rowCount = Math.max(existing.rowCount, 1) + 1;
+      rowNumber = existing.rowCount;
+      if (typeof key === 'string') existing.keys.set(key, rowNumber);
+      appended++;
+    }
+    data.push({ range: `${sheetName}!A${rowNumber}:${lastCol}${rowNumber}`, values: [row] });
+  }
+
+  return { data, updated, appended, skipped };
+};
+
+/**
+ * Insert or overwrite rows keyed by (date, profile ID)
+ * Reads the existing key columns once, then writes every changed and new row in a single
+ * values.batchUpdate: rows whose key is already in the sheet are overwritten in place
+ * (so corrected Sprout numbers replace the old ones) and only new keys are appended.
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {Array} rows - Array of data rows
+ * @param {string} sheetName - Name of the sheet to update
+ * @param {Object} [options] - Upsert options
+ * @param {Array} [options.headers] - Tab headers, used to find the Date and Profile ID columns
+ * @param {number} [options.keyIndex] - 0-based index of a single key column used instead of (date, profile ID)
+ * @returns {Promise<boolean>} Success status
+ */
+const upsertRows = async (auth, spreadsheetId, rows, sheetName, options = {}) => {
+  if (!rows || rows.length === 0) {
+    console.warn('No data to upsert in sheet');
+    return false;
+  }
+
+  try {
+    const existing = await getExistingRowKeys(auth, spreadsheetId, sheetName, options.headers, { keyIndex: options.keyIndex });
+    const { data, updated, appended } = planUpsert(existing, rows, sheetName, { headers: options.headers, keyIndex: options.keyIndex });
+
+    console.log(`Upserting ${data.length} rows into ${sheetName}: ${updated} updated in place, ${appended} appended`);
+
+    await clientFor(auth).spreadsheets.values.batchUpdate({
+      auth,
+      spreadsheetId,
+      resource: {
+        valueInputOption: 'RAW',
+        data
+      }
+    });
+
+    return true;
+  } catch (error) {
+    console.error(`Error upserting rows into ${sheetName}: ${error.message}`);
+    if (error.response && error.response.data) {
+      console.error('Sheet API Error:', error.response.data);
+    }
+    return false;
+  }
+};
+
 /**
  * Update Google Sheet with data rows
  * @param {Object} auth - Google auth client
  * @param {string} spreadsheetId - Google Spreadsheet ID
  * @param {Array} rows - Array of data rows
  * @param {string} sheetName - Name of the sheet to update
+ * @param {Object} [options] - Write options
+ * @param {string} [options.mode='append'] - "upsert" overwrites rows with the same (date, profile ID); "append" only skips today's and yesterday's duplicates
+ * @param {Array} [options.headers] - Tab headers, used by upsert to find the key columns
  * @returns {Promise<boolean>} Success status
  */
-const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
+const updateSheet = async (auth, spreadsheetId, rows, sheetName, options = {}) => {
+  if (options.mode === 'upsert') {
+    return upsertRows(auth, spreadsheetId, rows, sheetName, options);
+  }
+
   if (!rows || rows.length === 0) {
     console.warn('No data to update in sheet');
     return false;
@@ -130,7 +416,7 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
     console.log(`Checking for existing data for date: ${today}`);
     
     // Get all existing data to check for today's date
-    const existingDataResponse = await sheets.spreadsheets.values.get({
+    const existingDataResponse = await clientFor(auth).spreadsheets.values.get({
       auth,
       spreadsheetId,
       range: `${sheetName}!A:F`, // Include date column and profile ID columns
@@ -142,18 +428,6 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
     // Skip header row if it exists
     const dataToCheck = existingData.length > 0 ? existingData.slice(1) : [];
     
-    // Function to normalize dates for comparison
-    const normalizeDate = (dateStr) => {
-      if (!dateStr) return '';
-      // Try to convert to a standard format YYYY-MM-DD
-      try {
-        const date = new Date(dateStr);
-        return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
-      } catch (e) {
-        return dateStr; // Return original if parsing fails
-      }
-    };
-    
     // Get yesterday's date as well since we're now fetching yesterday's data
     const yesterday = new Date();
     yesterday.setDate(yesterday.getDate() - 1);
@@ -210,7 +484,7 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
       rowCount: rows.length
     });
 
-    const updateResponse = await sheets.spreadsheets.values.update({
+    const updateResponse = await clientFor(auth).spreadsheets.values.update({
       auth,
       spreadsheetId,
       range: `${sheetName}!A${nextRow}:${lastCol}${lastRow}`,
@@ -232,6 +506,40 @@ const updateSheet = async (auth, spreadsheetId, rows, sheetName) => {
   }
 };
 
+/**
+ * Append rows after the last row of a sheet
+ * Unlike updateSheet this does no date/profile de-duplication, so callers filter rows first
+ * @param {Object} auth - Google auth client
+ * @param {string} spreadsheetId - Google Spreadsheet ID
+ * @param {string} sheetName - Name of the sheet
+ * @param {Array} rows - Array of data rows
+ * @returns {Promise<boolean>} Success status
+ */
+const appendRows = async (auth, spreadsheetId, sheetName, rows) => {
+  if (!rows || rows.length === 0) {
+    return true;
+  }
+
+  try {
+    const response = await clientFor(auth).spreadsheets.values.append({
+      auth,
+      spreadsheetId,
+      range: `${sheetName}!A1`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: {
+        values: rows
+      }
+    });
+
+    console.log(`Appended ${response.data.updates?.updatedRows || rows.length} rows to ${sheetName}`);
+    return true;
+  } catch (error) {
+    console.error(`Error appending rows to ${sheetName}: ${error.message}`);
+    return false;
+  }
+};
+
 /**
  * Convert column number to letter (A, B, C, ..., AA, AB, etc.)
  * @param {number} colNum - Column number (1-based)
@@ -258,7 +566,7 @@ const getColumnLetter = (colNum) => {
  */
 const getSheetValues = async (auth, spreadsheetId, sheetName, range) => {
   try {
-    const response = await sheets.spreadsheets.values.get({
+    const response = await clientFor(auth).spreadsheets.values.get({
       auth,
       spreadsheetId,
       range: `${sheetName}!${range}`,
@@ -273,10 +581,22 @@ const getSheetValues = async (auth, spreadsheetId, sheetName, range) => {
 };
 
 module.exports = {
+  SUMMARY_LABEL,
   getGoogleAuth,
   createSheetIfNotExists,
   setupSheetHeaders,
+  getKeyColumns,
+  headersMatch,
+  normalizeDate,
+  formatRowKey,
+  getKeyColumnRanges,
+  parseRowKeys,
+  parseKeyColumn,
+  getExistingRowKeys,
+  planUpsert,
+  upsertRows,
   updateSheet,
+  appendRows,
   getColumnLetter,
   getSheetValues
 };
@@ -0,0 +1,280 @@
+/**
+ * Shared HTTP client for the Sprout Social API
+ *
+ * Every Sprout request goes through this module so that rate limiting and
+ * retries behave the same way for metadata, groups and analytics calls.
+ */
+const axios = require('axios');
+
+// Client settings, sized to our Sprout plan and overridable from the environment
+const DEFAULT_OPTIONS = {
+  // Sustained request rate allowed by the plan
+  requestsPerMinute: parseInt(process.env.SPROUT_REQUESTS_PER_MINUTE || '60', 10),
+  // Number of requests that can be sent back-to-back before the rate applies
+  burst: parseInt(process.env.SPROUT_RATE_LIMIT_BURST || '10', 10),
+  // Retries for 429, 5xx, malformed bodies and network errors before giving up
+  maxRetries: parseInt(process.env.SPROUT_MAX_RETRIES || '5', 10),
+  // Base and maximum delay for exponential backoff
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  // Request timeout
+  timeoutMs: 60000
+};
+
+/**
+ * Helper function to pause execution for a specified time
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise} Promise that resolves after the specified time
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get headers for Sprout Social API requests
+ * @param {string} token - API token
+ * @returns {Object} Headers object with authorization and content type
+ */
+const getSproutHeaders = (token) => ({
+  "Authorization": `Bearer ${token}`,
+  "Content-Type": "application/json"
+});
+
+/**
+ * Create a token bucket that hands out request slots at a fixed rate
+ * @param {number} capacity - Maximum number of tokens (burst size)
+ * @param {number} refillPerSecond - Tokens added per second
+ * @returns {{acquire: Function, pauseUntil: Function}} Bucket operations
+ */
+const createTokenBucket = (capacity, refillPerSecond) => {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  // Waiters are chained so slots are handed out in request order
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+  };
+
+  const take = async () => {
+    while (true) {
+      const now = Date.now();
+      if (pausedUntil > now) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / refillPerSecond) * 1000));
+    }
+  };
+
+  /**
+   * Wait until a request slot is available
+   * @returns {Promise<void>}
+   */
+  const acquire = () => {
+    const slot = queue.then(take);
+    queue = slot.catch(() => {});
+    return slot;
+  };
+
+  /**
+   * Stop handing out slots until the given time, e.g. when the API reports the limit is exhausted
+   * @param {number} timestamp - Epoch milliseconds to pause until
+   */
+  const pauseUntil = (timestamp) => {
+    pausedUntil = Math.max(pausedUntil, timestamp);
+    tokens = 0;
+  };
+
+  return { acquire, pauseUntil };
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} Delay in milliseconds or null if absent/invalid
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Work out when the rate limit window resets from Sprout's rate-limit headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Epoch milliseconds when requests may resume, or null if not limited
+ */
+const getRateLimitReset = (headers = {}) => {
+  const remaining = headers['x-ratelimit-remaining'];
+  const reset = headers['x-ratelimit-reset'];
+  if (remaining === undefined || Number(remaining) > 0 || reset === undefined) return null;
+
+  const resetValue = Number(reset);
+  if (isNaN(resetValue)) return null;
+
+  // The reset header is either an epoch timestamp in seconds or a number of seconds from now
+  return resetValue > 1e9 ? resetValue * 1000 : Date.now() + resetValue * 1000;
+};
+
+/**
+ * Check whether a successful response claims to be JSON but its body could not be parsed
+ * @param {Object} response - Axios response
+ * @returns {boolean} True when axios left a JSON response as a raw string
+ */
+const isMalformedJson = (response) => {
+  const contentType = String((response.headers && response.headers['content-type']) || '');
+  return contentType.includes('application/json') && typeof response.data === 'string';
+};
+
+/**
+ * Check whether a failed request should be retried
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+const isRetryable = (error) => {
+  if (!error.response) {
+    // No response at all: timeouts, resets and DNS hiccups
+    return true;
+  }
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Check whether a request failed because the token was rejected
+ * Retrying or moving on to the next profile won't help, so callers should stop the run.
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for 401 and 403 responses
+ */
+const isAuthError = (error) => {
+  const status = error && error.response ? error.response.status : error && error.code;
+  return status === 401 || status === 403;
+};
+
+/**
+ * Create a Sprout Social API client
+ * @param {Object} [overrides] - Options overriding DEFAULT_OPTIONS
+ * @param {Object} [overrides.cache] - Response cache from utils/response-cache.js
+ * @returns {{request: Function, get: Function, post: Function, useCache: Function, options: Object}} Client
+ */
+const createSproutClient = (overrides = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const bucket = createTokenBucket(options.burst, options.requestsPerMinute / 60);
+  let cache = options.cache || null;
+
+  /**
+   * Send a request, waiting for a rate limit slot and retrying transient failures
+   * @param {Object} config - Axios request config (method, url, data)
+   * @param {string} token - API token
+   * @returns {Promise<Object>} Axios response
+   */
+  const request = async (config, token) => {
+    // Cached responses don't count against the rate limit
+    const cached = cache ? cache.read(config) : null;
+    if (cached) return cached;
+
+    for (let attempt = 0; ; attempt++) {
+      await bucket.acquire();
+
+      try {
+        const response = await axios.request({
+          timeout: options.timeoutMs,
+          ...config,
+          headers: { ...getSproutHeaders(token), ...(config.headers || {}) }
+        });
+
+        // A truncated body is a transient failure like a 5xx, not an empty result
+        if (isMalformedJson(response)) {
+          const error = new Error(`Malformed JSON in response to ${config.method.toUpperCase()} ${config.url}`);
+          error.code = 'EMALFORMED';
+          throw error;
+        }
+
+        // Respect the limit before the next request instead of waiting for a 429
+        const resetAt = getRateLimitReset(response.headers);
+        if (resetAt) {
+          console.log(`Sprout rate limit exhausted. Pausing requests until ${new Date(resetAt).toLocaleTimeString()}`);
+          bucket.pauseUntil(resetAt);
+        }
+
+        if (cache) cache.write(config, response);
+        return response;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+
+        // Authentication and permission problems will not fix themselves
+        if (isAuthError(error)) {
+          console.error(`Sprout API rejected ${config.method.toUpperCase()} ${config.url} with ${status}. Not retrying.`);
+          throw error;
+        }
+
+        if (!isRetryable(error) || attempt >= options.maxRetries) {
+          throw error;
+        }
+
+        const headers = (error.response && error.response.headers) || {};
+        const retryAfter = parseRetryAfter(headers['retry-after']);
+        const resetAt = getRateLimitReset(headers);
+        // Full jitter: a random delay up to the exponential ceiling
+        const backoff = Math.random() * Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, attempt));
+        const delay = retryAfter !== null
+          ? retryAfter
+          : resetAt
+            ? Math.max(0, resetAt - Date.now())
+            : backoff;
+
+        if (status === 429) {
+          bucket.pauseUntil(Date.now() + delay);
+        }
+
+        console.warn(`Sprout request ${config.method.toUpperCase()} ${config.url} failed (${status || error.code || error.message}). ` +
+          `Retrying in ${Math.round(delay / 1000)} seconds (attempt ${attempt + 1}/${options.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  /**
+   * Serve and store responses through a response cache (null turns caching off)
+   * @param {Object|null} responseCache - Response cache from utils/response-cache.js
+   */
+  const useCache = (responseCache) => {
+    cache = responseCache;
+    if (cache && cache.mode !== 'live') {
+      console.log(`Sprout response cache: ${cache.mode} (${cache.dir})`);
+    }
+  };
+
+  return {
+    options,
+    request,
+    useCache,
+    get: (url, token) => request({ method: 'get', url }, token),
+    post: (url, token, data) => request({ method: 'post', url, data }, token)
+  };
+};
+
+// Shared client so every module draws from the same rate limit
+const sproutClient = createSproutClient();
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  getSproutHeaders,
+  createSproutClient,
+  createTokenBucket,
+  parseRetryAfter,
+  isAuthError,
+  sproutClient
+};
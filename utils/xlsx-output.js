@@ -0,0 +1,223 @@
+/**
+ * Local .xlsx workbook output
+ *
+ * The xlsx sink (sinks/xlsx.js) builds each report in an in-memory spreadsheet
+ * (utils/memory-spreadsheet.js), so the normal Sheets flow (tabs, headers, styling, upserts,
+ * summary rows) runs unchanged without credentials. Each finished report is exported
+ * to an Excel workbook with the same tabs, values and cell formats. An existing workbook is loaded
+ * back in first, so re-runs fill in and correct the same file instead of starting over.
+ */
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const memorySpreadsheet = require('./memory-spreadsheet');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the workbook file for a report
+ * @param {string} dir - Output directory
+ * @param {string} reportName - Report name, e.g. "Sprout Analytics - Brand - Monthly Report - January 2024"
+ * @returns {string} Absolute path of the .xlsx file
+ */
+const getWorkbookPath = (dir, reportName) => {
+  // Characters Windows and Excel don't allow in file names
+  const fileName = reportName.replace(/[\\/:*?"<>|]+/g, '-').trim();
+  return path.resolve(dir, `${fileName}.xlsx`);
+};
+
+/**
+ * Convert a Sheets API color (0-1 floats) to an Excel ARGB string
+ * @param {Object} color - Color with red, green and blue
+ * @returns {string} ARGB hex, e.g. "FF333333"
+ */
+const toArgb = (color = {}) => {
+  const channel = (value) => Math.round((value || 0) * 255).toString(16).padStart(2, '0').toUpperCase();
+  return `FF${channel(color.red)}${channel(color.green)}${channel(color.blue)}`;
+};
+
+/**
+ * Convert a Sheets userEnteredFormat to Excel cell styles
+ * @param {Object} format - Sheets userEnteredFormat
+ * @returns {Object} Excel style properties (numFmt, font, fill, alignment)
+ */
+const toExcelStyle = (format = {}) => {
+  const style = {};
+
+  if (format.numberFormat && format.numberFormat.pattern) {
+    style.numFmt = format.numberFormat.pattern;
+  }
+
+  if (format.backgroundColor) {
+    style.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: toArgb(format.backgroundColor) } };
+  }
+
+  if (format.textFormat) {
+    const font = {};
+    if (format.textFormat.bold !== undefined) font.bold = format.textFormat.bold;
+    if (format.textFormat.fontSize !== undefined) font.size = format.textFormat.fontSize;
+    if (format.textFormat.foregroundColor) font.color = { argb: toArgb(format.textFormat.foregroundColor) };
+    style.font = font;
+  }
+
+  if (format.horizontalAlignment || format.verticalAlignment) {
+    style.alignment = {};
+    if (format.horizontalAlignment) style.alignment.horizontal = format.horizontalAlignment.toLowerCase();
+    if (format.verticalAlignment) {
+      style.alignment.vertical = format.verticalAlignment === 'MIDDLE' ? 'middle' : format.verticalAlignment.toLowerCase();
+    }
+  }
+
+  return style;
+};
+
+/**
+ * Convert a sheet value to an Excel cell value
+ * Dates are written as real dates when the cell has a date format, so Excel can sort and filter them.
+ * @param {any} value - Cell value from the sheet
+ * @param {string} [numFmt] - Excel number format of the cell
+ * @returns {any} Excel cell value
+ */
+const toCellValue = (value, numFmt) => {
+  if (typeof value === 'string' && numFmt && numFmt.includes('yy') && ISO_DATE_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  return value;
+};
+
+/**
+ * Convert an Excel cell value back to a sheet value
+ * @param {any} value - Excel cell value
+ * @returns {any} Sheet value (dates as YYYY-MM-DD)
+ */
+const fromCellValue = (value) => {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (value && typeof value === 'object') {
+    // Formula cells load as their formula; rich text is flattened
+    if (value.formula) return `=${value.formula}`;
+    if (value.result !== undefined) return fromCellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+  }
+  return value === null || value === undefined ? '' : value;
+};
+
+/**
+ * Export an in-memory spreadsheet to an .xlsx workbook
+ * @param {Object} spreadsheet - Spreadsheet state from utils/memory-spreadsheet.js
+ * @param {string} filePath - Workbook path
+ * @returns {Promise<string|null>} Path written, or null on error
+ */
+const writeWorkbook = async (spreadsheet, filePath) => {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Sprout Analytics';
+    workbook.created = new Date();
+    // Formula cells are written without results, so Excel calculates them on open
+    workbook.calcProperties.fullCalcOnLoad = true;
+
+    for (const title of memorySpreadsheet.getSheetTitles(spreadsheet)) {
+      const grid = memorySpreadsheet.getGrid(spreadsheet, title);
+      // Skip the blank default tab every new spreadsheet starts with
+      if (grid.length === 0) continue;
+
+      const worksheet = workbook.addWorksheet(title, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+      grid.forEach((row, rowIndex) => {
+        row.forEach((value, columnIndex) => {
+          const style = toExcelStyle(memorySpreadsheet.getCellFormat(spreadsheet, title, rowIndex, columnIndex));
+          const cell = worksheet.getCell(rowIndex + 1, columnIndex + 1);
+          cell.value = memorySpreadsheet.isFormulaCell(spreadsheet, title, rowIndex, columnIndex)
+            ? { formula: String(value).slice(1) }
+            : toCellValue(value, style.numFmt);
+          Object.assign(cell, style);
+        });
+      });
+
+      // Size columns to their header, within reason
+      (grid[0] || []).forEach((header, columnIndex) => {
+        worksheet.getColumn(columnIndex + 1).width = Math.min(Math.max(String(header).length + 2, 12), 40);
+      });
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write to a temporary file first so an interrupted run never leaves a broken workbook
+    const tempPath = `${filePath}.tmp`;
+    await workbook.xlsx.writeFile(tempPath);
+    fs.renameSync(tempPath, filePath);
+
+    console.log(`Wrote workbook ${path.relative(process.cwd(), filePath)}`);
+    return filePath;
+  } catch (error) {
+    console.error(`Error writing workbook ${filePath}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Load an existing workbook into an in-memory spreadsheet
+ * Values and formulas are loaded; formats are re-applied by the run.
+ * @param {Object} spreadsheet - Spreadsheet state from utils/memory-spreadsheet.js
+ * @param {string} filePath - Workbook path
+ * @returns {Promise<boolean>} True if a workbook was loaded
+ */
+const importWorkbook = async (spreadsheet, filePath) => {
+  if (!fs.existsSync(filePath)) return false;
+
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const existingTitles = memorySpreadsheet.getSheetTitles(spreadsheet);
+    const requests = workbook.worksheets
+      .filter(worksheet => !existingTitles.includes(worksheet.name))
+      .map(worksheet => ({ addSheet: { properties: { title: worksheet.name } } }));
+    memorySpreadsheet.applyRequests(spreadsheet, requests);
+
+    // Values go in RAW and formulas USER_ENTERED, so text starting with "=" stays text
+    const data = { RAW: [], USER_ENTERED: [] };
+    workbook.worksheets.forEach(worksheet => {
+      const values = [];
+      const formulas = [];
+      worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        const rowValues = [];
+        const rowFormulas = [];
+        for (let column = 1; column <= row.cellCount; column++) {
+          const cellValue = row.getCell(column).value;
+          const isFormula = Boolean(cellValue && typeof cellValue === 'object' && cellValue.formula);
+          rowValues.push(isFormula ? null : fromCellValue(cellValue));
+          rowFormulas.push(isFormula ? fromCellValue(cellValue) : null);
+        }
+        values[rowNumber - 1] = rowValues;
+        if (rowFormulas.some(Boolean)) formulas[rowNumber - 1] = rowFormulas;
+      });
+
+      if (values.length > 0) {
+        data.RAW.push({ range: `${worksheet.name}!A1`, values: Array.from(values, row => row || []) });
+      }
+      if (formulas.length > 0) {
+        data.USER_ENTERED.push({ range: `${worksheet.name}!A1`, values: Array.from(formulas, row => row || []) });
+      }
+    });
+
+    for (const [valueInputOption, valueRanges] of Object.entries(data)) {
+      valueRanges.forEach(({ range, values }) => {
+        memorySpreadsheet.updateValues(spreadsheet, range, values, valueInputOption);
+      });
+    }
+
+    console.log(`Loaded existing workbook ${path.relative(process.cwd(), filePath)} (${workbook.worksheets.length} tabs)`);
+    return true;
+  } catch (error) {
+    console.warn(`Could not load existing workbook ${filePath}: ${error.message}. Starting a new one.`);
+    return false;
+  }
+};
+
+module.exports = {
+  getWorkbookPath,
+  toExcelStyle,
+  writeWorkbook,
+  importWorkbook
+};